@@ -1,6 +1,15 @@
 import axios from "axios"
 
-const pistonBaseUrl = "https://emkc.org/api/v2/piston"
+// The code runner, which speaks the Piston API. By default it is the one
+// built into our server; VITE_EXECUTION_URL can point at another, e.g. when
+// the runner is served from its own host. Runs themselves go over the socket
+// so their output can stream; this lists the runtimes it offers.
+const serverUrl = (import.meta.env.VITE_WS_URL || "ws://localhost:3000").replace(
+    /^ws/,
+    "http",
+)
+const pistonBaseUrl =
+    import.meta.env.VITE_EXECUTION_URL || `${serverUrl}/api/execution`
 
 const instance = axios.create({
     baseURL: pistonBaseUrl,
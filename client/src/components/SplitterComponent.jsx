@@ -1,3 +1,5 @@
+import PreviewPane from "@/components/preview/PreviewPane"
+import { useRunCode } from "@/context/RunCodeContext"
 import { useViews } from "@/context/ViewContext"
 import useLocalStorage from "@/hooks/useLocalStorage"
 import useWindowDimensions from "@/hooks/useWindowDimensions"
@@ -5,8 +7,12 @@ import Split from "react-split"
 
 function SplitterComponent({ children }) {
     const { isSidebarOpen } = useViews()
+    const { runConfig } = useRunCode()
     const { isMobile, width } = useWindowDimensions()
     const { setItem, getItem } = useLocalStorage()
+    // The room's web preview gets a third pane, except on small screens
+    const showPreview = runConfig.preview && !isMobile
+    const sizesKey = showPreview ? "previewSizes" : "editorSizes"
 
     const getGutter = () => {
         const gutter = document.createElement("div")
@@ -17,7 +23,11 @@ function SplitterComponent({ children }) {
 
     const getSizes = () => {
         if (isMobile) return [0, width]
-        const savedSizes = getItem("editorSizes")
+        const savedSizes = getItem(sizesKey)
+        if (showPreview) {
+            const sizes = savedSizes ? JSON.parse(savedSizes) : [25, 40, 35]
+            return isSidebarOpen ? sizes : [0, 55, 45]
+        }
         let sizes = [35, 65]
         if (savedSizes) {
             sizes = JSON.parse(savedSizes)
@@ -27,25 +37,30 @@ function SplitterComponent({ children }) {
 
     const getMinSizes = () => {
         if (isMobile) return [0, width]
+        if (showPreview) return isSidebarOpen ? [350, 350, 250] : [50, 0, 250]
         return isSidebarOpen ? [350, 350] : [50, 0]
     }
 
     const getMaxSizes = () => {
         if (isMobile) return [0, Infinity]
-        return isSidebarOpen ? [Infinity, Infinity] : [0, Infinity]
+        const maxSizes = isSidebarOpen ? [Infinity, Infinity] : [0, Infinity]
+        return showPreview ? [...maxSizes, Infinity] : maxSizes
     }
 
     const handleGutterDrag = (sizes) => {
-        setItem("editorSizes", JSON.stringify(sizes))
+        setItem(sizesKey, JSON.stringify(sizes))
     }
 
-    const getGutterStyle = () => ({
+    // The first gutter belongs to the sidebar; the preview's is always there
+    const getGutterStyle = (dimension, gutterSize, index) => ({
         width: "7px",
-        display: isSidebarOpen && !isMobile ? "block" : "none",
+        display: (isSidebarOpen || index > 1) && !isMobile ? "block" : "none",
     })
 
     return (
         <Split
+            // Split.js can't add a pane to a split it has set up
+            key={showPreview ? "with-preview" : "editor"}
             sizes={getSizes()}
             minSize={getMinSizes()}
             gutter={getGutter}
@@ -60,6 +75,7 @@ function SplitterComponent({ children }) {
             className="flex h-screen min-h-screen max-w-full items-center justify-center overflow-hidden"
         >
             {children}
+            {showPreview && <PreviewPane />}
         </Split>
     )
 }
@@ -1,15 +1,10 @@
-import { useAppContext } from "@/context/AppContext"
 import { useChatRoom } from "@/context/ChatContext"
-import { useSocket } from "@/context/SocketContext"
-import { SocketEvent } from "@/types/socket"
-import { formatDate } from "@/utils/formateDate"
+import useTypingIndicator from "@/hooks/useTypingIndicator"
 import { useRef } from "react"
 import { LuSendHorizontal } from "react-icons/lu"
-import { v4 as uuidV4 } from "uuid"
 function ChatInput() {
-    const { currentUser } = useAppContext()
-    const { socket } = useSocket()
-    const { setMessages } = useChatRoom()
+    const { sendMessage } = useChatRoom()
+    const { notifyTyping, stopTyping } = useTypingIndicator("chat")
     const inputRef = useRef(null)
 
     const handleSendMessage = (e) => {
@@ -18,16 +13,10 @@ function ChatInput() {
         const inputVal = inputRef.current?.value.trim()
 
         if (inputVal && inputVal.length > 0) {
-            const message = {
-                id: uuidV4(),
-                message: inputVal,
-                username: currentUser.username,
-                timestamp: formatDate(new Date().toISOString()),
-            }
-            socket.emit(SocketEvent.SEND_MESSAGE, { message })
-            setMessages((messages) => [...messages, message])
+            const sent = sendMessage(inputVal)
+            stopTyping()
 
-            if (inputRef.current) inputRef.current.value = ""
+            if (sent && inputRef.current) inputRef.current.value = ""
         }
     }
 
@@ -41,6 +30,7 @@ function ChatInput() {
                 className="w-full flex-grow rounded-md border-none bg-dark p-2 outline-none"
                 placeholder="Enter a message..."
                 ref={inputRef}
+                onChange={notifyTyping}
             />
             <button
                 className="flex items-center justify-center rounded-r-md bg-primary p-2 text-black"
@@ -1,64 +1,61 @@
-import { useAppContext } from "@/context/AppContext"
 import { useChatRoom } from "@/context/ChatContext"
-import { useEffect, useRef } from "react"
+import ChatMessage from "./ChatMessage"
+import { useEffect, useLayoutEffect, useRef } from "react"
 function ChatList() {
     const {
         messages,
-        isNewMessage,
-        setIsNewMessage,
+        hasMoreMessages,
+        isLoadingHistory,
+        loadOlderMessages,
         lastScrollHeight,
         setLastScrollHeight,
     } = useChatRoom()
-    const { currentUser } = useAppContext()
     const messagesContainerRef = useRef(null)
+    // Scroll height before older messages were requested, to keep the view
+    // in place when they are prepended
+    const heightBeforeLoadRef = useRef(null)
     const handleScroll = (e) => {
         const container = e.target
         setLastScrollHeight(container.scrollTop)
+        // Reaching the top loads the previous page of history
+        if (container.scrollTop === 0 && loadOlderMessages()) {
+            heightBeforeLoadRef.current = container.scrollHeight
+        }
     }
-    useEffect(() => {
-        if (!messagesContainerRef.current) return
-        messagesContainerRef.current.scrollTop =
-            messagesContainerRef.current.scrollHeight
-    }, [messages])
-    useEffect(() => {
-        if (isNewMessage) {
-            setIsNewMessage(false)
+    useLayoutEffect(() => {
+        const container = messagesContainerRef.current
+        if (!container) return
+        if (heightBeforeLoadRef.current !== null && !isLoadingHistory) {
+            container.scrollTop =
+                container.scrollHeight - heightBeforeLoadRef.current
+            heightBeforeLoadRef.current = null
+        } else if (heightBeforeLoadRef.current === null) {
+            container.scrollTop = container.scrollHeight
         }
+    }, [messages, isLoadingHistory])
+    useEffect(() => {
         if (messagesContainerRef.current) {
             messagesContainerRef.current.scrollTop = lastScrollHeight
         }
-    }, [isNewMessage, setIsNewMessage, lastScrollHeight])    
+    }, [lastScrollHeight])
     return (
         <div
             className="flex-grow overflow-auto rounded-md bg-darkHover p-2"
             ref={messagesContainerRef}
             onScroll={handleScroll}
         >
+            {(isLoadingHistory || (!hasMoreMessages && messages.length > 0)) && (
+                <p className="mb-2 text-center text-xs text-gray-400">
+                    {isLoadingHistory
+                        ? "Loading earlier messages..."
+                        : "This is the beginning of the chat"}
+                </p>
+            )}
             {/* Chat messages */}
-            {messages.map((message, index) => {
-                return (
-                    <div
-                        key={index}
-                        className={
-                            "mb-2 w-[80%] self-end break-words rounded-md bg-dark px-3 py-2" +
-                            (message.username === currentUser.username
-                                ? " ml-auto "
-                                : "")
-                        }
-                    >
-                        <div className="flex justify-between">
-                            <span className="text-xs text-primary">
-                                {message.username}
-                            </span>
-                            <span className="text-xs text-white">
-                                {message.timestamp}
-                            </span>
-                        </div>
-                        <p className="py-1">{message.message}</p>
-                    </div>
-                )
-            })}
+            {messages.map((message) => (
+                <ChatMessage key={message.id} message={message} />
+            ))}
         </div>
     )
 }
-export default ChatList
\ No newline at end of file
+export default ChatList
@@ -0,0 +1,164 @@
+import { useAppContext } from "@/context/AppContext"
+import { useChatRoom } from "@/context/ChatContext"
+import { REACTION_EMOJIS } from "@/types/chat"
+import { formatDate } from "@/utils/formateDate"
+import { useState } from "react"
+import { LuCheck, LuPencil, LuSmilePlus, LuTrash2, LuX } from "react-icons/lu"
+import ChatMessageContent from "./ChatMessageContent"
+
+// A single chat message with its reactions. The author can edit it inline
+// or delete it.
+function ChatMessage({ message }) {
+    const { currentUser, users } = useAppContext()
+    const { editMessage, deleteMessage, toggleReaction } = useChatRoom()
+    const [isEditing, setIsEditing] = useState(false)
+    const [draft, setDraft] = useState(message.message)
+    const [isPickerOpen, setIsPickerOpen] = useState(false)
+
+    const isOwn = message.userId === currentUser.id
+    const mentionsMe = !isOwn && message.mentions?.includes(currentUser.id)
+    const reactions = Object.entries(message.reactions || {})
+
+    const getUsername = (userId) =>
+        userId === currentUser.id
+            ? "You"
+            : users.find(({ id }) => id === userId)?.username || "Someone"
+
+    const startEditing = () => {
+        setDraft(message.message)
+        setIsEditing(true)
+    }
+
+    const saveEdit = () => {
+        if (draft.trim() === message.message) {
+            setIsEditing(false)
+            return
+        }
+        if (editMessage(message.id, draft)) setIsEditing(false)
+    }
+
+    const handleEditKeyDown = (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault()
+            saveEdit()
+        } else if (e.key === "Escape") {
+            setIsEditing(false)
+        }
+    }
+
+    const handleDelete = () => {
+        if (window.confirm("Delete this message for everyone?")) {
+            deleteMessage(message.id)
+        }
+    }
+
+    const react = (emoji) => {
+        setIsPickerOpen(false)
+        toggleReaction(message.id, emoji)
+    }
+
+    return (
+        <div
+            className={
+                "group relative mb-2 w-[80%] self-end break-words rounded-md bg-dark px-3 py-2" +
+                (isOwn ? " ml-auto" : "") +
+                (mentionsMe ? " border-l-2 border-primary" : "") +
+                (message.pending ? " opacity-60" : "")
+            }
+        >
+            <div className="flex justify-between gap-2">
+                <span className="text-xs text-primary">{message.username}</span>
+                <span className="text-xs text-white">
+                    {message.pending
+                        ? "Sending..."
+                        : formatDate(message.timestamp)}
+                    {message.editedAt && (
+                        <span className="ml-1 text-gray-400">(edited)</span>
+                    )}
+                </span>
+            </div>
+            {isEditing ? (
+                <div className="py-1">
+                    <textarea
+                        className="w-full resize-none rounded-md border border-gray-500 bg-darkHover p-2 text-sm outline-none"
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={handleEditKeyDown}
+                        rows={3}
+                        autoFocus
+                    />
+                    <div className="flex justify-end gap-2 text-xs">
+                        <button
+                            className="flex items-center gap-1 text-gray-400"
+                            onClick={() => setIsEditing(false)}
+                        >
+                            <LuX /> Cancel
+                        </button>
+                        <button
+                            className="flex items-center gap-1 text-primary"
+                            onClick={saveEdit}
+                        >
+                            <LuCheck /> Save
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <ChatMessageContent text={message.message} />
+            )}
+            {reactions.length > 0 && (
+                <div className="flex flex-wrap gap-1 pt-1">
+                    {reactions.map(([emoji, userIds]) => (
+                        <button
+                            key={emoji}
+                            className={
+                                "rounded-full border px-2 text-xs" +
+                                (userIds.includes(currentUser.id)
+                                    ? " border-primary bg-darkHover"
+                                    : " border-gray-600")
+                            }
+                            title={userIds.map(getUsername).join(", ")}
+                            onClick={() => react(emoji)}
+                        >
+                            {emoji} {userIds.length}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {!message.pending && !isEditing && (
+                <div className="absolute -top-3 right-2 hidden gap-2 rounded-md bg-darkHover px-2 py-1 text-sm shadow group-hover:flex">
+                    <button
+                        title="React"
+                        onClick={() => setIsPickerOpen((open) => !open)}
+                    >
+                        <LuSmilePlus />
+                    </button>
+                    {isOwn && (
+                        <>
+                            <button title="Edit" onClick={startEditing}>
+                                <LuPencil />
+                            </button>
+                            <button title="Delete" onClick={handleDelete}>
+                                <LuTrash2 />
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+            {isPickerOpen && (
+                <div className="mt-1 flex gap-1">
+                    {REACTION_EMOJIS.map((emoji) => (
+                        <button
+                            key={emoji}
+                            className="rounded px-1 hover:bg-darkHover"
+                            onClick={() => react(emoji)}
+                        >
+                            {emoji}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ChatMessage
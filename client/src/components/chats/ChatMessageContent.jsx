@@ -0,0 +1,101 @@
+import { useAppContext } from "@/context/AppContext"
+import { useFileSystem } from "@/context/FileContext"
+import { useViews } from "@/context/ViewContext"
+import useWindowDimensions from "@/hooks/useWindowDimensions"
+import { parseReference } from "@/utils/chatReference"
+import { getFileByPath } from "@/utils/file"
+import toast from "react-hot-toast"
+import ReactMarkdown from "react-markdown"
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter"
+import { dracula } from "react-syntax-highlighter/dist/esm/styles/prism"
+
+// Renders a chat message as markdown. Code blocks are highlighted and links
+// to "#path:line" open the file at those lines.
+function ChatMessageContent({ text }) {
+    const { fileStructure, revealLines } = useFileSystem()
+    const { activityState, setActivityState } = useAppContext()
+    const { setIsSidebarOpen } = useViews()
+    const { isMobile } = useWindowDimensions()
+
+    const openReference = ({ path, fromLine, toLine }) => {
+        const file = getFileByPath(fileStructure, path)
+        if (!file) {
+            toast.error(`${path} no longer exists`)
+            return
+        }
+
+        revealLines(file.id, fromLine, toLine)
+        if (isMobile) {
+            setIsSidebarOpen(false)
+        }
+        if (activityState === "drawing") {
+            setActivityState("coding")
+        }
+    }
+
+    return (
+        <div className="chat-markdown py-1">
+            <ReactMarkdown
+                components={{
+                    code({ className, children, ...props }) {
+                        const match = /language-(\w+)/.exec(className || "")
+                        const code = String(children)
+                        // Inline code has neither a language nor line breaks
+                        if (!match && !code.includes("\n")) {
+                            return (
+                                <code
+                                    className="rounded bg-darkHover px-1"
+                                    {...props}
+                                >
+                                    {children}
+                                </code>
+                            )
+                        }
+
+                        return (
+                            <SyntaxHighlighter
+                                style={dracula}
+                                language={match ? match[1] : "text"}
+                                PreTag="div"
+                                className="!my-1 !rounded-md !p-2 !text-xs"
+                            >
+                                {code.replace(/\n$/, "")}
+                            </SyntaxHighlighter>
+                        )
+                    },
+                    pre({ children }) {
+                        return <>{children}</>
+                    },
+                    a({ href, children }) {
+                        const reference = parseReference(href)
+                        if (reference) {
+                            return (
+                                <button
+                                    className="font-mono text-xs text-primary underline"
+                                    onClick={() => openReference(reference)}
+                                    title="Open in the editor"
+                                >
+                                    {children}
+                                </button>
+                            )
+                        }
+                        return (
+                            <a
+                                href={href}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-primary underline"
+                            >
+                                {children}
+                            </a>
+                        )
+                    },
+                }}
+            >
+                {text}
+            </ReactMarkdown>
+        </div>
+    )
+}
+
+export default ChatMessageContent
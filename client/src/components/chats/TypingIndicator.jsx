@@ -0,0 +1,28 @@
+import { useAppContext } from "@/context/AppContext"
+
+const describeTyping = (names) => {
+    if (names.length === 1) return `${names[0]} is typing…`
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`
+    return `${names[0]} and ${names.length - 1} others are typing…`
+}
+
+// "X is typing…" under the chat for members typing a message
+function TypingIndicator() {
+    const { users, currentUser } = useAppContext()
+    const names = users
+        .filter(
+            (user) =>
+                user.typingIn === "chat" &&
+                user.username !== currentUser.username,
+        )
+        .map(({ username }) => username)
+
+    // Keeps its height so the list does not jump as people start and stop
+    return (
+        <p className="h-4 truncate text-xs italic text-gray-400">
+            {names.length > 0 && describeTyping(names)}
+        </p>
+    )
+}
+
+export default TypingIndicator
@@ -0,0 +1,106 @@
+import { useAppContext } from "@/context/AppContext"
+import { useSocket } from "@/context/SocketContext"
+import { USER_ROLES } from "@/types/user"
+import { useState } from "react"
+import { LuCheck, LuLock, LuX } from "react-icons/lu"
+
+// Owner-only controls: pending join requests, the room's entry rules and
+// the role new members get
+function RoomAccessPanel() {
+    const { roomAccess, joinRequests } = useAppContext()
+    const { approveJoin, denyJoin, updateRoomAccess } = useSocket()
+    const [password, setPassword] = useState("")
+
+    const handlePasswordSubmit = (e) => {
+        e.preventDefault()
+        updateRoomAccess({ password })
+        setPassword("")
+    }
+
+    const handleKnockChange = (e) =>
+        updateRoomAccess({ knockToJoin: e.target.checked })
+
+    const handleDefaultRoleChange = (e) =>
+        updateRoomAccess({ defaultRole: e.target.value })
+
+    return (
+        <div className="flex w-full flex-col gap-3 border-t border-darkHover pt-4">
+            {joinRequests.length > 0 && (
+                <div className="flex flex-col gap-2">
+                    <p className="font-semibold">Waiting to join</p>
+                    {joinRequests.map(({ socketId, username }) => (
+                        <div
+                            key={socketId}
+                            className="flex items-center justify-between gap-2 rounded-md bg-darkHover px-3 py-2"
+                        >
+                            <span className="truncate">{username}</span>
+                            <div className="flex gap-2">
+                                <button
+                                    className="rounded-md bg-primary p-1 text-black"
+                                    onClick={() => approveJoin(socketId)}
+                                    title={`Let ${username} in`}
+                                >
+                                    <LuCheck size={18} />
+                                </button>
+                                <button
+                                    className="rounded-md bg-danger p-1 text-white"
+                                    onClick={() => denyJoin(socketId)}
+                                    title={`Turn ${username} away`}
+                                >
+                                    <LuX size={18} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="flex items-center justify-between">
+                <label>Ask me before people join</label>
+                <label className="relative inline-flex cursor-pointer items-center">
+                    <input
+                        className="peer sr-only"
+                        type="checkbox"
+                        onChange={handleKnockChange}
+                        checked={Boolean(roomAccess?.knockToJoin)}
+                    />
+                    <div className="peer h-6 w-12 rounded-full bg-darkHover outline-none duration-100 after:absolute after:left-1 after:top-1 after:flex after:h-4 after:w-4 after:items-center after:justify-center after:rounded-full after:bg-white after:font-bold after:outline-none after:duration-500 peer-checked:after:translate-x-6 peer-checked:after:border-white peer-focus:outline-none"></div>
+                </label>
+            </div>
+            <div className="flex items-center justify-between gap-2">
+                <label htmlFor="default-role">New members join as</label>
+                <select
+                    id="default-role"
+                    className="rounded-md border-none bg-darkHover px-3 py-1 text-white outline-none"
+                    value={roomAccess?.defaultRole || USER_ROLES.EDITOR}
+                    onChange={handleDefaultRoleChange}
+                >
+                    <option value={USER_ROLES.EDITOR}>Editors</option>
+                    <option value={USER_ROLES.VIEWER}>Viewers</option>
+                </select>
+            </div>
+            <form className="flex gap-2" onSubmit={handlePasswordSubmit}>
+                <input
+                    type="password"
+                    placeholder={
+                        roomAccess?.hasPassword
+                            ? "New password (empty removes it)"
+                            : "Set a room password"
+                    }
+                    autoComplete="new-password"
+                    className="w-full rounded-md border-none bg-darkHover px-3 py-2 text-white outline-none"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                />
+                <button
+                    type="submit"
+                    className="rounded-md bg-white px-3 text-black"
+                    title={roomAccess?.hasPassword ? "Change password" : "Set password"}
+                >
+                    <LuLock size={18} />
+                </button>
+            </form>
+        </div>
+    )
+}
+
+export default RoomAccessPanel
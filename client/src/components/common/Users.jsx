@@ -1,39 +1,208 @@
 import { useAppContext } from "@/context/AppContext"
+import { useFileSystem } from "@/context/FileContext"
+import { useSocket } from "@/context/SocketContext"
+import { useViews } from "@/context/ViewContext"
+import useWindowDimensions from "@/hooks/useWindowDimensions"
+import { USER_CONNECTION_STATUS, USER_ROLES, isOwner } from "@/types/user"
+import { getFileById } from "@/utils/file"
 import Avatar from "react-avatar"
+import {
+    LuCrosshair,
+    LuCrown,
+    LuEye,
+    LuFileCode,
+    LuPencil,
+    LuUserX,
+} from "react-icons/lu"
 
 function Users() {
-    const { users } = useAppContext()
+    const {
+        users,
+        currentUser,
+        activityState,
+        setActivityState,
+        followedUserId,
+        setFollowedUserId,
+    } = useAppContext()
+    const { kickUser, setUserRole } = useSocket()
+    const { fileStructure, openFile } = useFileSystem()
+    const { setIsSidebarOpen } = useViews()
+    const { isMobile } = useWindowDimensions()
+
+    // Brings the editor to the front on the given file
+    const showFile = (fileId) => {
+        if (fileId) openFile(fileId)
+        if (activityState === "drawing") setActivityState("coding")
+        if (isMobile) setIsSidebarOpen(false)
+    }
+
+    const toggleFollow = (user) => {
+        if (followedUserId === user.id) {
+            setFollowedUserId(null)
+            return
+        }
+        setFollowedUserId(user.id)
+        showFile(user.currentFile)
+    }
 
     return (
         <div className="flex min-h-[200px] flex-grow justify-center overflow-y-auto py-2">
             <div className="flex h-full w-full flex-wrap items-start gap-x-2 gap-y-6">
                 {users.map((user) => {
-                    return <User key={user.socketId} user={user} />
+                    // Only the owner manages people, never themselves
+                    const canManage = isOwner(currentUser) && !isOwner(user)
+                    const isSelf = user.id === currentUser.id
+                    const file = user.currentFile
+                        ? getFileById(fileStructure, user.currentFile)
+                        : null
+                    return (
+                        <User
+                            key={user.socketId}
+                            user={user}
+                            file={file}
+                            onGoToFile={
+                                !isSelf && file ? () => showFile(file.id) : null
+                            }
+                            onFollow={isSelf ? null : () => toggleFollow(user)}
+                            isFollowed={followedUserId === user.id}
+                            onKick={canManage ? () => kickUser(user.socketId) : null}
+                            onToggleRole={
+                                canManage
+                                    ? () =>
+                                          setUserRole(
+                                              user.socketId,
+                                              user.role === USER_ROLES.VIEWER
+                                                  ? USER_ROLES.EDITOR
+                                                  : USER_ROLES.VIEWER,
+                                          )
+                                    : null
+                            }
+                        />
+                    )
                 })}
             </div>
         </div>
     )
 }
 
-const User = ({ user }) => {
-    const { username, status } = user
-    const title = `${username} - ${status === "online" ? "online" : "offline"}`
+const roleIcons = {
+    [USER_ROLES.OWNER]: LuCrown,
+    [USER_ROLES.EDITOR]: LuPencil,
+    [USER_ROLES.VIEWER]: LuEye,
+}
+
+const statusStyles = {
+    [USER_CONNECTION_STATUS.ONLINE]: "bg-green-500",
+    [USER_CONNECTION_STATUS.AWAY]: "bg-yellow-400",
+    [USER_CONNECTION_STATUS.IDLE]: "bg-gray-400",
+    [USER_CONNECTION_STATUS.DISCONNECTED]: "bg-danger",
+}
+
+const User = ({
+    user,
+    file,
+    onKick,
+    onToggleRole,
+    onGoToFile,
+    onFollow,
+    isFollowed,
+}) => {
+    const { username, status, role, typingIn } = user
+    const title = `${username} (${role}) - ${status}${
+        file ? `, in ${file.name}` : ""
+    }${typingIn ? `, typing in the ${typingIn}` : ""}`
+    const RoleIcon = roleIcons[role] || LuPencil
 
     return (
         <div
             className="relative flex w-[100px] flex-col items-center gap-2"
             title={title}
         >
-            <Avatar name={username} size="50" round={"12px"} title={title} />
+            {/* Active while typing, idle otherwise. Clicking someone else
+                follows them. */}
+            <button
+                className={`rounded-[14px] p-0.5 transition-all ${
+                    typingIn ? "bg-primary" : "opacity-80"
+                } ${isFollowed ? "ring-2 ring-white" : ""}`}
+                onClick={onFollow ?? undefined}
+                disabled={!onFollow}
+            >
+                <Avatar name={username} size="50" round={"12px"} title={title} />
+            </button>
             <p className="line-clamp-2 max-w-full text-ellipsis break-words">
                 {username}
             </p>
+            {typingIn && (
+                <span className="-mt-2 text-xs italic text-primary">
+                    typing…
+                </span>
+            )}
+            {onToggleRole ? (
+                <button
+                    className="flex items-center gap-1 rounded-md px-1 text-xs text-gray-400 hover:bg-darkHover"
+                    onClick={onToggleRole}
+                    title={
+                        role === USER_ROLES.VIEWER
+                            ? `Let ${username} edit`
+                            : `Make ${username} a viewer`
+                    }
+                >
+                    <RoleIcon size={12} />
+                    {role}
+                </button>
+            ) : (
+                <span
+                    className={`flex items-center gap-1 text-xs ${
+                        role === USER_ROLES.OWNER ? "text-primary" : "text-gray-400"
+                    }`}
+                >
+                    <RoleIcon size={12} />
+                    {role}
+                </span>
+            )}
+            {onKick && (
+                <button
+                    className="absolute left-5 top-0 rounded-full bg-danger p-0.5 text-white"
+                    onClick={onKick}
+                    title={`Remove ${username} from the room`}
+                >
+                    <LuUserX size={12} />
+                </button>
+            )}
+            {(onGoToFile || onFollow) && (
+                <div className="flex items-center gap-1">
+                    {onGoToFile && (
+                        <button
+                            className="flex max-w-[70px] items-center gap-1 rounded-md px-1 text-xs text-gray-400 hover:bg-darkHover"
+                            onClick={onGoToFile}
+                            title={`Go to ${file.name}`}
+                        >
+                            <LuFileCode size={12} className="shrink-0" />
+                            <span className="truncate">{file.name}</span>
+                        </button>
+                    )}
+                    {onFollow && (
+                        <button
+                            className={`rounded-md p-1 text-xs hover:bg-darkHover ${
+                                isFollowed ? "text-primary" : "text-gray-400"
+                            }`}
+                            onClick={onFollow}
+                            title={
+                                isFollowed
+                                    ? `Stop following ${username}`
+                                    : `Follow ${username}`
+                            }
+                        >
+                            <LuCrosshair size={12} />
+                        </button>
+                    )}
+                </div>
+            )}
             <div
                 className={`absolute right-5 top-0 h-3 w-3 rounded-full ${
-                    status === "online"
-                        ? "bg-green-500"
-                        : "bg-danger"
+                    statusStyles[status] || "bg-danger"
                 }`}
+                title={status}
             ></div>
         </div>
     )
@@ -4,6 +4,7 @@ import useWindowDimensions from "@/hooks/useWindowDimensions"
 import { useCallback, useEffect } from "react"
 import { Tldraw, useEditor } from "tldraw"
 import { SocketEvent } from "@/types/socket"   // ✅ FIX HERE
+import { canEdit } from "@/types/user"
 
 function DrawingEditor() {
     const { isMobile } = useWindowDimensions()
@@ -22,14 +23,23 @@ function DrawingEditor() {
 
 function ReachEditor() {
     const editor = useEditor()
-    const { drawingData, setDrawingData } = useAppContext()
+    const { drawingData, setDrawingData, currentUser } = useAppContext()
     const { socket } = useSocket()
+    const isReadonly = !canEdit(currentUser)
+
+    // Viewers see the board live but cannot draw on it
+    useEffect(() => {
+        editor.updateInstanceState({ isReadonly })
+    }, [editor, isReadonly])
 
     const handleChangeEvent = useCallback(
         (change) => {
             const snapshot = change.changes
             setDrawingData(editor.store.getSnapshot())
-            socket.emit(SocketEvent.DRAWING_UPDATE, { snapshot })
+            socket.emit(SocketEvent.DRAWING_UPDATE, {
+                snapshot,
+                schema: editor.store.schema.serialize(),
+            })
         },
         [editor.store, setDrawingData, socket],
     )
@@ -1,65 +1,272 @@
-import { useEffect, useState, useCallback } from "react";
-import { useSocket } from "@/context/SocketContext";
-import { useAppContext } from "@/context/AppContext";
-import { useParams } from "react-router-dom";
-
-const Editor = () => {
-  const { socket } = useSocket();
-  const { currentUser } = useAppContext();
-  const { roomId } = useParams();
-
-  const [code, setCode] = useState("// Start typing your code here...");
-
-  // ✅ Emit code changes to others
-  const handleCodeChange = useCallback(
-    (e) => {
-      const value = e.target.value;
-      setCode(value);
-      if (socket && roomId) {
-        socket.emit("code-change", { roomId, code: value });
-      }
-    },
-    [socket, roomId]
-  );
-
-  // ✅ Listen for remote code updates from others
-  useEffect(() => {
-    const handleRemoteCodeUpdate = (event) => {
-      const remoteCode = event.detail;
-      // Prevent overriding your own changes
-      setCode(remoteCode);
-    };
-
-    window.addEventListener("remote-code-update", handleRemoteCodeUpdate);
-
-    return () => {
-      window.removeEventListener("remote-code-update", handleRemoteCodeUpdate);
-    };
-  }, []);
-
-  // ✅ Listen directly from socket (optional redundancy)
-  useEffect(() => {
-    if (!socket) return;
-
-    socket.on("code-change", ({ code: updatedCode }) => {
-      setCode(updatedCode);
-    });
-
-    return () => {
-      socket.off("code-change");
-    };
-  }, [socket]);
-
-  return (
-    <div className="h-full w-full bg-[#1e1e1e] text-white p-3">
-      <textarea
-        value={code}
-        onChange={handleCodeChange}
-        placeholder="Start coding here..."
-        className="w-full h-full bg-transparent border-none outline-none resize-none text-lg font-mono"
-      />
-    </div>
-  );
-};
-
-export default Editor;
\ No newline at end of file
+import { useAppContext } from "@/context/AppContext"
+import { useChatRoom } from "@/context/ChatContext"
+import { useFileSystem } from "@/context/FileContext"
+import { useRunCode } from "@/context/RunCodeContext"
+import { useSettings } from "@/context/SettingContext"
+import { useSocket } from "@/context/SocketContext"
+import usePageEvents from "@/hooks/usePageEvents"
+import useResponsive from "@/hooks/useResponsive"
+import useTypingIndicator from "@/hooks/useTypingIndicator"
+import { editorThemes } from "@/resources/Themes"
+import { color } from "@uiw/codemirror-extensions-color"
+import { hyperLink } from "@uiw/codemirror-extensions-hyper-link"
+import { loadLanguage } from "@uiw/codemirror-extensions-langs"
+import CodeMirror, { EditorView, scrollPastEnd } from "@uiw/react-codemirror"
+import { useEffect, useMemo, useRef } from "react"
+import {
+    collaborativeHighlighting,
+    updateRemoteUsers,
+} from "./collaborativeHighlighting"
+import { collaborativeEditing } from "./collaborativeEditing"
+import { cursorTracking, resolveRemoteCursor } from "./cursorTracking"
+import { mirrorView, ownNavigation, viewportTracking } from "./followMode"
+import { runDiagnostics, showRunDiagnostics } from "./runDiagnostics"
+import { getSelectedLines, shareSelection } from "./shareSelection"
+import { setTestFailures, testHighlights } from "./testHighlights"
+
+function Editor() {
+    const { users, currentUser, followedUserId, setFollowedUserId } =
+        useAppContext()
+    const {
+        activeFile,
+        updateFileContent,
+        getFileText,
+        canEdit,
+        lineReveal,
+        setLineReveal,
+    } = useFileSystem()
+    const { shareSnippet } = useChatRoom()
+    const { tests, diagnostics } = useRunCode()
+    const { theme, language, fontSize, fontFamily } = useSettings()
+    const { emitCursorMove, emitViewport } = useSocket()
+    const { viewHeight } = useResponsive()
+    const { notifyTyping } = useTypingIndicator("editor")
+    const editorRef = useRef(null)
+
+    usePageEvents()
+
+    const fileId = activeFile?.id
+    const fileText = activeFile ? getFileText(activeFile.id) : null
+
+    // Keep the latest emitter without rebuilding the extensions
+    const emitCursorMoveRef = useRef(emitCursorMove)
+    emitCursorMoveRef.current = emitCursorMove
+    const emitViewportRef = useRef(emitViewport)
+    emitViewportRef.current = emitViewport
+    const isFollowingRef = useRef(Boolean(followedUserId))
+    isFollowingRef.current = Boolean(followedUserId)
+    const shareSnippetRef = useRef(shareSnippet)
+    shareSnippetRef.current = shareSnippet
+
+    // Users whose cursor is in the file shown here. Their cursor looks
+    // active only while they type in the editor, not in the chat.
+    const remoteUsers = useMemo(
+        () =>
+            users
+                .filter(
+                    (user) =>
+                        user.currentFile === fileId &&
+                        user.username !== currentUser.username,
+                )
+                .map((user) =>
+                    resolveRemoteCursor(
+                        { ...user, typing: user.typingIn === "editor" },
+                        fileText,
+                    ),
+                ),
+        [users, fileId, fileText, currentUser.username],
+    )
+
+    // Where the member we follow is in this file: their top line and
+    // selection, which our editor mirrors
+    const followed = remoteUsers.find(({ id }) => id === followedUserId)
+    const followTopLine =
+        followed?.viewport?.fileId === fileId ? followed.viewport.topLine : null
+    const followAnchor = followed
+        ? followed.selectionStart ?? followed.cursorPosition
+        : null
+    const followHead = followed
+        ? followed.selectionEnd ?? followed.cursorPosition
+        : null
+
+    // Tests of the shown run that failed in this file, at the failing line.
+    // Kept by value: a new array whenever the file tree changes would put
+    // the marks back where they were before the file was edited.
+    const testFailuresKey = JSON.stringify(
+        (tests || [])
+            .filter(
+                (test) =>
+                    test.status === "failed" &&
+                    test.fileId === fileId &&
+                    test.line !== null,
+            )
+            .map(({ line, message }) => ({ line, message })),
+    )
+    const testFailures = useMemo(
+        () => JSON.parse(testFailuresKey),
+        [testFailuresKey],
+    )
+    // Errors and warnings the shown run printed about this file, kept by
+    // value for the same reason
+    const fileDiagnosticsKey = JSON.stringify(
+        diagnostics
+            .filter((diagnostic) => diagnostic.fileId === fileId)
+            .map(({ line, column, severity, message }) => ({
+                line,
+                column,
+                severity,
+                message,
+            })),
+    )
+    const fileDiagnostics = useMemo(
+        () => JSON.parse(fileDiagnosticsKey),
+        [fileDiagnosticsKey],
+    )
+
+    // Leaving the editor, or closing the last file, hides our cursor from
+    // everyone else
+    useEffect(
+        () => () => emitCursorMoveRef.current({ fileId: null }),
+        [],
+    )
+    useEffect(() => {
+        if (!fileId) emitCursorMoveRef.current({ fileId: null })
+    }, [fileId])
+
+    const extensions = useMemo(() => {
+        const extensions = [
+            color,
+            hyperLink,
+            scrollPastEnd(),
+            collaborativeHighlighting(),
+            testHighlights(),
+            runDiagnostics(),
+            // Only our own keystrokes count, not edits synced from others
+            EditorView.updateListener.of((update) => {
+                const typed = update.transactions.some(
+                    (tr) => tr.isUserEvent("input") || tr.isUserEvent("delete"),
+                )
+                if (typed) notifyTyping()
+            }),
+            EditorView.theme({
+                ".cm-scroller": { fontFamily: `${fontFamily}, monospace` },
+            }),
+        ]
+
+        const languageExtension = loadLanguage(language)
+        if (languageExtension) extensions.push(languageExtension)
+
+        // Once the file is shared, edits flow through its Y.Text
+        if (fileText) extensions.push(collaborativeEditing(fileText))
+
+        if (fileId) {
+            extensions.push(
+                cursorTracking(fileId, fileText, (cursor) =>
+                    emitCursorMoveRef.current(cursor),
+                ),
+                viewportTracking(fileId, (viewport) =>
+                    emitViewportRef.current(viewport),
+                ),
+                // Our own clicks, keys and scrolling end following someone
+                ownNavigation(() => {
+                    if (isFollowingRef.current) setFollowedUserId(null)
+                }),
+                shareSelection((view) =>
+                    shareSnippetRef.current({
+                        fileId,
+                        ...getSelectedLines(view.state),
+                    }),
+                ),
+            )
+        }
+
+        return extensions
+    }, [
+        fileId,
+        fileText,
+        fontFamily,
+        language,
+        notifyTyping,
+        setFollowedUserId,
+    ])
+
+    useEffect(() => {
+        const view = editorRef.current?.view
+        if (!view) return
+        view.dispatch({ effects: updateRemoteUsers.of(remoteUsers) })
+    }, [remoteUsers, extensions])
+
+    useEffect(() => {
+        const view = editorRef.current?.view
+        if (!view) return
+        view.dispatch({ effects: setTestFailures.of(testFailures) })
+    }, [testFailures, extensions])
+
+    useEffect(() => {
+        const view = editorRef.current?.view
+        if (view) showRunDiagnostics(view, fileDiagnostics)
+    }, [fileDiagnostics, extensions])
+
+    useEffect(() => {
+        const view = editorRef.current?.view
+        if (!view || (followTopLine === null && followAnchor === null)) return
+        mirrorView(view, {
+            topLine: followTopLine,
+            anchor: followAnchor,
+            head: followHead,
+        })
+    }, [followTopLine, followAnchor, followHead, extensions])
+
+    // Select and scroll to lines requested elsewhere, e.g. a chat reference
+    useEffect(() => {
+        const view = editorRef.current?.view
+        if (!view || !lineReveal || lineReveal.fileId !== fileId) return
+
+        const { doc } = view.state
+        const from = doc.line(Math.min(lineReveal.fromLine, doc.lines)).from
+        const to = doc.line(Math.min(lineReveal.toLine, doc.lines)).to
+        view.dispatch({
+            selection: { anchor: from, head: to },
+            effects: EditorView.scrollIntoView(from, { y: "center" }),
+        })
+        view.focus()
+        setLineReveal(null)
+    }, [lineReveal, fileId, setLineReveal, extensions])
+
+    const handleCodeChange = (code) => {
+        // Shared files are synced by the collaborativeEditing extension
+        if (!activeFile || fileText) return
+        updateFileContent(activeFile.id, code)
+    }
+
+    return (
+        <CodeMirror
+            key={activeFile?.id}
+            ref={editorRef}
+            theme={editorThemes[theme]}
+            // Viewers can move around and select, but not type
+            readOnly={!canEdit}
+            onChange={handleCodeChange}
+            value={activeFile?.content || ""}
+            extensions={extensions}
+            onCreateEditor={(view) => {
+                view.dispatch({
+                    effects: [
+                        updateRemoteUsers.of(remoteUsers),
+                        setTestFailures.of(testFailures),
+                    ],
+                })
+                showRunDiagnostics(view, fileDiagnostics)
+            }}
+            minHeight="100%"
+            maxWidth="100vw"
+            style={{
+                fontSize: fontSize + "px",
+                height: viewHeight,
+                position: "relative",
+            }}
+        />
+    )
+}
+
+export default Editor
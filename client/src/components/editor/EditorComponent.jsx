@@ -2,6 +2,7 @@ import { useFileSystem } from "@/context/FileContext"
 import useResponsive from "@/hooks/useResponsive"
 import cn from "classnames"
 import Editor from "./Editor"
+import FollowBanner from "./FollowBanner"
 import FileTab from "./FileTab"
 
 function EditorComponent() {
@@ -10,10 +11,13 @@ function EditorComponent() {
 
     if (openFiles.length <= 0) {
         return (
-            <div className="flex h-full w-full items-center justify-center">
-                <h1 className="text-xl text-white">
-                    No file is currently open.
-                </h1>
+            <div className="flex h-full w-full flex-col">
+                <FollowBanner />
+                <div className="flex flex-grow items-center justify-center">
+                    <h1 className="text-xl text-white">
+                        No file is currently open.
+                    </h1>
+                </div>
             </div>
         )
     }
@@ -25,6 +29,7 @@ function EditorComponent() {
                 "h-full": minHeightReached,
             })}
         >
+            <FollowBanner />
             <FileTab />
             <Editor />
         </main>
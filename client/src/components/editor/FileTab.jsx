@@ -4,18 +4,11 @@ import { Icon } from "@iconify/react"
 import { IoClose } from "react-icons/io5"
 import cn from "classnames"
 import { useEffect, useRef } from "react"
-import customMapping from "@/utils/customMapping"
 import { useSettings } from "@/context/SettingContext"
-import langMap from "lang-map"
+import { getLanguageName } from "@/utils/getLanguageName"
 
 function FileTab() {
-    const {
-        openFiles,
-        closeFile,
-        activeFile,
-        updateFileContent,
-        setActiveFile,
-    } = useFileSystem()
+    const { openFiles, closeFile, activeFile, setActiveFile } = useFileSystem()
     const fileTabRef = useRef(null)
     const { setLanguage } = useSettings()
 
@@ -23,8 +16,6 @@ function FileTab() {
         // If the file is already active, do nothing
         if (activeFile?.id === fileId) return
 
-        updateFileContent(activeFile?.id || "", activeFile?.content || "")
-
         const file = openFiles.find((file) => file.id === fileId)
         if (file) {
             setActiveFile(file)
@@ -53,18 +44,8 @@ function FileTab() {
     // Update the editor language when a file is opened
     useEffect(() => {
         if (activeFile?.name === undefined) return
-        // Get file extension on file open and set language when file is opened
-        const extension = activeFile.name.split(".").pop()
-        if (!extension) return
-
-        // Check if custom mapping exists
-        if (customMapping[extension]) {
-            setLanguage(customMapping[extension])
-            return
-        }
-
-        const language = langMap.languages(extension)
-        setLanguage(language[0])
+        const language = getLanguageName(activeFile.name)
+        if (language) setLanguage(language)
     }, [activeFile?.name, setLanguage])
 
     return (
@@ -0,0 +1,26 @@
+import { useAppContext } from "@/context/AppContext"
+import { LuCrosshair, LuX } from "react-icons/lu"
+
+// Shown above the editor while we follow someone, with a way out
+function FollowBanner() {
+    const { users, followedUserId, setFollowedUserId } = useAppContext()
+    const followed = users.find(({ id }) => id === followedUserId)
+    if (!followed) return null
+
+    return (
+        <div className="flex items-center justify-between gap-2 bg-primary px-3 py-1 text-sm text-black">
+            <span className="flex items-center gap-2 truncate">
+                <LuCrosshair className="shrink-0" />
+                Following {followed.username}
+            </span>
+            <button
+                className="flex shrink-0 items-center gap-1 rounded-md px-2 font-semibold hover:bg-black/10"
+                onClick={() => setFollowedUserId(null)}
+            >
+                <LuX /> Stop following
+            </button>
+        </div>
+    )
+}
+
+export default FollowBanner
@@ -0,0 +1,71 @@
+import { Annotation } from "@codemirror/state"
+import { ViewPlugin } from "@codemirror/view"
+import { ExternalChange } from "@uiw/react-codemirror"
+
+// Marks editor transactions that replay changes received from the Y.Text
+const remoteChange = Annotation.define()
+
+// Convert a Y.Text delta into CodeMirror changes (positions refer to the
+// document before the change, as CodeMirror expects for a change set)
+function deltaToChanges(delta) {
+    const changes = []
+    let pos = 0
+    for (const op of delta) {
+        if (op.insert !== undefined) {
+            changes.push({ from: pos, insert: op.insert })
+        } else if (op.delete !== undefined) {
+            changes.push({ from: pos, to: pos + op.delete })
+            pos += op.delete
+        } else {
+            pos += op.retain
+        }
+    }
+    return changes
+}
+
+// Two-way binding between the editor document and a file's Y.Text
+export function collaborativeEditing(text) {
+    return ViewPlugin.fromClass(
+        class {
+            constructor(view) {
+                this.view = view
+                this.handleTextChange = (event, transaction) => {
+                    // Our own edits are already in the editor
+                    if (transaction.origin === this) return
+                    this.view.dispatch({
+                        changes: deltaToChanges(event.delta),
+                        annotations: remoteChange.of(true),
+                    })
+                }
+                text.observe(this.handleTextChange)
+            }
+
+            update(update) {
+                if (!update.docChanged) return
+                // Skip remote replays and value syncs done by react-codemirror
+                const isLocal = update.transactions.every(
+                    (tr) =>
+                        !tr.annotation(remoteChange) &&
+                        !tr.annotation(ExternalChange),
+                )
+                if (!isLocal) return
+
+                text.doc.transact(() => {
+                    let offset = 0
+                    update.changes.iterChanges((fromA, toA, _fromB, _toB, inserted) => {
+                        const insertText = inserted.toString()
+                        if (toA > fromA) text.delete(fromA + offset, toA - fromA)
+                        if (insertText.length > 0) {
+                            text.insert(fromA + offset, insertText)
+                        }
+                        offset += insertText.length - (toA - fromA)
+                    })
+                }, this)
+            }
+
+            destroy() {
+                text.unobserve(this.handleTextChange)
+            }
+        },
+    )
+}
@@ -121,13 +121,11 @@ export const remoteUsersField = StateField.define({
                 const newDecorations = []
 
                 for (const user of users) {
-                    // Only show decorations for users in the same file and who are typing or have selections
-                    if (!user.typing && !user.selectionStart && !user.selectionEnd) {
-                        continue
-                    }
+                    // Users are already filtered to the file shown in this editor
+                    if (typeof user.cursorPosition !== "number") continue
 
                     // Add selection decoration first (if exists) since it might start before cursor
-                    if (user.selectionStart !== undefined && user.selectionEnd !== undefined &&
+                    if (user.selectionStart != null && user.selectionEnd != null &&
                         user.selectionStart !== user.selectionEnd) {
                         const from = Math.min(user.selectionStart, tr.newDoc.length)
                         const to = Math.min(user.selectionEnd, tr.newDoc.length)
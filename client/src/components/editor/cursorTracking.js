@@ -0,0 +1,83 @@
+import { ViewPlugin } from "@codemirror/view"
+import * as Y from "yjs"
+
+// Minimum delay between two cursor broadcasts while the selection moves
+const CURSOR_THROTTLE_MS = 50
+
+// Encode an offset in the Y.Text so peers can resolve it against their own
+// copy, wherever concurrent edits have shifted it since
+const toRelative = (text, index) =>
+    Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, index))
+
+const toAbsolute = (text, relative) => {
+    try {
+        const position = Y.createAbsolutePositionFromRelativePosition(
+            Y.createRelativePositionFromJSON(relative),
+            text.doc,
+        )
+        return position?.type === text ? position.index : null
+    } catch {
+        return null
+    }
+}
+
+// Report the local selection through `onMove`, throttled. Positions are read
+// when the report is sent, after the edit that moved them reached the Y.Text.
+export function cursorTracking(fileId, text, onMove) {
+    return ViewPlugin.fromClass(
+        class {
+            constructor(view) {
+                this.view = view
+                this.timeout = null
+                this.schedule()
+            }
+
+            update(update) {
+                if (update.selectionSet) this.schedule()
+            }
+
+            schedule() {
+                if (this.timeout) return
+                this.timeout = setTimeout(() => {
+                    this.timeout = null
+                    this.report()
+                }, CURSOR_THROTTLE_MS)
+            }
+
+            report() {
+                const { anchor, head, from, to } = this.view.state.selection.main
+                const isShared = text && text.length === this.view.state.doc.length
+                onMove({
+                    fileId,
+                    cursorPosition: head,
+                    selectionStart: from === to ? null : from,
+                    selectionEnd: from === to ? null : to,
+                    anchor: isShared ? toRelative(text, anchor) : null,
+                    head: isShared ? toRelative(text, head) : null,
+                })
+            }
+
+            destroy() {
+                clearTimeout(this.timeout)
+            }
+        },
+    )
+}
+
+// Positions of a remote user's cursor in the local copy of the text. The
+// relative positions are preferred; the plain offsets are a fallback for
+// files that are not shared yet or updates that have not arrived.
+export function resolveRemoteCursor(user, text) {
+    if (!text || !user.cursor) return user
+
+    const anchor = toAbsolute(text, user.cursor.anchor)
+    const head = toAbsolute(text, user.cursor.head)
+    if (anchor === null || head === null) return user
+
+    return {
+        ...user,
+        cursorPosition: head,
+        selectionStart: anchor === head ? null : Math.min(anchor, head),
+        selectionEnd: anchor === head ? null : Math.max(anchor, head),
+    }
+}
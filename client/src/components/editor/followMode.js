@@ -0,0 +1,85 @@
+import { EditorView, ViewPlugin } from "@codemirror/view"
+
+// Minimum delay between two viewport broadcasts while scrolling
+const VIEWPORT_THROTTLE_MS = 100
+
+// Number of the first line at the top of the editor
+function getTopLine(view) {
+    const block = view.lineBlockAtHeight(
+        view.scrollDOM.getBoundingClientRect().top - view.documentTop,
+    )
+    return view.state.doc.lineAt(block.from).number
+}
+
+// Report the first visible line through `onScroll`, throttled, so followers
+// can show the same part of the file
+export function viewportTracking(fileId, onScroll) {
+    return ViewPlugin.fromClass(
+        class {
+            constructor(view) {
+                this.view = view
+                this.timeout = null
+                this.lastTopLine = null
+                this.handleScroll = () => this.schedule()
+                view.scrollDOM.addEventListener("scroll", this.handleScroll)
+                this.schedule()
+            }
+
+            schedule() {
+                if (this.timeout) return
+                this.timeout = setTimeout(() => {
+                    this.timeout = null
+                    this.report()
+                }, VIEWPORT_THROTTLE_MS)
+            }
+
+            report() {
+                const topLine = getTopLine(this.view)
+                if (topLine === this.lastTopLine) return
+                this.lastTopLine = topLine
+                onScroll({ fileId, topLine })
+            }
+
+            destroy() {
+                clearTimeout(this.timeout)
+                this.view.scrollDOM.removeEventListener(
+                    "scroll",
+                    this.handleScroll,
+                )
+            }
+        },
+    )
+}
+
+// Calls `onNavigate` when we click, type or scroll in the editor ourselves,
+// which is what ends following someone
+export function ownNavigation(onNavigate) {
+    const handler = () => {
+        onNavigate()
+        return false
+    }
+    return EditorView.domEventHandlers({
+        mousedown: handler,
+        keydown: handler,
+        touchstart: handler,
+        wheel: handler,
+    })
+}
+
+// Mirror a followed member: their top line at the top of our editor and
+// their selection as ours. Lines and offsets past our copy of the text are
+// clamped, as it may briefly lag behind theirs.
+export function mirrorView(view, { topLine, anchor, head }) {
+    const { doc } = view.state
+    const clamp = (pos) => Math.min(Math.max(pos, 0), doc.length)
+    const spec = {}
+
+    if (anchor != null && head != null) {
+        spec.selection = { anchor: clamp(anchor), head: clamp(head) }
+    }
+    if (topLine != null) {
+        const line = doc.line(Math.min(topLine, doc.lines))
+        spec.effects = EditorView.scrollIntoView(line.from, { y: "start" })
+    }
+    if (spec.selection || spec.effects) view.dispatch(spec)
+}
@@ -0,0 +1,29 @@
+import { lintGutter, setDiagnostics } from "@codemirror/lint"
+
+// Marks from the last run in the gutter, with the message on hover
+export const runDiagnostics = () => lintGutter()
+
+// A run's diagnostics point at a line and maybe a column; the editor marks
+// from there, or the line's first non-blank character, to the line's end
+function toEditorDiagnostic(doc, { line, column, severity, message }) {
+    const { from, to, text } = doc.line(line)
+    const start = column
+        ? Math.min(column - 1, text.length)
+        : text.length - text.trimStart().length
+    return { from: from + start, to, severity, message, source: "Run" }
+}
+
+/**
+ * Replaces the run diagnostics shown in `view` with `diagnostics`, as
+ * found by parseDiagnostics for the file shown.
+ */
+export function showRunDiagnostics(view, diagnostics) {
+    const { doc } = view.state
+    const inRange = diagnostics.filter(({ line }) => line <= doc.lines)
+    view.dispatch(
+        setDiagnostics(
+            view.state,
+            inRange.map((diagnostic) => toEditorDiagnostic(doc, diagnostic)),
+        ),
+    )
+}
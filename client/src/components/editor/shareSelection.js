@@ -0,0 +1,80 @@
+import { StateField } from "@codemirror/state"
+import { EditorView, keymap, showTooltip } from "@codemirror/view"
+
+// Shares the selected lines without reaching for the mouse
+const SHARE_KEY = "Mod-Alt-s"
+
+// The whole lines touched by the main selection. A selection that ends at
+// the very start of a line does not include that line.
+export function getSelectedLines(state) {
+    const { from, to } = state.selection.main
+    const { doc } = state
+    const first = doc.lineAt(from)
+    const last = doc.lineAt(
+        to > from && doc.lineAt(to).from === to ? to - 1 : to,
+    )
+    return {
+        fromLine: first.number,
+        toLine: last.number,
+        code: doc.sliceString(first.from, last.to),
+    }
+}
+
+const shareSelectionTheme = EditorView.baseTheme({
+    ".cm-tooltip .cm-share-selection": {
+        backgroundColor: "#39E079",
+        color: "black",
+        border: "none",
+        padding: "2px 8px",
+        borderRadius: "4px",
+        cursor: "pointer",
+        fontSize: "12px",
+    },
+})
+
+// A "Share in chat" button over a non-empty selection, plus a key binding.
+// Both call `onShare(view)`.
+export function shareSelection(onShare) {
+    const selectionTooltip = (state) => {
+        const { from, to, head } = state.selection.main
+        if (from === to) return null
+
+        return {
+            pos: head,
+            above: head === from,
+            arrow: true,
+            create: (view) => {
+                const dom = document.createElement("button")
+                dom.className = "cm-share-selection"
+                dom.textContent = "Share in chat"
+                dom.title = "Post the selected lines in the chat"
+                // Keep the selection when the button is pressed
+                dom.onmousedown = (e) => e.preventDefault()
+                dom.onclick = () => onShare(view)
+                return { dom }
+            },
+        }
+    }
+
+    return [
+        StateField.define({
+            create: selectionTooltip,
+            update(tooltip, tr) {
+                if (!tr.docChanged && !tr.selection) return tooltip
+                return selectionTooltip(tr.state)
+            },
+            provide: (f) => showTooltip.from(f),
+        }),
+        keymap.of([
+            {
+                key: SHARE_KEY,
+                run: (view) => {
+                    if (view.state.selection.main.empty) return false
+                    onShare(view)
+                    return true
+                },
+            },
+        ]),
+        shareSelectionTheme,
+    ]
+}
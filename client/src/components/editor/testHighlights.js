@@ -0,0 +1,49 @@
+import { StateEffect, StateField } from "@codemirror/state"
+import { Decoration, EditorView } from "@codemirror/view"
+
+// Replaces the failing test lines marked in the file: `[{ line, message }]`
+// with 1-based line numbers
+export const setTestFailures = StateEffect.define()
+
+// Marked lines move with edits until the next test run replaces them
+const testFailureField = StateField.define({
+    create: () => Decoration.none,
+    update(decorations, tr) {
+        decorations = decorations.map(tr.changes)
+        for (const effect of tr.effects) {
+            if (!effect.is(setTestFailures)) continue
+            decorations = buildDecorations(tr.state.doc, effect.value)
+        }
+        return decorations
+    },
+    provide: (field) => EditorView.decorations.from(field),
+})
+
+function buildDecorations(doc, failures) {
+    // Several tests can fail on the same line, e.g. in a shared helper
+    const messages = new Map()
+    for (const { line, message } of failures) {
+        if (line > doc.lines) continue
+        const text = message || "Test failed"
+        messages.set(line, [...(messages.get(line) || []), text])
+    }
+    return Decoration.set(
+        Array.from(messages, ([line, texts]) =>
+            Decoration.line({
+                class: "cm-test-failure",
+                attributes: { title: texts.join("\n\n") },
+            }).range(doc.line(line).from),
+        ),
+        true,
+    )
+}
+
+export const testHighlights = () => [
+    testFailureField,
+    EditorView.baseTheme({
+        ".cm-test-failure": {
+            backgroundColor: "rgba(239, 68, 68, 0.15)",
+            boxShadow: "inset 3px 0 #ef4444",
+        },
+    }),
+]
@@ -20,8 +20,13 @@ import RenameView from "./RenameView"
 import useResponsive from "@/hooks/useResponsive"
 
 function FileStructureView() {
-    const { fileStructure, createFile, createDirectory, collapseDirectories } =
-        useFileSystem()
+    const {
+        fileStructure,
+        createFile,
+        createDirectory,
+        collapseDirectories,
+        canEdit,
+    } = useFileSystem()
     const explorerRef = useRef(null)
     const [selectedDirId, setSelectedDirId] = useState(null)
     const { minHeightReached } = useResponsive()
@@ -58,20 +63,25 @@ function FileStructureView() {
             <div className="view-title flex justify-between">
                 <h2>Files</h2>
                 <div className="flex gap-2">
-                    <button
-                        className="rounded-md px-1 hover:bg-darkHover"
-                        onClick={handleCreateFile}
-                        title="Create File"
-                    >
-                        <RiFileAddLine size={20} />
-                    </button>
-                    <button
-                        className="rounded-md px-1 hover:bg-darkHover"
-                        onClick={handleCreateDirectory}
-                        title="Create Directory"
-                    >
-                        <RiFolderAddLine size={20} />
-                    </button>
+                    {/* Viewers can browse but not change the tree */}
+                    {canEdit && (
+                        <>
+                            <button
+                                className="rounded-md px-1 hover:bg-darkHover"
+                                onClick={handleCreateFile}
+                                title="Create File"
+                            >
+                                <RiFileAddLine size={20} />
+                            </button>
+                            <button
+                                className="rounded-md px-1 hover:bg-darkHover"
+                                onClick={handleCreateDirectory}
+                                title="Create Directory"
+                            >
+                                <RiFolderAddLine size={20} />
+                            </button>
+                        </>
+                    )}
                     <button
                         className="rounded-md px-1 hover:bg-darkHover"
                         onClick={collapseDirectories}
@@ -113,7 +123,7 @@ function Directory({
     const { coords, menuOpen, setMenuOpen } = useContextMenu({
         ref: dirRef,
     })
-    const { deleteDirectory, toggleDirectory } = useFileSystem()
+    const { deleteDirectory, toggleDirectory, canEdit } = useFileSystem()
 
     const handleDirClick = (dirId) => {
         setSelectedDirId(dirId)
@@ -175,7 +185,7 @@ function Directory({
                 ) : (
                     <AiOutlineFolder size={24} className="mr-2 min-w-fit" />
                 )}
-                {isEditing ? (
+                {isEditing && canEdit ? (
                     <RenameView
                         id={item.id}
                         preName={item.name}
@@ -208,7 +218,7 @@ function Directory({
                     ))}
             </div>
 
-            {menuOpen && (
+            {menuOpen && canEdit && (
                 <DirectoryMenu
                     handleDeleteDirectory={handleDeleteDirectory}
                     handleRenameDirectory={handleRenameDirectory}
@@ -225,7 +235,7 @@ const File = ({
     item,
     setSelectedDirId,
 }) => {
-    const { deleteFile, openFile } = useFileSystem()
+    const { deleteFile, openFile, canEdit } = useFileSystem()
     const [isEditing, setEditing] = useState(false)
     const { setIsSidebarOpen } = useViews()
     const { isMobile } = useWindowDimensions()
@@ -296,7 +306,7 @@ const File = ({
                 fontSize={22}
                 className="mr-2 min-w-fit"
             />
-            {isEditing ? (
+            {isEditing && canEdit ? (
                 <RenameView
                     id={item.id}
                     preName={item.name}
@@ -313,7 +323,7 @@ const File = ({
             )}
 
             {/* Context Menu For File*/}
-            {menuOpen && (
+            {menuOpen && canEdit && (
                 <FileMenu
                     top={coords.y}
                     left={coords.x}
@@ -1,5 +1,7 @@
 import { useAppContext } from "@/context/AppContext"
 import { useSocket } from "@/context/SocketContext"
+import { SocketEvent } from "@/types/socket"
+import { buildJoinRequest } from "@/utils/roomAccess"
 import { useEffect, useRef } from "react"
 import { toast } from "react-hot-toast"
 import { useLocation, useNavigate } from "react-router-dom"
@@ -49,7 +51,7 @@ const FormComponent = () => {
         if (!validateForm()) return
         toast.loading("Joining room...")
         setStatus("attempting_join")
-        socket.emit("join-request", currentUser)
+        socket.emit(SocketEvent.JOIN_REQUEST, buildJoinRequest(currentUser))
     }
 
     useEffect(() => {
@@ -68,12 +70,6 @@ const FormComponent = () => {
             return
         }
 
-        socket.on("username_exists", () => {
-            toast.dismiss()
-            toast.error("Username already exists in this room")
-            setStatus("disconnected")
-        })
-
         const isRedirect = sessionStorage.getItem("redirect") || false
 
         if (status === "joined" && !isRedirect) {
@@ -90,10 +86,6 @@ const FormComponent = () => {
             socket.disconnect()
             socket.connect()
         }
-
-        return () => {
-            socket.off("username_exists")
-        }
     }, [currentUser, location.state?.redirect, navigate, setStatus, socket, status])
 
     return (
@@ -117,6 +109,16 @@ const FormComponent = () => {
                     value={currentUser.username}
                     ref={usernameRef}
                 />
+                {/* Sets the password of a new room, or unlocks a protected one */}
+                <input
+                    type="password"
+                    name="password"
+                    placeholder="Room password (optional)"
+                    autoComplete="off"
+                    className="w-full rounded-md border border-gray-500 bg-darkHover px-3 py-3 focus:outline-none"
+                    onChange={handleInputChanges}
+                    value={currentUser.password || ""}
+                />
                 <button
                     type="submit"
                     className="mt-2 w-full rounded-md bg-primary px-8 py-3 text-lg font-semibold text-black"
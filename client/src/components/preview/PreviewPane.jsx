@@ -0,0 +1,146 @@
+import { useFileSystem } from "@/context/FileContext"
+import { useRunCode } from "@/context/RunCodeContext"
+import useResponsive from "@/hooks/useResponsive"
+import { getFileById } from "@/utils/file"
+import { buildPreview, PREVIEW_MESSAGE_SOURCE } from "@/utils/preview"
+import { useEffect, useRef, useState } from "react"
+import { LuRotateCw, LuTerminal, LuX } from "react-icons/lu"
+
+// Edits are shown once typing pauses, not on every keystroke
+const RELOAD_DELAY_MS = 500
+const MAX_CONSOLE_ENTRIES = 500
+
+const consoleStyles = {
+    log: "text-white",
+    info: "text-white",
+    debug: "text-gray-400",
+    warn: "text-yellow-400",
+    error: "text-danger",
+}
+
+// The room's web page, live: its HTML, CSS and JavaScript files run in a
+// sandboxed frame that reloads as they are edited, with its console below
+function PreviewPane() {
+    const { fileStructure, canEdit } = useFileSystem()
+    const { runSettings, updateRunConfig } = useRunCode()
+    const { viewHeight } = useResponsive()
+    const iframeRef = useRef(null)
+
+    const scope =
+        (runSettings.scopeId &&
+            getFileById(fileStructure, runSettings.scopeId)) ||
+        fileStructure
+    const entry = runSettings.entryFileId
+        ? getFileById(fileStructure, runSettings.entryFileId)
+        : null
+
+    const [preview, setPreview] = useState(() => buildPreview(scope, entry))
+    useEffect(() => {
+        const timeout = setTimeout(
+            () => setPreview(buildPreview(scope, entry)),
+            RELOAD_DELAY_MS,
+        )
+        return () => clearTimeout(timeout)
+    }, [scope, entry])
+
+    // Reloading starts the console afresh, as in a browser
+    const [reloadCount, setReloadCount] = useState(0)
+    const [entries, setEntries] = useState([])
+    const [isConsoleOpen, setIsConsoleOpen] = useState(true)
+    useEffect(() => setEntries([]), [preview.html, reloadCount])
+
+    useEffect(() => {
+        const handleMessage = (event) => {
+            if (
+                event.source !== iframeRef.current?.contentWindow ||
+                event.data?.source !== PREVIEW_MESSAGE_SOURCE
+            ) {
+                return
+            }
+            const { level, text } = event.data
+            if (level === "clear") return setEntries([])
+            setEntries((prev) => [
+                ...prev.slice(-(MAX_CONSOLE_ENTRIES - 1)),
+                { level, text: String(text) },
+            ])
+        }
+
+        window.addEventListener("message", handleMessage)
+        return () => window.removeEventListener("message", handleMessage)
+    }, [])
+
+    const errorCount = entries.filter(({ level }) => level === "error").length
+
+    return (
+        <div
+            className="flex w-full flex-col bg-dark"
+            style={{ height: viewHeight }}
+        >
+            <div className="flex items-center gap-2 border-b border-darkHover px-3 py-1 text-sm">
+                <span className="font-bold">Preview</span>
+                <span className="flex-grow truncate text-gray-400">
+                    {preview.page ?? "Scripts and stylesheets"}
+                </span>
+                <button
+                    onClick={() => setIsConsoleOpen((open) => !open)}
+                    title={
+                        isConsoleOpen ? "Hide the console" : "Show the console"
+                    }
+                    className="flex items-center gap-1"
+                >
+                    <LuTerminal size={16} />
+                    {errorCount > 0 && (
+                        <span className="text-xs text-danger">
+                            {errorCount}
+                        </span>
+                    )}
+                </button>
+                <button
+                    onClick={() => setReloadCount((count) => count + 1)}
+                    title="Reload the page"
+                >
+                    <LuRotateCw size={16} />
+                </button>
+                {canEdit && (
+                    <button
+                        onClick={() => updateRunConfig({ preview: false })}
+                        title="Close the preview for the room"
+                    >
+                        <LuX size={16} />
+                    </button>
+                )}
+            </div>
+            {/* No allow-same-origin: the page can't reach the app or its storage */}
+            <iframe
+                key={reloadCount}
+                ref={iframeRef}
+                title="Preview"
+                className="min-h-0 w-full flex-grow bg-white"
+                sandbox="allow-scripts allow-modals allow-forms allow-popups"
+                srcDoc={preview.html}
+            />
+            {isConsoleOpen && (
+                <div className="flex h-[30%] min-h-[80px] flex-col border-t border-darkHover">
+                    <div className="flex items-center justify-between px-3 py-1 text-xs text-gray-400">
+                        <span>Console</span>
+                        <button onClick={() => setEntries([])}>Clear</button>
+                    </div>
+                    <pre className="flex-grow overflow-y-auto px-3 pb-2 font-mono text-xs">
+                        {entries.map(({ level, text }, index) => (
+                            <div
+                                key={index}
+                                className={`whitespace-pre-wrap break-words border-b border-darkHover py-0.5 ${
+                                    consoleStyles[level] || "text-white"
+                                }`}
+                            >
+                                {text}
+                            </div>
+                        ))}
+                    </pre>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default PreviewPane
@@ -0,0 +1,59 @@
+import { useFileSystem } from "@/context/FileContext"
+import { useRunCode } from "@/context/RunCodeContext"
+import { LuCircleX, LuInfo, LuTriangleAlert } from "react-icons/lu"
+
+const severityIcons = {
+    error: { Icon: LuCircleX, className: "text-danger" },
+    warning: { Icon: LuTriangleAlert, className: "text-yellow-400" },
+    info: { Icon: LuInfo, className: "text-gray-400" },
+}
+
+// Errors and warnings from the shown run's output; each one opens its file
+// at the line it is about
+function ProblemsPanel() {
+    const { diagnostics } = useRunCode()
+    const { revealLines } = useFileSystem()
+
+    if (diagnostics.length === 0) return null
+
+    return (
+        <details className="w-full" open>
+            <summary className="flex cursor-pointer items-center gap-2">
+                <LuCircleX size={16} />
+                Problems ({diagnostics.length})
+            </summary>
+            <ul className="mt-2 flex max-h-[160px] flex-col gap-1 overflow-y-auto text-sm">
+                {diagnostics.map((diagnostic, index) => {
+                    const { fileId, path, line, column, severity, message } =
+                        diagnostic
+                    const { Icon, className } = severityIcons[severity]
+                    const location = `${path}:${line}${column ? `:${column}` : ""}`
+                    return (
+                        <li key={index}>
+                            <button
+                                className="flex w-full items-start gap-2 rounded-md px-1 text-left hover:bg-darkHover"
+                                onClick={() => revealLines(fileId, line)}
+                                title={`${location}\n${message}`}
+                            >
+                                <Icon
+                                    size={14}
+                                    className={`mt-[3px] shrink-0 ${className}`}
+                                />
+                                <span className="min-w-0 flex-grow">
+                                    <span className="block truncate">
+                                        {message}
+                                    </span>
+                                    <span className="block truncate text-xs text-gray-400">
+                                        {location}
+                                    </span>
+                                </span>
+                            </button>
+                        </li>
+                    )
+                })}
+            </ul>
+        </details>
+    )
+}
+
+export default ProblemsPanel
@@ -0,0 +1,97 @@
+import { useFileSystem } from "@/context/FileContext"
+import { useRunCode } from "@/context/RunCodeContext"
+import { formatDate } from "@/utils/formateDate"
+import { describeExit, getRunExit, isFailedExit } from "@/utils/runResult"
+import {
+    LuCircleCheck,
+    LuCircleX,
+    LuHistory,
+    LuLoaderCircle,
+    LuRotateCw,
+} from "react-icons/lu"
+
+// Runs shared with the room; any of them can be opened, and run again by
+// editors
+function RunHistory() {
+    const { runs, shownRun, openRun, rerun, isRunning } = useRunCode()
+    const { canEdit } = useFileSystem()
+
+    if (runs.length === 0) return null
+
+    return (
+        <details className="w-full" open>
+            <summary className="flex cursor-pointer items-center gap-2">
+                <LuHistory size={16} />
+                Room runs ({runs.length})
+            </summary>
+            <ul className="mt-2 flex max-h-[160px] flex-col gap-1 overflow-y-auto">
+                {runs.map((run) => (
+                    <RunHistoryItem
+                        key={run.id}
+                        run={run}
+                        isShown={shownRun?.id === run.id}
+                        onOpen={() => openRun(run.id)}
+                        onRerun={
+                            isRunning || !canEdit ? null : () => rerun(run)
+                        }
+                    />
+                ))}
+            </ul>
+        </details>
+    )
+}
+
+const RunHistoryItem = ({ run, isShown, onOpen, onRerun }) => {
+    const isFinished = Boolean(run.finishedAt || run.error)
+    const exit = isFinished ? getRunExit(run) : null
+    const StatusIcon = !exit
+        ? LuLoaderCircle
+        : isFailedExit(exit)
+          ? LuCircleX
+          : LuCircleCheck
+
+    return (
+        <li
+            className={`flex items-center gap-2 rounded-md px-2 py-1 text-sm hover:bg-darkHover ${
+                isShown ? "bg-darkHover" : ""
+            }`}
+        >
+            <button
+                className="flex min-w-0 flex-grow items-center gap-2 text-left"
+                onClick={onOpen}
+                title={exit ? describeExit(exit) : "Running…"}
+            >
+                <StatusIcon
+                    size={14}
+                    className={`shrink-0 ${
+                        !exit
+                            ? "animate-spin text-primary"
+                            : isFailedExit(exit)
+                              ? "text-danger"
+                              : "text-primary"
+                    }`}
+                />
+                <span className="min-w-0 flex-grow truncate">
+                    {run.mode === "test" ? `${run.language} tests` : run.entry}
+                    <span className="text-gray-400">
+                        {" "}
+                        · {run.username} · {formatDate(run.startedAt)}
+                    </span>
+                </span>
+            </button>
+            {onRerun && (
+                <button
+                    className="shrink-0 text-gray-400 hover:text-white"
+                    onClick={onRerun}
+                    title={`Run ${
+                        run.mode === "test" ? "the tests" : run.entry
+                    } again for the room`}
+                >
+                    <LuRotateCw size={14} />
+                </button>
+            )}
+        </li>
+    )
+}
+
+export default RunHistory
@@ -0,0 +1,117 @@
+import { useRunCode } from "@/context/RunCodeContext"
+import { describeExit, isFailedExit } from "@/utils/runResult"
+import { useEffect, useRef } from "react"
+import toast from "react-hot-toast"
+import { LuCopy } from "react-icons/lu"
+
+const streamStyles = {
+    stdout: "text-white",
+    stderr: "text-danger",
+    stdin: "text-primary",
+}
+
+function RunTerminal() {
+    const { shownRun, terminal, lastExit, sendInput, closeInput } = useRunCode()
+    const scrollRef = useRef(null)
+    const inputRef = useRef(null)
+
+    // Keep the newest output in view, and the input ready for typing
+    useEffect(() => {
+        const scroller = scrollRef.current
+        if (scroller) scroller.scrollTop = scroller.scrollHeight
+    }, [terminal, lastExit])
+    // Only whoever started a run can type into it
+    const acceptsInput =
+        shownRun?.isOwn && shownRun.isRunning && shownRun.stage === "run"
+    useEffect(() => {
+        if (acceptsInput) inputRef.current?.focus()
+    }, [acceptsInput])
+
+    const copyOutput = () => {
+        navigator.clipboard.writeText(terminal.map(({ text }) => text).join(""))
+        toast.success("Output copied to clipboard")
+    }
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault()
+            sendInput(e.currentTarget.value)
+            e.currentTarget.value = ""
+        } else if (e.key === "d" && e.ctrlKey) {
+            e.preventDefault()
+            closeInput()
+        }
+    }
+
+    const status = shownRun?.isRunning
+        ? shownRun.stage === "compile"
+            ? "Compiling…"
+            : shownRun.stage === "run"
+              ? "Running…"
+              : "Waiting for the runner…"
+        : lastExit && describeExit(lastExit)
+    const failed = !shownRun?.isRunning && lastExit && isFailedExit(lastExit)
+    // Runs shared with the room say who ran what
+    const summary = shownRun?.summary
+
+    return (
+        <div className="flex min-h-0 w-full flex-grow flex-col gap-2">
+            <div className="flex w-full items-center justify-between gap-2">
+                <span>Output :</span>
+                <span
+                    className={`flex-grow truncate text-right text-xs ${
+                        failed ? "text-danger" : "text-gray-400"
+                    }`}
+                    title={status || undefined}
+                >
+                    {status}
+                </span>
+                <button onClick={copyOutput} title="Copy Output">
+                    <LuCopy size={18} className="cursor-pointer text-white" />
+                </button>
+            </div>
+            {summary && (
+                <p
+                    className="w-full truncate text-xs text-gray-400"
+                    title={
+                        summary.args.length > 0
+                            ? `Arguments: ${summary.args.join(" ")}`
+                            : undefined
+                    }
+                >
+                    {summary.username} ran{" "}
+                    {summary.mode === "test" ? "the tests" : summary.entry} for
+                    the room with {summary.language}
+                    {summary.version ? ` ${summary.version}` : ""}
+                </p>
+            )}
+            <div
+                ref={scrollRef}
+                className="flex w-full flex-grow flex-col overflow-y-auto rounded-md bg-darkHover p-2 font-mono text-sm"
+                onClick={() => inputRef.current?.focus()}
+            >
+                <pre className="text-wrap break-words">
+                    {terminal.map(({ stream, text }, index) => (
+                        <span key={index} className={streamStyles[stream]}>
+                            {text}
+                        </span>
+                    ))}
+                </pre>
+                {acceptsInput && (
+                    <div className="flex items-center gap-1 text-primary">
+                        <span>&gt;</span>
+                        <input
+                            ref={inputRef}
+                            type="text"
+                            className="w-full flex-grow border-none bg-transparent text-white outline-none"
+                            placeholder="Input, Enter to send, Ctrl+D to end"
+                            onKeyDown={handleKeyDown}
+                        />
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default RunTerminal
@@ -0,0 +1,144 @@
+import { useFileSystem } from "@/context/FileContext"
+import { useRunCode } from "@/context/RunCodeContext"
+import { formatDuration } from "@/utils/runResult"
+import { countTests } from "@/utils/testDetection"
+import {
+    LuCircleCheck,
+    LuCircleMinus,
+    LuCircleX,
+    LuFlaskConical,
+} from "react-icons/lu"
+
+const statusIcons = {
+    passed: { Icon: LuCircleCheck, className: "text-primary" },
+    failed: { Icon: LuCircleX, className: "text-danger" },
+    skipped: { Icon: LuCircleMinus, className: "text-gray-400" },
+}
+
+// Groups the tests by file, then by the suites they are in, in the order
+// they ran: `[{ file, fileId, suites: [{ name, tests }] }]`
+const groupTests = (tests) => {
+    const files = []
+    for (const test of tests) {
+        let file = files.find(({ file }) => file === test.file)
+        if (!file) {
+            file = { file: test.file, fileId: test.fileId, suites: [] }
+            files.push(file)
+        }
+        const name = test.suite.join(" › ")
+        let suite = file.suites.find((suite) => suite.name === name)
+        if (!suite) {
+            suite = { name, tests: [] }
+            file.suites.push(suite)
+        }
+        suite.tests.push(test)
+    }
+    return files
+}
+
+const describeCounts = ({ passed, failed, skipped }) =>
+    [
+        `${passed} passed`,
+        failed > 0 && `${failed} failed`,
+        skipped > 0 && `${skipped} skipped`,
+    ]
+        .filter(Boolean)
+        .join(", ")
+
+// How each test of the shown test run went; a test opens its file at the
+// line where it failed
+function TestResults() {
+    const { tests } = useRunCode()
+    const { openFile, revealLines } = useFileSystem()
+
+    if (!tests) return null
+
+    const showTest = ({ fileId, line }) => {
+        if (!fileId) return
+        if (line) revealLines(fileId, line)
+        else openFile(fileId)
+    }
+
+    return (
+        <details className="w-full" open>
+            <summary className="flex cursor-pointer items-center gap-2">
+                <LuFlaskConical size={16} />
+                {tests.length > 0
+                    ? `Tests: ${describeCounts(countTests(tests))}`
+                    : "No tests found"}
+            </summary>
+            <ul className="mt-2 flex max-h-[200px] flex-col gap-1 overflow-y-auto text-sm">
+                {groupTests(tests).map(({ file, fileId, suites }) => (
+                    <li key={file}>
+                        <button
+                            className="w-full truncate text-left font-bold disabled:cursor-default"
+                            onClick={() => showTest({ fileId })}
+                            disabled={!fileId}
+                            title={file}
+                        >
+                            {file}
+                        </button>
+                        <ul className="flex flex-col">
+                            {suites.map(({ name, tests }) => (
+                                <li key={name} className="pl-2">
+                                    {name && (
+                                        <p className="truncate text-gray-400">
+                                            {name}
+                                        </p>
+                                    )}
+                                    <ul className={name ? "pl-2" : undefined}>
+                                        {tests.map((test, index) => (
+                                            <TestResultItem
+                                                key={index}
+                                                test={test}
+                                                onShow={() => showTest(test)}
+                                            />
+                                        ))}
+                                    </ul>
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ul>
+        </details>
+    )
+}
+
+const TestResultItem = ({ test, onShow }) => {
+    const { Icon, className } = statusIcons[test.status]
+    return (
+        <li>
+            <button
+                className="flex w-full items-start gap-2 rounded-md px-1 text-left hover:bg-darkHover disabled:cursor-default"
+                onClick={onShow}
+                disabled={!test.fileId}
+                title={test.message || undefined}
+            >
+                <Icon size={14} className={`mt-[3px] shrink-0 ${className}`} />
+                <span className="min-w-0 flex-grow">
+                    <span className="block truncate">{test.name}</span>
+                    {test.message && (
+                        <span
+                            className={`block truncate text-xs ${
+                                test.status === "failed"
+                                    ? "text-danger"
+                                    : "text-gray-400"
+                            }`}
+                        >
+                            {test.line ? `Line ${test.line}: ` : ""}
+                            {test.message}
+                        </span>
+                    )}
+                </span>
+                {test.status !== "skipped" && (
+                    <span className="shrink-0 text-xs text-gray-400">
+                        {formatDuration(test.durationMs)}
+                    </span>
+                )}
+            </button>
+        </li>
+    )
+}
+
+export default TestResults
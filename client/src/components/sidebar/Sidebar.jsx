@@ -2,6 +2,7 @@ import SidebarButton from "@/components/sidebar/sidebar-views/SidebarButton"
 import { useAppContext } from "@/context/AppContext"
 import { useSocket } from "@/context/SocketContext"
 import { useViews } from "@/context/ViewContext"
+import { SocketEvent } from "@/types/socket"
 import useResponsive from "@/hooks/useResponsive"
 import useWindowDimensions from "@/hooks/useWindowDimensions"
 import { IoCodeSlash } from "react-icons/io5"
@@ -29,7 +30,7 @@ function Sidebar() {
         setShowTooltip(false)
         if (activityState === "coding") {
             setActivityState("drawing")
-            socket.emit("request_drawing")
+            socket.emit(SocketEvent.REQUEST_DRAWING)
         } else {
             setActivityState("coding")
         }
@@ -1,5 +1,6 @@
 import ChatInput from "@/components/chats/ChatInput"
 import ChatList from "@/components/chats/ChatList"
+import TypingIndicator from "@/components/chats/TypingIndicator"
 import useResponsive from "@/hooks/useResponsive"
 
 const ChatsView = () => {
@@ -13,6 +14,7 @@ const ChatsView = () => {
             <h1 className="view-title">Group Chat</h1>
             {/* Chat list */}
             <ChatList />
+            <TypingIndicator />
             {/* Chat input */}
             <ChatInput />
         </div>
@@ -1,6 +1,5 @@
 import { useCopilot } from "@/context/CopilotContext"
 import { useFileSystem } from "@/context/FileContext"
-import { useSocket } from "@/context/SocketContext"
 import useResponsive from "@/hooks/useResponsive"
 import toast from "react-hot-toast"
 import { LuClipboardPaste, LuCopy, LuRepeat } from "react-icons/lu"
@@ -9,10 +8,9 @@ import { Prism as SyntaxHighlighter } from "react-syntax-highlighter"
 import { dracula } from "react-syntax-highlighter/dist/esm/styles/prism"
 
 function CopilotView() {
-    const {socket} = useSocket()
     const { viewHeight } = useResponsive()
     const { generateCode, output, isRunning, setInput } = useCopilot()
-    const { activeFile, updateFileContent, setActiveFile } = useFileSystem()
+    const { activeFile, updateFileContent, getFileText } = useFileSystem()
 
     const copyOutput = async () => {
         try {
@@ -27,19 +25,13 @@ function CopilotView() {
 
     const pasteCodeInFile = () => {
         if (activeFile) {
-            const fileContent = activeFile.content
-                ? `${activeFile.content}\n`
-                : ""
+            // Appended to the file as others have it now, not as last rendered
+            const currentContent =
+                getFileText(activeFile.id)?.toString() ?? activeFile.content
+            const fileContent = currentContent ? `${currentContent}\n` : ""
             const content = `${fileContent}${output.replace(/```[\w]*\n?/g, "").trim()}`
             updateFileContent(activeFile.id, content)
-            // Update the content of the active file if it's the same file
-            setActiveFile({ ...activeFile, content })
             toast.success("Code pasted successfully")
-            // Emit the FILE_UPDATED event to the server
-            socket.emit("file_updated", {
-                fileId: activeFile.id,
-                newContent: content,
-            })
         }
     }
 
@@ -51,14 +43,7 @@ function CopilotView() {
             if (!isConfirmed) return
             const content = output.replace(/```[\w]*\n?/g, "").trim()
             updateFileContent(activeFile.id, content)
-            // Update the content of the active file if it's the same file
-            setActiveFile({ ...activeFile, content })
             toast.success("Code replaced successfully")
-            // Emit the FILE_UPDATED event to the server
-            socket.emit("file_updated", {
-                fileId: activeFile.id,
-                newContent: content,
-            })
         }
     }
 
@@ -1,30 +1,115 @@
+import ProblemsPanel from "@/components/run/ProblemsPanel"
+import RunHistory from "@/components/run/RunHistory"
+import RunTerminal from "@/components/run/RunTerminal"
+import TestResults from "@/components/run/TestResults"
+import { useFileSystem } from "@/context/FileContext"
 import { useRunCode } from "@/context/RunCodeContext"
 import useResponsive from "@/hooks/useResponsive"
-import { ChangeEvent } from "react"
-import toast from "react-hot-toast"
-import { LuCopy } from "react-icons/lu"
+import { getFileById } from "@/utils/file"
+import { detectRuntime, getLanguageLabel } from "@/utils/languageDetection"
+import {
+    MAX_RUN_INPUT_LENGTH,
+    getFilesWithPaths,
+    getRunScopes,
+} from "@/utils/runConfig"
+import { findTestFiles } from "@/utils/testDetection"
+import { ChangeEvent, useEffect, useState } from "react"
+import { LuFlaskConical, LuSave, LuSquare, LuTrash2 } from "react-icons/lu"
 import { PiCaretDownBold } from "react-icons/pi"
 
+// Longest name a run configuration is given
+const MAX_CONFIGURATION_NAME = 60
+
 function RunView() {
     const { viewHeight } = useResponsive()
     const {
-        setInput,
-        output,
         isRunning,
         supportedLanguages,
-        selectedLanguage,
-        setSelectedLanguage,
+        runConfig,
+        updateRunConfig,
+        configuration,
+        runSettings,
+        updateRunSettings,
+        saveConfiguration,
+        deleteConfiguration,
+        setFileLanguage,
+        entryFile,
         runCode,
+        runTests,
+        stopRun,
+        shareRun,
+        setShareRun,
     } = useRunCode()
+    const { fileStructure, activeFile, canEdit } = useFileSystem()
+
+    // Folders that can be run on their own, and the files in the chosen one
+    const scopes = getRunScopes(fileStructure)
+    const scope =
+        (runSettings.scopeId &&
+            getFileById(fileStructure, runSettings.scopeId)) ||
+        fileStructure
+    const entryOptions = getFilesWithPaths(scope)
+    // Test files in the folder, by the language that runs them
+    const testGroups = findTestFiles(scope)
+
+    // Arguments and input are shared once typing settles, not on every
+    // keystroke
+    const [args, setArgs] = useState(runSettings.args)
+    useEffect(() => setArgs(runSettings.args), [runSettings.args])
+    const commitArgs = () => {
+        if (args !== runSettings.args) updateRunSettings({ args })
+    }
+    const [stdin, setStdin] = useState(runSettings.stdin)
+    useEffect(() => setStdin(runSettings.stdin), [runSettings.stdin])
+    const commitStdin = () => {
+        if (stdin !== runSettings.stdin) updateRunSettings({ stdin })
+    }
+
+    const handleScopeChange = (e) => {
+        const scopeId = e.target.value || null
+        const newScope =
+            (scopeId && getFileById(fileStructure, scopeId)) || fileStructure
+        // An entry file outside the new folder can no longer be run
+        const keepsEntry =
+            runSettings.entryFileId &&
+            getFileById(newScope, runSettings.entryFileId)
+        updateRunSettings(
+            keepsEntry ? { scopeId } : { scopeId, entryFileId: null },
+        )
+    }
+
+    // The language picked here, for the configuration or else for the
+    // entry file, and what runs when none is: the entry file's own
+    const fileLanguage = entryFile && runConfig.fileLanguages[entryFile.id]
+    const pickedLanguage = configuration
+        ? configuration.language && {
+              language: configuration.language,
+              version: configuration.version,
+          }
+        : fileLanguage
+    const ownLanguage =
+        (configuration && fileLanguage) ||
+        (entryFile && detectRuntime(supportedLanguages, entryFile))
 
     const handleLanguageChange = (e) => {
-        const lang = JSON.parse(e.target.value)
-        setSelectedLanguage(lang)
+        const choice = e.target.value ? JSON.parse(e.target.value) : null
+        if (configuration) {
+            updateRunSettings({
+                language: choice?.language ?? "",
+                version: choice?.version ?? "",
+            })
+        } else setFileLanguage(entryFile.id, choice)
     }
 
-    const copyOutput = () => {
-        navigator.clipboard.writeText(output)
-        toast.success("Output copied to clipboard")
+    const handleSaveConfiguration = () => {
+        const name = prompt("Name the run configuration")?.trim()
+        if (name) saveConfiguration(name.slice(0, MAX_CONFIGURATION_NAME))
+    }
+
+    const handleDeleteConfiguration = () => {
+        if (confirm(`Delete the run configuration "${configuration.name}"?`)) {
+            deleteConfiguration(configuration.id)
+        }
     }
 
     return (
@@ -34,24 +119,153 @@ function RunView() {
         >
             <h1 className="view-title">Run Code</h1>
             <div className="flex h-[90%] w-full flex-col items-end gap-2 md:h-[92%]">
-                <div className="relative w-full">
+                <div
+                    className="grid w-full grid-cols-[auto_1fr] items-center gap-2 text-sm"
+                    title={
+                        canEdit
+                            ? undefined
+                            : "Only editors can change what the room runs"
+                    }
+                >
+                    <label htmlFor="run-configuration">Config</label>
+                    <div className="flex min-w-0 items-center gap-2">
+                        <select
+                            id="run-configuration"
+                            className="min-w-0 flex-grow rounded-md border-none bg-darkHover px-2 py-1 text-white outline-none disabled:opacity-50"
+                            value={runConfig.configurationId ?? ""}
+                            onChange={(e) =>
+                                updateRunConfig({
+                                    configurationId: e.target.value || null,
+                                })
+                            }
+                            disabled={!canEdit}
+                        >
+                            <option value="">Room settings</option>
+                            {runConfig.configurations.map(({ id, name }) => (
+                                <option key={id} value={id}>
+                                    {name}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            className="disabled:opacity-50"
+                            onClick={handleSaveConfiguration}
+                            title="Save these settings as a named configuration"
+                            disabled={!canEdit}
+                        >
+                            <LuSave size={16} />
+                        </button>
+                        {configuration && (
+                            <button
+                                className="disabled:opacity-50"
+                                onClick={handleDeleteConfiguration}
+                                title="Delete this configuration"
+                                disabled={!canEdit}
+                            >
+                                <LuTrash2 size={16} />
+                            </button>
+                        )}
+                    </div>
+                    <label htmlFor="run-scope">Folder</label>
+                    <select
+                        id="run-scope"
+                        className="min-w-0 rounded-md border-none bg-darkHover px-2 py-1 text-white outline-none disabled:opacity-50"
+                        value={runSettings.scopeId ?? ""}
+                        onChange={handleScopeChange}
+                        disabled={!canEdit}
+                    >
+                        <option value="">Whole workspace</option>
+                        {scopes.map(({ id, path }) => (
+                            <option key={id} value={id}>
+                                {path}
+                            </option>
+                        ))}
+                    </select>
+                    <label htmlFor="run-entry">Entry</label>
                     <select
-                        className="w-full rounded-md border-none bg-darkHover px-4 py-2 text-white outline-none"
-                        value={JSON.stringify(selectedLanguage)}
+                        id="run-entry"
+                        className="min-w-0 rounded-md border-none bg-darkHover px-2 py-1 text-white outline-none disabled:opacity-50"
+                        value={runSettings.entryFileId ?? ""}
+                        onChange={(e) =>
+                            updateRunSettings({
+                                entryFileId: e.target.value || null,
+                            })
+                        }
+                        disabled={!canEdit}
+                    >
+                        <option value="">
+                            Current file
+                            {activeFile ? ` (${activeFile.name})` : ""}
+                        </option>
+                        {entryOptions.map(({ file, path }) => (
+                            <option key={file.id} value={file.id}>
+                                {path}
+                            </option>
+                        ))}
+                    </select>
+                    <label htmlFor="run-args">Args</label>
+                    <input
+                        id="run-args"
+                        className="min-w-0 rounded-md border-none bg-darkHover px-2 py-1 text-white outline-none disabled:opacity-50"
+                        placeholder={'e.g. --name "Ada Lovelace"'}
+                        value={args}
+                        maxLength={1000}
+                        onChange={(e) => setArgs(e.target.value)}
+                        onBlur={commitArgs}
+                        onKeyDown={(e) => e.key === "Enter" && commitArgs()}
+                        disabled={!canEdit}
+                    />
+                    <label htmlFor="run-stdin" className="self-start pt-1">
+                        Input
+                    </label>
+                    <textarea
+                        id="run-stdin"
+                        className="min-w-0 resize-y rounded-md border-none bg-darkHover px-2 py-1 font-mono text-white outline-none disabled:opacity-50"
+                        placeholder="Sent to the program when it starts"
+                        rows={stdin.includes("\n") ? 3 : 1}
+                        value={stdin}
+                        maxLength={MAX_RUN_INPUT_LENGTH}
+                        onChange={(e) => setStdin(e.target.value)}
+                        onBlur={commitStdin}
+                        disabled={!canEdit}
+                    />
+                </div>
+                <div
+                    className="relative w-full"
+                    title={
+                        canEdit
+                            ? configuration
+                                ? "The language this configuration runs in"
+                                : "The language the entry file runs in, for everyone in the room"
+                            : "Only editors can change what the room runs"
+                    }
+                >
+                    <select
+                        className="w-full rounded-md border-none bg-darkHover px-4 py-2 text-white outline-none disabled:opacity-50"
+                        value={
+                            pickedLanguage ? JSON.stringify(pickedLanguage) : ""
+                        }
                         onChange={handleLanguageChange}
+                        disabled={!canEdit || (!configuration && !entryFile)}
                     >
+                        <option value="">
+                            {ownLanguage
+                                ? `Automatic: ${getLanguageLabel(ownLanguage.language)}`
+                                : "Automatic: unknown language"}
+                        </option>
                         {supportedLanguages
                             .sort((a, b) => (a.language > b.language ? 1 : -1))
-                            .map((lang, i) => {
+                            .map(({ language, version }, i) => {
                                 return (
                                     <option
                                         key={i}
-                                        value={JSON.stringify(lang)}
+                                        value={JSON.stringify({
+                                            language,
+                                            version,
+                                        })}
                                     >
-                                        {lang.language +
-                                            (lang.version
-                                                ? ` (${lang.version})`
-                                                : "")}
+                                        {language +
+                                            (version ? ` (${version})` : "")}
                                     </option>
                                 )
                             })}
@@ -61,32 +275,83 @@ function RunView() {
                         className="absolute bottom-3 right-4 z-10 text-white"
                     />
                 </div>
-                <textarea
-                    className="min-h-[120px] w-full resize-none rounded-md border-none bg-darkHover p-2 text-white outline-none"
-                    placeholder="Write you input here..."
-                    onChange={(e) => setInput(e.target.value)}
-                />
-                <button
-                    className="flex w-full justify-center rounded-md bg-primary p-2 font-bold text-black outline-none disabled:cursor-not-allowed disabled:opacity-50"
-                    onClick={runCode}
-                    disabled={isRunning}
-                >
-                    Run
-                </button>
-                <label className="flex w-full justify-between">
-                    Output :
-                    <button onClick={copyOutput} title="Copy Output">
-                        <LuCopy
-                            size={18}
-                            className="cursor-pointer text-white"
-                        />
+                {isRunning ? (
+                    <button
+                        className="flex w-full items-center justify-center gap-2 rounded-md bg-danger p-2 font-bold text-white outline-none"
+                        onClick={stopRun}
+                    >
+                        <LuSquare size={14} />
+                        Stop
                     </button>
+                ) : (
+                    <button
+                        className="flex w-full justify-center rounded-md bg-primary p-2 font-bold text-black outline-none disabled:cursor-not-allowed disabled:opacity-50"
+                        onClick={runCode}
+                        title={entryFile ? `Run ${entryFile.name}` : undefined}
+                    >
+                        Run
+                    </button>
+                )}
+                {!isRunning && testGroups.length > 0 && (
+                    <div className="flex w-full gap-2">
+                        {testGroups.map((group) => (
+                            <button
+                                key={group.language}
+                                className="flex flex-grow items-center justify-center gap-2 rounded-md border border-primary p-2 text-primary outline-none hover:bg-darkHover"
+                                onClick={() => runTests(group)}
+                                title={group.files
+                                    .map(({ path }) => path)
+                                    .join("\n")}
+                            >
+                                <LuFlaskConical size={16} />
+                                {testGroups.length > 1
+                                    ? `${group.label} tests`
+                                    : "Run tests"}{" "}
+                                ({group.files.length})
+                            </button>
+                        ))}
+                    </div>
+                )}
+                <label
+                    className="flex w-full cursor-pointer items-center gap-2 text-sm"
+                    title={
+                        canEdit
+                            ? "Everyone in the room sees the output, and the run is kept in the room's history"
+                            : "Only editors can run code for the room"
+                    }
+                >
+                    <input
+                        type="checkbox"
+                        className="accent-primary"
+                        checked={shareRun && canEdit}
+                        onChange={(e) => setShareRun(e.target.checked)}
+                        disabled={isRunning || !canEdit}
+                    />
+                    Run for the room
                 </label>
-                <div className="w-full flex-grow resize-none overflow-y-auto rounded-md border-none bg-darkHover p-2 text-white outline-none">
-                    <code>
-                        <pre className="text-wrap">{output}</pre>
-                    </code>
-                </div>
+                <label
+                    className="flex w-full cursor-pointer items-center gap-2 text-sm"
+                    title={
+                        canEdit
+                            ? "Shows the folder's HTML, CSS and JavaScript as a web page next to the editor, for everyone in the room"
+                            : "Only editors can change what the room runs"
+                    }
+                >
+                    <input
+                        type="checkbox"
+                        className="accent-primary"
+                        checked={runConfig.preview}
+                        onChange={(e) =>
+                            updateRunConfig({ preview: e.target.checked })
+                        }
+                        disabled={!canEdit}
+                    />
+                    Web preview
+                </label>
+                <RunTerminal />
+                <ProblemsPanel />
+                <TestResults />
+                <RunHistory />
             </div>
         </div>
     )
@@ -4,7 +4,6 @@ import useResponsive from "@/hooks/useResponsive"
 import { editorFonts } from "@/resources/Fonts"
 import { editorThemes } from "@/resources/Themes"
 import { langNames } from "@uiw/codemirror-extensions-langs"
-import { ChangeEvent, useEffect } from "react"
 
 function SettingsView() {
     const {
@@ -33,16 +32,6 @@ function SettingsView() {
     const handleShowGitHubCornerChange = (e) =>
         setShowGitHubCorner(e.target.checked)
 
-    useEffect(() => {
-        // Set editor font family
-        const editor = document.querySelector(
-            ".cm-editor > .cm-scroller",
-        )
-        if (editor !== null) {
-            editor.style.fontFamily = `${fontFamily}, monospace`
-        }
-    }, [fontFamily])
-
     return (
         <div
             className="flex flex-col items-center gap-2 p-4"
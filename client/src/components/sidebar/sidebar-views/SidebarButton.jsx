@@ -7,7 +7,7 @@ import { buttonStyles, tooltipStyles } from "../tooltipStyles"
 function SidebarButton({ viewName, icon }) {
     const { activeView, setActiveView, isSidebarOpen, setIsSidebarOpen } =
         useViews()
-    const { isNewMessage } = useChatRoom()
+    const { unreadCount, unreadMentions } = useChatRoom()
     const [showTooltip, setShowTooltip] = useState(true)
 
     const handleViewClick = (viewName) => {
@@ -31,9 +31,20 @@ function SidebarButton({ viewName, icon }) {
                 })}
             >
                 <div className="flex items-center justify-center">{icon}</div>
-                {/* Show dot for new message in chat View Button */}
-                {viewName === "chats" && isNewMessage && (
-                    <div className="absolute right-0 top-0 h-3 w-3 rounded-full bg-primary"></div>
+                {/* Unread messages on the chat View Button, in red when
+                    someone mentioned us */}
+                {viewName === "chats" && unreadCount > 0 && (
+                    <div
+                        className={`absolute right-0 top-0 flex h-4 min-w-4 items-center justify-center rounded-full px-1 text-[10px] font-bold text-black ${unreadMentions > 0 ? "bg-red-500" : "bg-primary"}`}
+                        title={
+                            unreadMentions > 0
+                                ? `${unreadMentions} unread mention${unreadMentions > 1 ? "s" : ""}`
+                                : undefined
+                        }
+                    >
+                        {unreadMentions > 0 && "@"}
+                        {unreadCount > 99 ? "99+" : unreadCount}
+                    </div>
                 )}
             </button>
             {/* render the tooltip */}
@@ -1,6 +1,8 @@
+import RoomAccessPanel from "@/components/common/RoomAccessPanel"
 import Users from "@/components/common/Users"
 import { useAppContext } from "@/context/AppContext"
 import { useSocket } from "@/context/SocketContext"
+import { isOwner } from "@/types/user"
 import useResponsive from "@/hooks/useResponsive"
 import toast from "react-hot-toast"
 import { GoSignOut } from "react-icons/go"
@@ -11,7 +13,7 @@ import { useNavigate } from "react-router-dom"
 function UsersView() {
     const navigate = useNavigate()
     const { viewHeight } = useResponsive()
-    const { setStatus } = useAppContext()
+    const { setStatus, currentUser } = useAppContext()
     const { socket } = useSocket()
 
     const copyURL = async () => {
@@ -48,6 +50,7 @@ function UsersView() {
             <h1 className="view-title">Users</h1>
             {/* List of connected users */}
             <Users />
+            {isOwner(currentUser) && <RoomAccessPanel />}
             <div className="flex flex-col items-center gap-4 pt-4">
                 <div className="flex w-full gap-4">
                     {/* Share URL button */}
@@ -1,7 +1,6 @@
 export const SocketEvent = {
     JOIN_ROOM: "join_room",
     LEAVE_ROOM: "leave_room",
-    FILE_UPDATED: "file_updated",
     TYPING_START: "typing_start",
     TYPING_PAUSE: "typing_pause",
     CURSOR_MOVE: "cursor_move",
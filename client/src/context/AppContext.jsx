@@ -21,6 +21,12 @@ function AppContextProvider({ children }) {
     })
     const [activityState, setActivityState] = useState(null)
     const [drawingData, setDrawingData] = useState(null)
+    // Room owner and entry rules ({ owner, hasPassword, knockToJoin })
+    const [roomAccess, setRoomAccess] = useState(null)
+    // Joiners waiting for the owner's approval (owner only)
+    const [joinRequests, setJoinRequests] = useState([])
+    // Id of the member whose file we follow, if any
+    const [followedUserId, setFollowedUserId] = useState(null)
 
     return (
         <AppContext.Provider
@@ -35,6 +41,12 @@ function AppContextProvider({ children }) {
                 setActivityState,
                 drawingData,
                 setDrawingData,
+                roomAccess,
+                setRoomAccess,
+                joinRequests,
+                setJoinRequests,
+                followedUserId,
+                setFollowedUserId,
             }}
         >
             {children}
@@ -1,8 +1,28 @@
-import { createContext, useContext, useEffect, useState } from "react"
+import { SocketEvent } from "@/types/socket"
+import { createChatMessage } from "@/types/chat"
+import { buildSnippetMessage } from "@/utils/chatReference"
+import { getFileById, getFilePath } from "@/utils/file"
+import { getLanguageName } from "@/utils/getLanguageName"
+import {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useRef,
+    useState,
+} from "react"
+import { toast } from "react-hot-toast"
+import { v4 as uuidV4 } from "uuid"
+import { useAppContext } from "./AppContext"
+import { useFileSystem } from "./FileContext"
 import { useSocket } from "./SocketContext"
+import { useViews } from "./ViewContext"
 
 const ChatContext = createContext(null)
 
+// Longest message the server accepts
+const MAX_MESSAGE_LENGTH = 4000
+
 export const useChatRoom = () => {
     const context = useContext(ChatContext)
     if (!context) {
@@ -11,32 +31,239 @@ export const useChatRoom = () => {
     return context
 }
 
+// Adds a message, or replaces the copy with the same id (a pending message
+// coming back from the server)
+const upsertMessage = (messages, message) => {
+    const index = messages.findIndex(({ id }) => id === message.id)
+    if (index === -1) return [...messages, message]
+    const next = [...messages]
+    next[index] = message
+    return next
+}
+
 function ChatContextProvider({ children }) {
-    const { socket } = useSocket()
+    const { socket, emitRoomEvent } = useSocket()
+    const { currentUser } = useAppContext()
+    const { fileStructure } = useFileSystem()
+    const { activeView, setActiveView, isSidebarOpen, setIsSidebarOpen } =
+        useViews()
     const [messages, setMessages] = useState([])
-    const [isNewMessage, setIsNewMessage] = useState(false)
     const [lastScrollHeight, setLastScrollHeight] = useState(0)
+    const [hasMoreMessages, setHasMoreMessages] = useState(false)
+    const [isLoadingHistory, setIsLoadingHistory] = useState(false)
+    // Messages from others that arrived while the chat was hidden, and how
+    // many of them mention us. The server keeps our read marker, so the
+    // counts survive reloads.
+    const [unreadCount, setUnreadCount] = useState(0)
+    const [unreadMentions, setUnreadMentions] = useState(0)
+    const isChatVisible = activeView === "chats" && isSidebarOpen
+    const isChatVisibleRef = useRef(isChatVisible)
+    isChatVisibleRef.current = isChatVisible
+    // Timestamp of the latest message reported as read
+    const lastReadRef = useRef("")
 
     useEffect(() => {
-        socket.on(
-            "receive_message",
-            ({ message }) => {
-                setMessages((messages) => [...messages, message])
-                setIsNewMessage(true)
-            },
-        )
+        // Recent history arrives with the workspace. Messages still waiting
+        // in the offline outbox stay at the end.
+        const handleJoined = ({ chat }) => {
+            if (!chat) return
+            setMessages((prev) => {
+                const ids = new Set(chat.messages.map(({ id }) => id))
+                return [
+                    ...chat.messages,
+                    ...prev.filter(({ id, pending }) => pending && !ids.has(id)),
+                ]
+            })
+            setHasMoreMessages(chat.hasMore)
+            setUnreadCount(chat.unread ?? 0)
+            setUnreadMentions(chat.mentions ?? 0)
+        }
+
+        const handleReceive = ({ message }) => {
+            setMessages((prev) => upsertMessage(prev, message))
+            if (message.userId === currentUser.id || isChatVisibleRef.current) {
+                return
+            }
+            setUnreadCount((count) => count + 1)
+            if (message.mentions?.includes(currentUser.id)) {
+                setUnreadMentions((count) => count + 1)
+            }
+        }
+
+        const handleUpdated = ({ message }) => {
+            setMessages((prev) =>
+                prev.map((m) => (m.id === message.id ? message : m)),
+            )
+        }
+
+        const handleDeleted = ({ messageId }) => {
+            setMessages((prev) => prev.filter(({ id }) => id !== messageId))
+        }
+
+        const handleMentioned = ({ message }) => {
+            if (isChatVisibleRef.current) return
+            toast(`${message.username} mentioned you in the chat`, {
+                icon: "💬",
+            })
+        }
+
+        socket.on(SocketEvent.JOIN_SUCCESS, handleJoined)
+        socket.on(SocketEvent.RECEIVE_MESSAGE, handleReceive)
+        socket.on(SocketEvent.MESSAGE_UPDATED, handleUpdated)
+        socket.on(SocketEvent.MESSAGE_DELETED, handleDeleted)
+        socket.on(SocketEvent.USER_MENTIONED, handleMentioned)
         return () => {
-            socket.off("receive_message")
+            socket.off(SocketEvent.JOIN_SUCCESS, handleJoined)
+            socket.off(SocketEvent.RECEIVE_MESSAGE, handleReceive)
+            socket.off(SocketEvent.MESSAGE_UPDATED, handleUpdated)
+            socket.off(SocketEvent.MESSAGE_DELETED, handleDeleted)
+            socket.off(SocketEvent.USER_MENTIONED, handleMentioned)
         }
-    }, [socket])
+    }, [currentUser.id, socket])
+
+    // Reading the chat clears the counters and moves our read marker
+    useEffect(() => {
+        if (!isChatVisible) return
+        setUnreadCount(0)
+        setUnreadMentions(0)
+
+        const latest = [...messages].reverse().find(({ pending }) => !pending)
+        if (!latest || latest.timestamp <= lastReadRef.current) return
+        lastReadRef.current = latest.timestamp
+        emitRoomEvent(SocketEvent.MARK_CHAT_READ, {
+            timestamp: latest.timestamp,
+        })
+    }, [emitRoomEvent, isChatVisible, messages])
+
+    // Shown right away as pending; the server's copy, stamped with its
+    // clock, replaces it once relayed
+    const sendMessage = useCallback(
+        (text) => {
+            if (text.length > MAX_MESSAGE_LENGTH) {
+                toast.error("That message is too long to send")
+                return false
+            }
+
+            const message = createChatMessage({
+                id: uuidV4(),
+                message: text,
+                userId: currentUser.id,
+                username: currentUser.username,
+                timestamp: new Date().toISOString(),
+                pending: true,
+            })
+            setMessages((prev) => [...prev, message])
+            emitRoomEvent(SocketEvent.SEND_MESSAGE, {
+                message: { id: message.id, message: text },
+            })
+            return true
+        },
+        [currentUser.id, currentUser.username, emitRoomEvent],
+    )
+
+    // Posts lines of a file as a code block headed by a reference that
+    // opens the file at those lines, then shows the chat
+    const shareSnippet = useCallback(
+        ({ fileId, fromLine, toLine, code }) => {
+            const file = getFileById(fileStructure, fileId)
+            const path = getFilePath(fileStructure, fileId)
+            if (!file || !path) return
+
+            const sent = sendMessage(
+                buildSnippetMessage({
+                    path,
+                    fromLine,
+                    toLine,
+                    language: getLanguageName(file.name),
+                    code,
+                }),
+            )
+            if (!sent) return
+            setActiveView("chats")
+            setIsSidebarOpen(true)
+        },
+        [fileStructure, sendMessage, setActiveView, setIsSidebarOpen],
+    )
+
+    // Only the author's edits and deletes are accepted by the server. Both
+    // show right away; the server's broadcast confirms them.
+    const editMessage = useCallback(
+        (messageId, text) => {
+            const newText = text.trim()
+            if (!newText || newText.length > MAX_MESSAGE_LENGTH) return false
+            setMessages((prev) =>
+                prev.map((m) =>
+                    m.id === messageId ? { ...m, message: newText } : m,
+                ),
+            )
+            emitRoomEvent(SocketEvent.EDIT_MESSAGE, {
+                messageId,
+                message: newText,
+            })
+            return true
+        },
+        [emitRoomEvent],
+    )
+
+    const deleteMessage = useCallback(
+        (messageId) => {
+            setMessages((prev) => prev.filter(({ id }) => id !== messageId))
+            emitRoomEvent(SocketEvent.DELETE_MESSAGE, { messageId })
+        },
+        [emitRoomEvent],
+    )
+
+    // Adds our reaction, or takes it back if we already reacted so
+    const toggleReaction = useCallback(
+        (messageId, emoji) =>
+            emitRoomEvent(SocketEvent.REACT_TO_MESSAGE, { messageId, emoji }),
+        [emitRoomEvent],
+    )
+
+    // Fetches the page before the oldest message shown. Returns whether a
+    // request was made.
+    const loadOlderMessages = useCallback(() => {
+        const oldest = messages.find(({ pending }) => !pending)
+        if (!hasMoreMessages || isLoadingHistory || !oldest) return false
+
+        setIsLoadingHistory(true)
+        socket.emit(
+            SocketEvent.CHAT_HISTORY,
+            { before: oldest.id },
+            (response) => {
+                setIsLoadingHistory(false)
+                if (response?.error) {
+                    toast.error(response.error)
+                    return
+                }
+                setMessages((prev) => {
+                    const ids = new Set(prev.map(({ id }) => id))
+                    return [
+                        ...response.messages.filter(({ id }) => !ids.has(id)),
+                        ...prev,
+                    ]
+                })
+                setHasMoreMessages(response.hasMore)
+            },
+        )
+        return true
+    }, [hasMoreMessages, isLoadingHistory, messages, socket])
 
     return (
         <ChatContext.Provider
             value={{
                 messages,
                 setMessages,
-                isNewMessage,
-                setIsNewMessage,
+                sendMessage,
+                shareSnippet,
+                editMessage,
+                deleteMessage,
+                toggleReaction,
+                hasMoreMessages,
+                isLoadingHistory,
+                loadOlderMessages,
+                unreadCount,
+                unreadMentions,
                 lastScrollHeight,
                 setLastScrollHeight,
             }}
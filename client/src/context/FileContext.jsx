@@ -6,15 +6,24 @@ import {
 } from "@/utils/file"
 import { saveAs } from "file-saver"
 import JSZip from "jszip"
+import {
+    applyTextChange,
+    getFileTexts,
+    REMOTE_ORIGIN,
+} from "@/utils/collab"
 import {
     createContext,
     useCallback,
     useContext,
     useEffect,
+    useRef,
     useState,
 } from "react"
 import { toast } from "react-hot-toast"
 import { v4 as uuidv4 } from "uuid"
+import * as Y from "yjs"
+import { SocketEvent } from "@/types/socket"
+import { canEdit as canUserEdit } from "@/types/user"
 import { useAppContext } from "./AppContext"
 import { useSocket } from "./SocketContext"
 
@@ -29,8 +38,13 @@ export const useFileSystem = () => {
 }
 
 function FileContextProvider({ children }) {
-    const { socket } = useSocket()
-    const { setUsers, drawingData } = useAppContext()
+    const { socket, emitRoomEvent, replayOutbox } = useSocket()
+    const { users, setUsers, currentUser, followedUserId, setFollowedUserId } =
+        useAppContext()
+    // Viewers can browse the workspace but not change it
+    const canEdit = canUserEdit(currentUser)
+    const canEditRef = useRef(canEdit)
+    canEditRef.current = canEdit
 
     const [fileStructure, setFileStructure] = useState(initialFileStructure)
     const initialOpenFiles = fileStructure.children
@@ -38,6 +52,23 @@ function FileContextProvider({ children }) {
         : []
     const [openFiles, setOpenFiles] = useState(initialOpenFiles)
     const [activeFile, setActiveFile] = useState(openFiles[0])
+    // Line range the editor should bring into view, consumed by the editor
+    const [lineReveal, setLineReveal] = useState(null)
+    // Shared document holding the text of every file in the room
+    const [doc, setDoc] = useState(() => new Y.Doc())
+    const docRef = useRef(doc)
+    // Room the document belongs to, to recognise a rejoin
+    const roomIdRef = useRef(null)
+    // Set by a workspace sync; the outbox is replayed once it has rendered
+    const [outboxPending, setOutboxPending] = useState(false)
+
+    // Local changes by a viewer would be rejected by the server, so they are
+    // stopped here. Changes received from the server always go through.
+    const blockViewer = useCallback((sendToSocket = true) => {
+        if (!sendToSocket || canEditRef.current) return false
+        toast.error("Viewers can't change files in this room")
+        return true
+    }, [])
 
     // Function to toggle the isOpen property of a directory (Directory Open/Close)
     const toggleDirectory = (dirId) => {
@@ -74,6 +105,7 @@ function FileContextProvider({ children }) {
     }
 
     const createDirectory = useCallback((parentDirId, newDir, sendToSocket = true) => {
+            if (blockViewer(sendToSocket)) return null
             let newDirectory
             if (typeof newDir === "string") {
                 newDirectory = {
@@ -113,17 +145,18 @@ function FileContextProvider({ children }) {
             )
 
             if (!sendToSocket) return newDirectory.id
-            socket.emit("directory_created", {
+            emitRoomEvent(SocketEvent.DIRECTORY_CREATED, {
                 parentDirId,
                 newDirectory,
             })
 
             return newDirectory.id
         },
-        [fileStructure.id, socket],
+        [blockViewer, fileStructure.id, emitRoomEvent],
     )
 
     const updateDirectory = useCallback((dirId, children, sendToSocket = true) => {
+            if (blockViewer(sendToSocket)) return
             if (!dirId) dirId = fileStructure.id
 
             const updateChildren = (directory) => {
@@ -158,15 +191,16 @@ function FileContextProvider({ children }) {
             }
 
             if (!sendToSocket) return
-            socket.emit("directory_updated", {
+            emitRoomEvent(SocketEvent.DIRECTORY_UPDATED, {
                 dirId,
                 children,
             })
         },
-        [fileStructure.id, socket],
+        [blockViewer, fileStructure.id, emitRoomEvent],
     )
 
     const renameDirectory = useCallback((dirId, newDirName, sendToSocket = true) => {
+        if (blockViewer(sendToSocket)) return false
         const renameInDirectory = (
             directory,
         ) => {
@@ -216,15 +250,16 @@ function FileContextProvider({ children }) {
         setFileStructure(updatedFileStructure)
 
         if (!sendToSocket) return true
-        socket.emit("directory_renamed", {
+        emitRoomEvent(SocketEvent.DIRECTORY_RENAMED, {
             dirId,
-            newDirName,
+            newName: newDirName,
         })
 
         return true
-    }, [socket, setFileStructure, fileStructure])
+    }, [blockViewer, emitRoomEvent, setFileStructure, fileStructure])
 
     const deleteDirectory = useCallback((dirId, sendToSocket = true) => {
+            if (blockViewer(sendToSocket)) return
             const deleteFromDirectory = (directory) => {
                 if (directory.type === "directory" && directory.id === dirId) {
                     // If the current directory matches the one to delete, return null (remove it)
@@ -249,17 +284,15 @@ function FileContextProvider({ children }) {
             )
 
             if (!sendToSocket) return
-            socket.emit("directory_deleted", { dirId })
+            emitRoomEvent(SocketEvent.DIRECTORY_DELETED, { dirId })
         },
-        [socket],
+        [blockViewer, emitRoomEvent],
     )
 
     const openFile = (fileId) => {
         const file = getFileById(fileStructure, fileId)
 
         if (file) {
-            updateFileContent(activeFile?.id || "", activeFile?.content || "") // Save the content of the previously active file
-
             // Add the file to openFiles if it's not already open
             if (!openFiles.some((file) => file.id === fileId)) {
                 setOpenFiles((prevOpenFiles) => [...prevOpenFiles, file])
@@ -283,11 +316,45 @@ function FileContextProvider({ children }) {
         }
     }
 
+    // Opens a file and asks the editor to select and scroll to a line range
+    // (1-based, inclusive), e.g. when a reference in the chat is clicked
+    const revealLines = (fileId, fromLine, toLine = fromLine) => {
+        openFile(fileId)
+        setLineReveal({ fileId, fromLine, toLine })
+    }
+
+    // While following someone, open whichever file they move to. Following
+    // ends when they leave the room or we switch to another file ourselves.
+    const openFileRef = useRef(openFile)
+    openFileRef.current = openFile
+    const followedUser = followedUserId
+        ? users.find(({ id }) => id === followedUserId)
+        : null
+    const followedFileId = followedUser?.currentFile
+    const followedFileIdRef = useRef(followedFileId)
+    followedFileIdRef.current = followedFileId
+    const activeFileId = activeFile?.id
+
+    // Runs only when our file changes: when they move, our file catches up
+    // on the next render and matches theirs again
+    useEffect(() => {
+        const followedFile = followedFileIdRef.current
+        if (followedFile && activeFileId && activeFileId !== followedFile) {
+            setFollowedUserId(null)
+        }
+    }, [activeFileId, setFollowedUserId])
+
+    useEffect(() => {
+        if (followedUserId && !followedUser) setFollowedUserId(null)
+    }, [followedUserId, followedUser, setFollowedUserId])
+
+    useEffect(() => {
+        if (followedFileId) openFileRef.current(followedFileId)
+    }, [followedUserId, followedFileId])
+
     const closeFile = (fileId) => {
         // Set the active file to next file if there is one
         if (fileId === activeFile?.id) {
-            // Save the content of the active file before closing
-            updateFileContent(activeFile.id, activeFile.content || "")
             const fileIndex = openFiles.findIndex((file) => file.id === fileId)
 
             if (fileIndex !== -1 && openFiles.length > 1) {
@@ -308,6 +375,7 @@ function FileContextProvider({ children }) {
     }
 
     const createFile = useCallback((parentDirId, file, sendToSocket = true) => {
+            if (blockViewer(sendToSocket)) return null
             // Check if file with same name already exists
             let num = 1
 
@@ -371,17 +439,18 @@ function FileContextProvider({ children }) {
             setActiveFile(newFile)
 
             if (!sendToSocket) return newFile.id
-            socket.emit("file_created", {
+            emitRoomEvent(SocketEvent.FILE_CREATED, {
                 parentDirId,
                 newFile,
             })
 
             return newFile.id
         },
-        [fileStructure, socket],
+        [blockViewer, fileStructure, emitRoomEvent],
     )
 
-    const updateFileContent = useCallback((fileId, newContent) => {
+    // Mirror a file's text into the tree, open files and active file
+    const setFileContent = useCallback((fileId, newContent) => {
             // Recursive function to find and update the file
             const updateFile = (directory) => {
                 if (directory.type === "file" && directory.id === fileId) {
@@ -408,25 +477,51 @@ function FileContextProvider({ children }) {
             )
 
             // Update openFiles if the file is open
-            if (openFiles.some((file) => file.id === fileId)) {
-                setOpenFiles((prevOpenFiles) =>
-                    prevOpenFiles.map((file) => {
-                        if (file.id === fileId) {
-                            return {
-                                ...file,
-                                content: newContent,
-                            }
-                        } else {
-                            return file
+            setOpenFiles((prevOpenFiles) =>
+                prevOpenFiles.map((file) => {
+                    if (file.id === fileId) {
+                        return {
+                            ...file,
+                            content: newContent,
                         }
-                    }),
-                )
+                    } else {
+                        return file
+                    }
+                }),
+            )
+
+            // Update the active file if it's the same file
+            setActiveFile((prevActiveFile) =>
+                prevActiveFile?.id === fileId
+                    ? { ...prevActiveFile, content: newContent }
+                    : prevActiveFile,
+            )
+        },
+        [],
+    )
+
+    const getFileText = useCallback(
+        (fileId) => getFileTexts(doc).get(fileId) || null,
+        [doc],
+    )
+
+    const updateFileContent = useCallback((fileId, newContent) => {
+            const text = getFileText(fileId)
+            if (text?.toString() === newContent) return
+            if (blockViewer()) return
+            if (!text) {
+                // Not shared yet (e.g. before joining), keep it local
+                setFileContent(fileId, newContent)
+                return
             }
+            // The text observer mirrors the result back into state
+            applyTextChange(text, newContent)
         },
-        [openFiles],
+        [blockViewer, getFileText, setFileContent],
     )
 
     const renameFile = useCallback((fileId, newName, sendToSocket = true) => {
+        if (blockViewer(sendToSocket)) return false
         const renameInDirectory = (
             directory,
         ) => {
@@ -482,15 +577,16 @@ function FileContextProvider({ children }) {
         }
 
         if (!sendToSocket) return true
-        socket.emit("file_renamed", {
+        emitRoomEvent(SocketEvent.FILE_RENAMED, {
             fileId,
             newName,
         })
 
         return true
-    }, [activeFile?.id, socket])
+    }, [activeFile?.id, blockViewer, emitRoomEvent])
 
     const deleteFile = useCallback((fileId, sendToSocket = true) => {
+            if (blockViewer(sendToSocket)) return
             // Recursive function to find and delete the file in nested directories
             const deleteFileFromDirectory = (directory) => {
                 if (directory.type === "directory" && directory.children) {
@@ -539,9 +635,9 @@ function FileContextProvider({ children }) {
             toast.success("File deleted successfully")
 
             if (!sendToSocket) return
-            socket.emit("file_deleted", { fileId })
+            emitRoomEvent(SocketEvent.FILE_DELETED, { fileId })
         },
-        [activeFile?.id, openFiles, socket],
+        [activeFile?.id, blockViewer, openFiles, emitRoomEvent],
     )
 
     const downloadFilesAndFolders = () => {
@@ -578,32 +674,71 @@ function FileContextProvider({ children }) {
 
     const handleUserJoined = useCallback(({ user }) => {
             toast.success(`${user.username} joined the room`)
+            setUsers((prev) => [...prev, user])
+        },
+        [setUsers],
+    )
 
-            // Send the code and drawing data to the server
-            socket.emit("sync_file_structure", {
-                fileStructure,
-                openFiles,
-                activeFile,
-                socketId: user.socketId,
-            })
+    // The server owns the room workspace and hands it over on join. Back in
+    // the same room after a reconnect, the local document is kept: the
+    // server's state is merged into it and the edits the server is missing
+    // are sent back, so text typed offline survives concurrent changes.
+    const applyWorkspace = useCallback((roomId, workspace) => {
+            const serverState = workspace.docState
+                ? new Uint8Array(workspace.docState)
+                : null
+
+            if (roomId && roomId === roomIdRef.current) {
+                setFileStructure(workspace.fileStructure)
+                setOpenFiles((prev) =>
+                    prev.filter((file) =>
+                        getFileById(workspace.fileStructure, file.id),
+                    ),
+                )
+                setActiveFile((prev) =>
+                    prev && getFileById(workspace.fileStructure, prev.id)
+                        ? prev
+                        : workspace.activeFile,
+                )
 
-            socket.emit("sync_drawing", {
-                drawingData,
-                socketId: user.socketId,
-            })
+                const localDoc = docRef.current
+                if (serverState) {
+                    Y.applyUpdate(localDoc, serverState, REMOTE_ORIGIN)
+                }
+                const missing = Y.encodeStateAsUpdate(
+                    localDoc,
+                    serverState
+                        ? Y.encodeStateVectorFromUpdate(serverState)
+                        : undefined,
+                )
+                socket.emit(SocketEvent.DOCUMENT_UPDATE, { update: missing })
+                // The server's tree predates the merge
+                getFileTexts(localDoc).forEach((text, fileId) =>
+                    setFileContent(fileId, text.toString()),
+                )
+                return
+            }
 
-            setUsers((prev) => [...prev, user])
+            const nextDoc = new Y.Doc()
+            if (serverState) Y.applyUpdate(nextDoc, serverState, REMOTE_ORIGIN)
+            // Updates can arrive before React re-renders with the new doc
+            docRef.current = nextDoc
+            roomIdRef.current = roomId
+            setDoc(nextDoc)
+
+            setFileStructure(workspace.fileStructure)
+            setOpenFiles(workspace.openFiles)
+            setActiveFile(workspace.activeFile)
         },
-        [activeFile, drawingData, fileStructure, openFiles, setUsers, socket],
+        [setFileContent, socket],
     )
 
-    const handleFileStructureSync = useCallback(({ fileStructure, openFiles, activeFile }) => {
-            setFileStructure(fileStructure)
-            setOpenFiles(openFiles)
-            setActiveFile(activeFile)
-            toast.dismiss()
+    const handleWorkspaceSync = useCallback(({ roomId, workspace }) => {
+            if (!workspace) return
+            applyWorkspace(roomId, workspace)
+            setOutboxPending(true)
         },
-        [],
+        [applyWorkspace],
     )
 
     const handleDirCreated = useCallback(({ parentDirId, newDirectory }) => {
@@ -636,16 +771,6 @@ function FileContextProvider({ children }) {
         [createFile],
     )
 
-    const handleFileUpdated = useCallback(({ fileId, newContent }) => {
-            updateFileContent(fileId, newContent)
-            // Update the content of the active file if it's the same file
-            if (activeFile?.id === fileId) {
-                setActiveFile({ ...activeFile, content: newContent })
-            }
-        },
-        [activeFile, updateFileContent],
-    )
-
     const handleFileRenamed = useCallback(({ fileId, newName }) => {
             renameFile(fileId, newName, false)
         },
@@ -658,28 +783,117 @@ function FileContextProvider({ children }) {
         [deleteFile],
     )
 
+    // Send local edits, merge remote ones and mirror text into state
+    useEffect(() => {
+        const texts = getFileTexts(doc)
+
+        const handleLocalUpdate = (update, origin) => {
+            if (origin === REMOTE_ORIGIN) return
+            emitRoomEvent(SocketEvent.DOCUMENT_UPDATE, { update })
+        }
+
+        const handleRemoteUpdate = ({ update }) => {
+            Y.applyUpdate(docRef.current, new Uint8Array(update), REMOTE_ORIGIN)
+        }
+
+        const handleTextsChange = (events) => {
+            const fileIds = new Set()
+            for (const event of events) {
+                if (event.target === texts) {
+                    event.keysChanged.forEach((fileId) => fileIds.add(fileId))
+                } else {
+                    fileIds.add(event.path[0])
+                }
+            }
+            fileIds.forEach((fileId) => {
+                const text = texts.get(fileId)
+                if (text) setFileContent(fileId, text.toString())
+            })
+        }
+
+        // Catch up with updates merged before this effect ran
+        texts.forEach((text, fileId) => setFileContent(fileId, text.toString()))
+
+        doc.on("update", handleLocalUpdate)
+        texts.observeDeep(handleTextsChange)
+        socket.on(SocketEvent.DOCUMENT_UPDATE, handleRemoteUpdate)
+
+        return () => {
+            doc.off("update", handleLocalUpdate)
+            texts.unobserveDeep(handleTextsChange)
+            socket.off(SocketEvent.DOCUMENT_UPDATE, handleRemoteUpdate)
+        }
+    }, [doc, emitRoomEvent, setFileContent, socket])
+
+    // Changes queued while offline are re-applied on top of the synced
+    // workspace and sent again. Text edits are left out: the document merge
+    // above already carries them. If the server rejects a tree change (its
+    // target was deleted meanwhile, say), the workspace is fetched again.
+    useEffect(() => {
+        if (!outboxPending) return
+        setOutboxPending(false)
+
+        const reapply = {
+            [SocketEvent.DIRECTORY_CREATED]: handleDirCreated,
+            [SocketEvent.DIRECTORY_UPDATED]: handleDirUpdated,
+            [SocketEvent.DIRECTORY_RENAMED]: handleDirRenamed,
+            [SocketEvent.DIRECTORY_DELETED]: handleDirDeleted,
+            [SocketEvent.FILE_CREATED]: handleFileCreated,
+            [SocketEvent.FILE_RENAMED]: handleFileRenamed,
+            [SocketEvent.FILE_DELETED]: handleFileDeleted,
+        }
+
+        replayOutbox((event, payload) => {
+            if (event === SocketEvent.DOCUMENT_UPDATE) return false
+            reapply[event]?.(payload)
+        }).then((rejected) => {
+            const treeChanges = rejected.filter(({ event }) => reapply[event])
+            if (treeChanges.length === 0) return
+
+            toast.error(
+                `${treeChanges.length} offline change(s) conflicted with the room and were dropped`,
+            )
+            socket.emit(SocketEvent.SYNC_WORKSPACE, {}, (response) => {
+                if (response?.workspace) {
+                    applyWorkspace(roomIdRef.current, response.workspace)
+                }
+            })
+        })
+    }, [
+        applyWorkspace,
+        handleDirCreated,
+        handleDirDeleted,
+        handleDirRenamed,
+        handleDirUpdated,
+        handleFileCreated,
+        handleFileDeleted,
+        handleFileRenamed,
+        outboxPending,
+        replayOutbox,
+        socket,
+    ])
+
     useEffect(() => {
-        socket.once("sync_file_structure", handleFileStructureSync)
-        socket.on("user_joined", handleUserJoined)
-        socket.on("directory_created", handleDirCreated)
-        socket.on("directory_updated", handleDirUpdated)
-        socket.on("directory_renamed", handleDirRenamed)
-        socket.on("directory_deleted", handleDirDeleted)
-        socket.on("file_created", handleFileCreated)
-        socket.on("file_updated", handleFileUpdated)
-        socket.on("file_renamed", handleFileRenamed)
-        socket.on("file_deleted", handleFileDeleted)
+        socket.on("join-success", handleWorkspaceSync)
+        socket.on(SocketEvent.USER_JOINED, handleUserJoined)
+        socket.on(SocketEvent.DIRECTORY_CREATED, handleDirCreated)
+        socket.on(SocketEvent.DIRECTORY_UPDATED, handleDirUpdated)
+        socket.on(SocketEvent.DIRECTORY_RENAMED, handleDirRenamed)
+        socket.on(SocketEvent.DIRECTORY_DELETED, handleDirDeleted)
+        socket.on(SocketEvent.FILE_CREATED, handleFileCreated)
+        socket.on(SocketEvent.FILE_RENAMED, handleFileRenamed)
+        socket.on(SocketEvent.FILE_DELETED, handleFileDeleted)
 
         return () => {
-            socket.off("user_joined")
-            socket.off("directory_created")
-            socket.off("directory_updated")
-            socket.off("directory_renamed")
-            socket.off("directory_deleted")
-            socket.off("file_created")
-            socket.off("file_updated")
-            socket.off("file_renamed")
-            socket.off("file_deleted")
+            socket.off("join-success", handleWorkspaceSync)
+            socket.off(SocketEvent.USER_JOINED, handleUserJoined)
+            socket.off(SocketEvent.DIRECTORY_CREATED, handleDirCreated)
+            socket.off(SocketEvent.DIRECTORY_UPDATED, handleDirUpdated)
+            socket.off(SocketEvent.DIRECTORY_RENAMED, handleDirRenamed)
+            socket.off(SocketEvent.DIRECTORY_DELETED, handleDirDeleted)
+            socket.off(SocketEvent.FILE_CREATED, handleFileCreated)
+            socket.off(SocketEvent.FILE_RENAMED, handleFileRenamed)
+            socket.off(SocketEvent.FILE_DELETED, handleFileDeleted)
         }
     }, [
         handleDirCreated,
@@ -689,9 +903,8 @@ function FileContextProvider({ children }) {
         handleFileCreated,
         handleFileDeleted,
         handleFileRenamed,
-        handleFileStructureSync,
-        handleFileUpdated,
         handleUserJoined,
+        handleWorkspaceSync,
         socket,
     ])
 
@@ -710,11 +923,16 @@ function FileContextProvider({ children }) {
                 renameDirectory,
                 deleteDirectory,
                 openFile,
+                revealLines,
+                lineReveal,
+                setLineReveal,
                 createFile,
                 updateFileContent,
+                getFileText,
                 renameFile,
                 deleteFile,
                 downloadFilesAndFolders,
+                canEdit,
             }}
         >
             {children}
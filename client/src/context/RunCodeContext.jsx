@@ -1,16 +1,41 @@
 import axiosInstance from "@/api/pistonApi"
-import langMap from "lang-map"
+import { SocketEvent } from "@/types/socket"
+import { createPathResolver, parseDiagnostics } from "@/utils/diagnostics"
+import { getFileById, getFileByPath } from "@/utils/file"
+import {
+    detectRuntime,
+    findRuntime,
+    getLanguageLabel,
+} from "@/utils/languageDetection"
+import {
+    MAX_RUN_CONFIGURATIONS,
+    MAX_RUN_FILES,
+    collectRunFiles,
+    defaultRunConfig,
+    getFilesWithPaths,
+    parseArgs,
+} from "@/utils/runConfig"
+import { getRunExit } from "@/utils/runResult"
+import { findTestFiles } from "@/utils/testDetection"
 import {
     createContext,
+    useCallback,
     useContext,
     useEffect,
+    useMemo,
+    useRef,
     useState,
 } from "react"
 import toast from "react-hot-toast"
+import { v4 as uuidV4 } from "uuid"
 import { useFileSystem } from "./FileContext"
+import { useSocket } from "./SocketContext"
 
 const RunCodeContext = createContext(null)
 
+// The server keeps this many shared runs in the room's history
+const MAX_SHOWN_RUNS = 20
+
 export const useRunCode = () => {
     const context = useContext(RunCodeContext)
     if (context === null) {
@@ -22,16 +47,30 @@ export const useRunCode = () => {
 }
 
 const RunCodeContextProvider = ({ children }) => {
-    const { activeFile } = useFileSystem()
-    const [input, setInput] = useState("")
-    const [output, setOutput] = useState("")
-    const [isRunning, setIsRunning] = useState(false)
+    const { socket, emitRoomEvent } = useSocket()
+    const { fileStructure, activeFile, getFileText, canEdit } = useFileSystem()
+    const [runConfig, setRunConfig] = useState(defaultRunConfig)
+    // The run shown in the terminal: ours, one shared by someone else or one
+    // opened from the history. `{ id, isOwn, isRunning, stage, mode,
+    // scopeId, summary }`, where `mode` is "run" or "test" and `summary` is
+    // its history entry if it was shared.
+    const [shownRun, setShownRun] = useState(null)
+    // Its output and input, as `{ stream, text }` chunks
+    const [terminal, setTerminal] = useState([])
+    // How it ended (see getRunExit), once it has
+    const [lastExit, setLastExit] = useState(null)
+    // How each of its tests went, for a test run that reported them
+    const [testResults, setTestResults] = useState(null)
+    const shownRunIdRef = useRef(null)
+    const isShownRunningRef = useRef(false)
+    isShownRunningRef.current = Boolean(shownRun?.isRunning)
+    // Our own run while it is under way, which we can stop and type into
+    const [ownRunId, setOwnRunId] = useState(null)
+    const ownRunIdRef = useRef(null)
+    // Runs shared with the room, newest first, without their output
+    const [runs, setRuns] = useState([])
+    const [shareRun, setShareRun] = useState(false)
     const [supportedLanguages, setSupportedLanguages] = useState([])
-    const [selectedLanguage, setSelectedLanguage] = useState({
-        language: "",
-        version: "",
-        aliases: [],
-    })
 
     useEffect(() => {
         const fetchSupportedLanguages = async () => {
@@ -47,67 +86,492 @@ const RunCodeContextProvider = ({ children }) => {
         fetchSupportedLanguages()
     }, [])
 
-    // Set the selected language based on the file extension
+    // The run configuration belongs to the room, so everyone runs the same
+    // thing and it is still there next time
     useEffect(() => {
-        if (supportedLanguages.length === 0 || !activeFile?.name) return
-
-        const extension = activeFile.name.split(".").pop()
-        if (extension) {
-            const languageName = langMap.languages(extension)
-            const language = supportedLanguages.find(
-                (lang) =>
-                    lang.aliases.includes(extension) ||
-                    languageName.includes(lang.language.toLowerCase()),
+        const handleJoined = ({ workspace }) => {
+            setRunConfig({ ...defaultRunConfig, ...workspace?.runConfig })
+            setRuns(workspace?.runs || [])
+        }
+        const handleUpdated = ({ runConfig }) => setRunConfig(runConfig)
+
+        socket.on(SocketEvent.JOIN_SUCCESS, handleJoined)
+        socket.on(SocketEvent.RUN_CONFIG_UPDATED, handleUpdated)
+        return () => {
+            socket.off(SocketEvent.JOIN_SUCCESS, handleJoined)
+            socket.off(SocketEvent.RUN_CONFIG_UPDATED, handleUpdated)
+        }
+    }, [socket])
+
+    const updateRunConfig = useCallback(
+        (changes) => {
+            if (!canEdit) return
+            setRunConfig((prev) => ({ ...prev, ...changes }))
+            emitRoomEvent(SocketEvent.UPDATE_RUN_CONFIG, changes)
+        },
+        [canEdit, emitRoomEvent],
+    )
+
+    // The named configuration Run uses, if one is chosen. Its settings
+    // replace the room's own, so the two are edited the same way.
+    const configuration =
+        runConfig.configurations.find(
+            ({ id }) => id === runConfig.configurationId,
+        ) ?? null
+    const runSettings = configuration ?? runConfig
+
+    // Changes the chosen configuration, or the room's settings without one
+    const updateRunSettings = (changes) => {
+        if (!configuration) return updateRunConfig(changes)
+        updateRunConfig({
+            configurations: runConfig.configurations.map((config) =>
+                config === configuration ? { ...config, ...changes } : config,
+            ),
+        })
+    }
+
+    // Without a chosen entry file, or once it is deleted, the file being
+    // edited is run
+    const entryFile =
+        (runSettings.entryFileId &&
+            getFileById(fileStructure, runSettings.entryFileId)) ||
+        activeFile
+
+    // What the entry file runs on, and why: the configuration's language,
+    // the one picked for the file, or the one detected from its name or
+    // shebang line. Null when there is no telling, rather than whatever
+    // ran last.
+    const runLanguage = useMemo(() => {
+        if (configuration?.language) {
+            const { language, version } = configuration
+            return { language, version, source: "configuration" }
+        }
+        if (!entryFile) return null
+        const picked = runConfig.fileLanguages[entryFile.id]
+        if (picked) return { ...picked, source: "file" }
+        const detected = detectRuntime(supportedLanguages, entryFile)
+        return detected && { ...detected, source: "detected" }
+    }, [configuration, entryFile, runConfig.fileLanguages, supportedLanguages])
+
+    // Picks the runtime for a file, for the whole room; null goes back to
+    // the detected one. Files that are gone are forgotten on the way.
+    const setFileLanguage = (fileId, choice) => {
+        const fileLanguages = Object.fromEntries(
+            Object.entries(runConfig.fileLanguages).filter(
+                ([id]) => id !== fileId && getFileById(fileStructure, id),
+            ),
+        )
+        if (choice) fileLanguages[fileId] = choice
+        updateRunConfig({ fileLanguages })
+    }
+
+    // Saves the settings Run uses now as a named configuration, and
+    // chooses it. An entry file left to be the current one stays that way.
+    const saveConfiguration = (name) => {
+        if (runConfig.configurations.length >= MAX_RUN_CONFIGURATIONS) {
+            return toast.error(
+                `A room can keep at most ${MAX_RUN_CONFIGURATIONS} run configurations`,
             )
-            if (language) setSelectedLanguage(language)
-        } else setSelectedLanguage({ language: "", version: "", aliases: [] })
-    }, [activeFile?.name, supportedLanguages])
-
-    const runCode = async () => {
-        try {
-            if (!selectedLanguage) {
-                return toast.error("Please select a language to run the code")
-            } else if (!activeFile) {
-                return toast.error("Please open a file to run the code")
-            } else {
-                toast.loading("Running code...")
+        }
+        const id = uuidV4()
+        const isPicked = runLanguage && runLanguage.source !== "detected"
+        const saved = {
+            id,
+            name,
+            language: isPicked ? runLanguage.language : "",
+            version: isPicked ? runLanguage.version : "",
+            scopeId: runSettings.scopeId,
+            entryFileId: runSettings.entryFileId,
+            args: runSettings.args,
+            stdin: runSettings.stdin,
+        }
+        updateRunConfig({
+            configurations: [...runConfig.configurations, saved],
+            configurationId: id,
+        })
+    }
+
+    const deleteConfiguration = (configurationId) => {
+        updateRunConfig({
+            configurations: runConfig.configurations.filter(
+                ({ id }) => id !== configurationId,
+            ),
+            configurationId:
+                runConfig.configurationId === configurationId
+                    ? null
+                    : runConfig.configurationId,
+        })
+    }
+
+    const isRunning = ownRunId !== null
+
+    // Output is kept as chunks, consecutive ones from the same stream merged
+    const appendToTerminal = useCallback((stream, text) => {
+        setTerminal((prev) => {
+            const last = prev[prev.length - 1]
+            if (last?.stream !== stream) return [...prev, { stream, text }]
+            return [...prev.slice(0, -1), { stream, text: last.text + text }]
+        })
+    }, [])
+
+    const showRun = useCallback(
+        (run, output = [], exit = null, tests = null) => {
+            shownRunIdRef.current = run.id
+            setShownRun(run)
+            setTerminal(output)
+            setLastExit(exit)
+            setTestResults(tests)
+        },
+        [],
+    )
+
+    const endRun = useCallback((runId, exit, tests = null) => {
+        if (runId === ownRunIdRef.current) {
+            ownRunIdRef.current = null
+            setOwnRunId(null)
+            if (exit.error) toast.error(exit.error)
+        }
+        if (runId === shownRunIdRef.current) {
+            setShownRun((prev) => prev && { ...prev, isRunning: false })
+            setLastExit(exit)
+            setTestResults(tests)
+        }
+    }, [])
+
+    // The shown run's folder, which the paths it reports are relative to
+    const shownScope = useMemo(
+        () =>
+            (shownRun?.scopeId &&
+                getFileById(fileStructure, shownRun.scopeId)) ||
+            fileStructure,
+        [shownRun?.scopeId, fileStructure],
+    )
+
+    // The shown run's tests, each with the id of its file (null once the
+    // file is gone) so failures can be found in the editor
+    const tests = useMemo(
+        () =>
+            testResults &&
+            testResults.map((test) => ({
+                ...test,
+                fileId: getFileByPath(shownScope, test.file)?.id ?? null,
+            })),
+        [testResults, shownScope],
+    )
+
+    // Errors and warnings the shown run printed, on the lines they are about
+    const stderr = terminal
+        .filter(({ stream }) => stream === "stderr")
+        .map(({ text }) => text)
+        .join("")
+    const diagnostics = useMemo(
+        () =>
+            parseDiagnostics(
+                stderr,
+                createPathResolver(getFilesWithPaths(shownScope)),
+            ),
+        [stderr, shownScope],
+    )
+
+    useEffect(() => {
+        const isShown = (runId) => runId === shownRunIdRef.current
+
+        // Someone's run for the room is shown live, unless ours is running
+        const handleShared = ({ run }) => {
+            setRuns((prev) =>
+                [run, ...prev.filter(({ id }) => id !== run.id)].slice(
+                    0,
+                    MAX_SHOWN_RUNS,
+                ),
+            )
+            if (isShown(run.id)) {
+                setShownRun((prev) => prev && { ...prev, summary: run })
+            } else if (!ownRunIdRef.current) {
+                const input = run.stdin
+                    ? [{ stream: "stdin", text: run.stdin }]
+                    : []
+                showRun(
+                    {
+                        id: run.id,
+                        isOwn: false,
+                        isRunning: true,
+                        stage: null,
+                        mode: run.mode,
+                        scopeId: run.scopeId,
+                        summary: run,
+                    },
+                    input,
+                )
             }
+        }
+        const handleStage = ({ runId, stage }) => {
+            if (isShown(runId))
+                setShownRun((prev) => prev && { ...prev, stage })
+        }
+        const handleOutput = ({ runId, stream, data }) => {
+            if (isShown(runId)) appendToTerminal(stream, data)
+        }
+        const handleExit = ({ runId, tests, ...result }) => {
+            endRun(runId, getRunExit(result), tests)
+            setRuns((prev) =>
+                prev.map((run) =>
+                    run.id === runId
+                        ? {
+                              ...run,
+                              ...result,
+                              finishedAt: new Date().toISOString(),
+                          }
+                        : run,
+                ),
+            )
+        }
+        // The server stops our program once we are gone, and we miss the
+        // end of anyone else's
+        const handleDisconnect = () => {
+            const exit = { error: "Disconnected from the server" }
+            if (ownRunIdRef.current) endRun(ownRunIdRef.current, exit)
+            if (isShownRunningRef.current) endRun(shownRunIdRef.current, exit)
+        }
 
-            setIsRunning(true)
-            const { language, version } = selectedLanguage
+        socket.on(SocketEvent.RUN_SHARED, handleShared)
+        socket.on(SocketEvent.RUN_STAGE, handleStage)
+        socket.on(SocketEvent.RUN_OUTPUT, handleOutput)
+        socket.on(SocketEvent.RUN_EXIT, handleExit)
+        socket.on("disconnect", handleDisconnect)
+        return () => {
+            socket.off(SocketEvent.RUN_SHARED, handleShared)
+            socket.off(SocketEvent.RUN_STAGE, handleStage)
+            socket.off(SocketEvent.RUN_OUTPUT, handleOutput)
+            socket.off(SocketEvent.RUN_EXIT, handleExit)
+            socket.off("disconnect", handleDisconnect)
+        }
+    }, [appendToTerminal, endRun, showRun, socket])
 
-            const response = await axiosInstance.post("/execute", {
+    // Starts a run of `entry` and shows it in the terminal. With `tests`,
+    // the paths of test files in the scope, the tests are run instead.
+    const startRun = ({
+        language,
+        version,
+        entry,
+        scopeId,
+        args,
+        stdin = "",
+        tests,
+        shared,
+    }) => {
+        if (!socket.connected) {
+            return toast.error("You are offline, reconnect to run the code")
+        } else if (ownRunIdRef.current) {
+            return toast.error("Stop the current run before starting another")
+        }
+
+        // Shared files are read from their live text
+        const files = collectRunFiles(
+            fileStructure,
+            { scopeId, entryFileId: entry.id },
+            (file) => getFileText(file.id)?.toString() ?? file.content,
+        )
+        if (!files) {
+            return toast.error(`${entry.name} is outside the folder being run`)
+        } else if (files.length > MAX_RUN_FILES) {
+            return toast.error(
+                `At most ${MAX_RUN_FILES} files can be run, pick a smaller folder`,
+            )
+        }
+
+        const runId = uuidV4()
+        ownRunIdRef.current = runId
+        setOwnRunId(runId)
+        showRun(
+            {
+                id: runId,
+                isOwn: true,
+                isRunning: true,
+                stage: null,
+                mode: tests ? "test" : "run",
+                scopeId,
+            },
+            stdin ? [{ stream: "stdin", text: stdin }] : [],
+        )
+
+        socket.emit(
+            SocketEvent.RUN_START,
+            {
+                runId,
                 language,
                 version,
-                files: [{ name: activeFile.name, content: activeFile.content }],
-                stdin: input,
-            })
-            if (response.data.run.stderr) {
-                setOutput(response.data.run.stderr)
-            } else {
-                setOutput(response.data.run.stdout)
-            }
-            setIsRunning(false)
-            toast.dismiss()
-        } catch (error) {
-            console.error(error.response.data)
-            console.error(error.response.data.error)
-            setIsRunning(false)
-            toast.dismiss()
-            toast.error("Failed to run the code")
+                files,
+                args,
+                stdin,
+                tests,
+                shared,
+                entryFileId: entry.id,
+                scopeId,
+            },
+            (response) => {
+                if (response?.error) endRun(runId, { error: response.error })
+            },
+        )
+    }
+
+    const runCode = () => {
+        if (!entryFile) {
+            return toast.error("Please open a file to run the code")
+        } else if (!runLanguage) {
+            return toast.error(
+                `Can't tell what ${entryFile.name} is written in, pick a language for it`,
+            )
+        }
+        const runtime = findRuntime(
+            supportedLanguages,
+            runLanguage.language,
+            runLanguage.version,
+        )
+        if (!runtime) {
+            return toast.error(
+                `${getLanguageLabel(runLanguage.language)} can't be run on this server`,
+            )
+        }
+        startRun({
+            language: runtime.language,
+            version: runtime.version,
+            entry: entryFile,
+            scopeId: runSettings.scopeId,
+            args: parseArgs(runSettings.args),
+            stdin: runSettings.stdin,
+            shared: shareRun && canEdit,
+        })
+    }
+
+    // Runs the tests of one language found by findTestFiles
+    const runTests = (
+        { language, label, files },
+        shared = shareRun && canEdit,
+    ) => {
+        const runtime = findRuntime(supportedLanguages, language)
+        if (!runtime) {
+            return toast.error(`${label} tests can't be run on this server`)
         }
+        startRun({
+            language,
+            version: runtime.version,
+            entry: files[0].file,
+            scopeId: runSettings.scopeId,
+            args: [],
+            tests: files.map(({ path }) => path),
+            shared,
+        })
+    }
+
+    // Runs a shared run again for the room, on the code as it is now and
+    // with the same input. A test run runs the tests found now.
+    const rerun = (run) => {
+        if (run.mode === "test") {
+            const scope =
+                (run.scopeId && getFileById(fileStructure, run.scopeId)) ||
+                fileStructure
+            const group = findTestFiles(scope).find(
+                ({ language }) => language === run.language,
+            )
+            if (!group) return toast.error("There are no tests to run")
+            return runTests(group, true)
+        }
+        const entry = run.entryFileId
+            ? getFileById(fileStructure, run.entryFileId)
+            : null
+        if (!entry) {
+            return toast.error(`${run.entry} no longer exists`)
+        }
+        // Any version will do once the one it ran on is gone
+        const hasVersion = supportedLanguages.some(
+            ({ language, version }) =>
+                language === run.language && version === run.version,
+        )
+        startRun({
+            language: run.language,
+            version: hasVersion ? run.version : "",
+            entry,
+            scopeId: run.scopeId,
+            args: run.args,
+            stdin: run.stdin,
+            shared: true,
+        })
+    }
+
+    // Shows a run from the history, with its output so far
+    const openRun = (runId) => {
+        socket.emit(SocketEvent.GET_RUN, { runId }, (response) => {
+            if (response?.error) return toast.error(response.error)
+            const { output, tests, ...summary } = response.run
+            const isFinished = Boolean(summary.finishedAt || summary.error)
+            showRun(
+                {
+                    id: summary.id,
+                    isOwn: summary.id === ownRunIdRef.current,
+                    isRunning: !isFinished,
+                    stage: isFinished ? null : "run",
+                    mode: summary.mode,
+                    scopeId: summary.scopeId,
+                    summary,
+                },
+                output,
+                isFinished ? getRunExit(summary) : null,
+                tests,
+            )
+        })
+    }
+
+    const stopRun = () => {
+        if (!ownRunId) return
+        socket.emit(SocketEvent.RUN_STOP, { runId: ownRunId })
+    }
+
+    // A line typed into the terminal goes to the program's input
+    const sendInput = (line) => {
+        if (!ownRunId) return
+        socket.emit(SocketEvent.RUN_INPUT, {
+            runId: ownRunId,
+            data: line + "\n",
+        })
+        appendToTerminal("stdin", line + "\n")
+    }
+
+    // Ends the program's input, like Ctrl+D in a terminal
+    const closeInput = () => {
+        if (!ownRunId) return
+        socket.emit(SocketEvent.RUN_INPUT, { runId: ownRunId, end: true })
     }
 
     return (
         <RunCodeContext.Provider
             value={{
-                setInput,
-                output,
+                shownRun,
+                terminal,
+                lastExit,
+                tests,
+                diagnostics,
                 isRunning,
+                runs,
+                shareRun,
+                setShareRun,
                 supportedLanguages,
-                selectedLanguage,
-                setSelectedLanguage,
+                runConfig,
+                updateRunConfig,
+                configuration,
+                runSettings,
+                updateRunSettings,
+                saveConfiguration,
+                deleteConfiguration,
+                runLanguage,
+                setFileLanguage,
+                entryFile,
                 runCode,
+                runTests,
+                rerun,
+                openRun,
+                stopRun,
+                sendInput,
+                closeInput,
             }}
         >
             {children}
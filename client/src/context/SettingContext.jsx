@@ -15,7 +15,7 @@ export const useSettings = () => {
 
 const defaultSettings = {
     theme: "Dracula",
-    language: "Javascript",
+    language: "js",
     fontSize: 16,
     fontFamily: "Space Mono",
     showGitHubCorner: true,
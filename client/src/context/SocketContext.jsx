@@ -3,19 +3,28 @@ import {
   useCallback,
   useContext,
   useEffect,
+  useRef,
   useState,
 } from "react";
 import { toast } from "react-hot-toast";
 import { useAppContext } from "./AppContext";
 import { SocketEvent } from "../types/socket";
 import { socket } from "../socket";
+import {
+  buildJoinRequest,
+  saveOwnerKey,
+  saveSessionToken,
+} from "../utils/roomAccess";
+
+// Replayed operations that get no answer in this time (e.g. events the
+// server doesn't acknowledge) are assumed delivered
+const OUTBOX_ACK_TIMEOUT_MS = 10000;
 
 const SocketContext = createContext({
   socket: null,
   isConnected: false,
   error: null,
   reconnect: () => {},
-  emitCodeChange: () => {},
 });
 
 export const useSocket = () => {
@@ -28,23 +37,70 @@ export const useSocket = () => {
 
 export const SocketProvider = ({ children }) => {
   const {
-    users,
     setUsers,
     setStatus,
     setCurrentUser,
-    drawingData,
     setDrawingData,
+    setRoomAccess,
+    setJoinRequests,
     currentUser,
   } = useAppContext();
 
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [error, setError] = useState(null);
 
-  // 🔹 Handle connection errors
+  // 🔹 Offline outbox: room operations made while the socket is down, or
+  // before the room is rejoined, wait here in order until `replayOutbox`
+  const outboxRef = useRef([]);
+  // The room we belong to, kept while offline, and whether the server
+  // currently counts this socket as a member of it
+  const joinedRoomRef = useRef(null);
+  const inRoomRef = useRef(false);
+
+  // 🔹 Room operations (file tree, text, chat) go through the outbox so
+  // nothing is lost while offline
+  const emitRoomEvent = useCallback((event, payload) => {
+    if (socket.connected && inRoomRef.current) {
+      socket.emit(event, payload);
+    } else {
+      outboxRef.current.push({ event, payload });
+    }
+  }, []);
+
+  /**
+   * Sends the queued operations in order and marks the socket as back in its
+   * room. `reapply(event, payload)` lets the caller rebase each operation on
+   * a freshly synced workspace first; returning false drops the operation.
+   * Resolves with the operations the server rejected.
+   */
+  const replayOutbox = useCallback((reapply) => {
+    const operations = outboxRef.current;
+    outboxRef.current = [];
+    inRoomRef.current = true;
+
+    const sent = operations
+      .filter(({ event, payload }) => reapply?.(event, payload) !== false)
+      .map(
+        (operation) =>
+          new Promise((resolve) => {
+            socket
+              .timeout(OUTBOX_ACK_TIMEOUT_MS)
+              .emit(operation.event, operation.payload, (err, response) =>
+                resolve(response?.error ? { ...operation, error: response.error } : null)
+              );
+          })
+      );
+    if (sent.length > 0) console.log(`📤 [Socket] Replayed ${sent.length} queued operation(s)`);
+    return Promise.all(sent).then((results) => results.filter(Boolean));
+  }, []);
+
+  // 🔹 Handle connection errors; inside a room the workspace stays usable
+  // offline and the manager keeps retrying
   const handleError = useCallback(
     (err) => {
       console.error("❌ [Socket] Connection error:", err);
       setError(err);
+      if (joinedRoomRef.current) return;
       setStatus("connection_failed");
       toast.dismiss();
       toast.error(`Connection error: ${err.message || "Unknown error"}`);
@@ -64,13 +120,17 @@ export const SocketProvider = ({ children }) => {
   );
 
   // 🔹 Handle username conflict
-  const handleUsernameExist = useCallback(() => {
-    toast.dismiss();
-    setStatus("initial");
-    toast.error(
-      "The username you chose already exists in the room. Please choose a different one."
-    );
-  }, [setStatus]);
+  const handleUsernameExist = useCallback(
+    ({ message } = {}) => {
+      toast.dismiss();
+      setStatus("initial");
+      toast.error(
+        message ||
+          "The username you chose already exists in the room. Please choose a different one."
+      );
+    },
+    [setStatus]
+  );
 
   // 🔹 Handle join success
   const handleJoiningAccept = useCallback(
@@ -84,6 +144,8 @@ export const SocketProvider = ({ children }) => {
         user.roomId = payload.roomId;
       }
 
+      const isRejoin = Boolean(user.roomId) && joinedRoomRef.current === user.roomId;
+      joinedRoomRef.current = user.roomId || null;
       setCurrentUser((prev) => ({
         ...prev,
         ...user,
@@ -91,37 +153,105 @@ export const SocketProvider = ({ children }) => {
       }));
 
       setUsers(users);
+      setRoomAccess(payload?.access || null);
+      saveOwnerKey(payload?.roomId, payload?.ownerKey);
+      saveSessionToken(payload?.roomId, payload?.sessionToken);
+      if (payload?.workspace) {
+        setDrawingData(payload.workspace.drawingData);
+      }
       toast.dismiss();
 
-      toast.success(`Joined room: ${user?.roomId || "unknown"}`);
       setStatus("joined");
+      if (isRejoin) {
+        toast.success("Back online");
+        return;
+      }
+      toast.success(`Joined room: ${user?.roomId || "unknown"}`);
 
       if (users.length > 1) {
         toast.success(`${users.length - 1} other user(s) in the room`);
       }
     },
-    [setCurrentUser, setStatus, setUsers]
+    [setCurrentUser, setDrawingData, setRoomAccess, setStatus, setUsers]
+  );
+
+  // 🔹 Knock-to-join: waiting for the owner
+  const handleJoinPending = useCallback(() => {
+    toast.dismiss();
+    toast.loading("Waiting for the room owner to let you in...");
+  }, []);
+
+  // 🔹 Owner: joiners waiting at the door
+  const handleJoinRequests = useCallback(
+    ({ requests }) => {
+      setJoinRequests((prev) => {
+        if (requests.length > prev.length) {
+          toast(`${requests[requests.length - 1].username} wants to join`);
+        }
+        return requests;
+      });
+    },
+    [setJoinRequests]
+  );
+
+  const handleRoomAccessUpdated = useCallback(
+    ({ access }) => setRoomAccess(access),
+    [setRoomAccess]
+  );
+
+  // 🔹 Removed from the room by its owner, or taken over by another tab
+  const handleKicked = useCallback(
+    ({ message }) => {
+      toast.dismiss();
+      toast.error(message || "You were removed from the room");
+      joinedRoomRef.current = null;
+      inRoomRef.current = false;
+      outboxRef.current = [];
+      setUsers([]);
+      setJoinRequests([]);
+      setStatus("kicked");
+    },
+    [setJoinRequests, setStatus, setUsers]
   );
 
   // 🔹 Handle user leaving
   const handleUserLeft = useCallback(
-    ({ user }) => {
-      if (user) {
-        toast.success(`${user.username} left the room`);
-        setUsers((prev) => prev.filter((u) => u.username !== user.username));
+    ({ user, socketId, username }) => {
+      const leaving = user || (socketId ? { socketId, username } : null);
+      if (leaving) {
+        toast.success(`${leaving.username} left the room`);
+        setUsers((prev) =>
+          prev.filter((u) =>
+            leaving.socketId
+              ? u.socketId !== leaving.socketId
+              : u.username !== leaving.username
+          )
+        );
       }
     },
     [setUsers]
   );
 
-  // 🔹 Drawing sync
-  const handleRequestDrawing = useCallback(
-    ({ socketId }) => {
-      socket.emit("sync_drawing", { socketId, drawingData });
+  // 🔹 Changes to a user's record (cursor moves, role changes)
+  const handleUserUpdated = useCallback(
+    ({ user }) => {
+      if (!user?.socketId) return;
+      setUsers((prev) =>
+        prev.map((u) => (u.socketId === user.socketId ? { ...u, ...user } : u))
+      );
+      if (user.socketId === socket.id) {
+        setCurrentUser((prev) => {
+          if (prev.role && prev.role !== user.role) {
+            toast(`You are now ${user.role === "viewer" ? "a viewer" : "an editor"}`);
+          }
+          return { ...prev, role: user.role };
+        });
+      }
     },
-    [drawingData]
+    [setCurrentUser, setUsers]
   );
 
+  // 🔹 Drawing sync (answer to REQUEST_DRAWING)
   const handleDrawingSync = useCallback(
     ({ drawingData: newDrawingData }) => {
       if (newDrawingData) {
@@ -138,37 +268,10 @@ export const SocketProvider = ({ children }) => {
     console.log(`📂 File opened by ${openedBy}: ${filePath}`);
   }, []);
 
-  const handleFileUpdate = useCallback(({ filePath, code, updatedBy }) => {
-    console.log(`📝 File updated by ${updatedBy}: ${filePath}`);
-    if (updatedBy !== socket.id) return { filePath, code };
-    return null;
-  }, []);
-
   const handleFileSaved = useCallback(({ filePath, savedBy }) => {
     console.log(`💾 File saved by ${savedBy}: ${filePath}`);
   }, []);
 
-  // 🔹 Emit code changes
-  const emitCodeChange = useCallback((roomId, code, cursorPos) => {
-    if (!socket.connected || !roomId) return;
-    socket.emit("code-change", { roomId, code, cursorPos });
-  }, []);
-
-  // 🔹 Handle code updates from others
-  const handleCodeUpdate = useCallback(
-    ({ code, cursorPos, sender }) => {
-      if (sender !== socket.id) {
-        console.log("🟢 Code update received from:", sender);
-        window.dispatchEvent(
-          new CustomEvent("remote-code-update", {
-            detail: { code, cursorPos },
-          })
-        );
-      }
-    },
-    []
-  );
-
   // 🔹 Connection lifecycle
   useEffect(() => {
     const handleConnect = () => {
@@ -178,21 +281,32 @@ export const SocketProvider = ({ children }) => {
       toast.dismiss();
       toast.success("Connected to server");
 
-      // Auto rejoin if disconnected earlier
+      // The server kept our membership and sent what we missed, so the
+      // queued changes can go out as they are
+      if (socket.recovered) {
+        if (joinedRoomRef.current) replayOutbox();
+        return;
+      }
+
+      // Otherwise rejoin; the session token reclaims our identity and the
+      // workspace sync that follows replays the outbox
       if (currentUser?.username && currentUser?.roomId) {
         console.log("🔁 Rejoining room after reconnect...");
-        socket.emit("join-request", currentUser);
+        socket.emit(SocketEvent.JOIN_REQUEST, buildJoinRequest(currentUser));
       }
     };
 
     const handleDisconnect = (reason) => {
       console.log("⚠️ [Socket] Disconnected:", reason);
+      inRoomRef.current = false;
       setIsConnected(false);
       toast.dismiss();
 
-      if (reason === "io server disconnect") {
+      if (reason === "io client disconnect") return;
+      if (joinedRoomRef.current) {
+        toast("You are offline. Your changes will sync when you reconnect.");
+      } else if (reason === "io server disconnect") {
         toast.error("Server disconnected. Attempting to reconnect...");
-        setTimeout(() => socket.connect(), 1500);
       } else {
         toast("Disconnected from server");
       }
@@ -210,11 +324,22 @@ export const SocketProvider = ({ children }) => {
     socket.on("connect_error", handleError);
     socket.on(SocketEvent.USERNAME_EXISTS, handleUsernameExist);
     socket.on(SocketEvent.JOIN_ACCEPTED, handleJoiningAccept);
-    socket.on("join-success", handleJoiningAccept);
+    socket.on(SocketEvent.JOIN_SUCCESS, handleJoiningAccept);
+    socket.on(SocketEvent.JOIN_ERROR, handleJoinError);
+    socket.on(SocketEvent.JOIN_PENDING, handleJoinPending);
+    socket.on(SocketEvent.JOIN_REQUESTS, handleJoinRequests);
+    socket.on(SocketEvent.ROOM_ACCESS_UPDATED, handleRoomAccessUpdated);
+    socket.on(SocketEvent.USER_KICKED, handleKicked);
+    socket.on(SocketEvent.SESSION_REPLACED, handleKicked);
     socket.on(SocketEvent.USER_DISCONNECTED, handleUserLeft);
-    socket.on(SocketEvent.REQUEST_DRAWING, handleRequestDrawing);
+    socket.on(SocketEvent.USER_LEFT, handleUserLeft);
+    socket.on(SocketEvent.CURSOR_MOVE, handleUserUpdated);
+    socket.on(SocketEvent.VIEWPORT_CHANGE, handleUserUpdated);
+    socket.on(SocketEvent.TYPING_START, handleUserUpdated);
+    socket.on(SocketEvent.TYPING_PAUSE, handleUserUpdated);
+    socket.on(SocketEvent.PRESENCE_UPDATE, handleUserUpdated);
+    socket.on(SocketEvent.USER_UPDATED, handleUserUpdated);
     socket.on(SocketEvent.SYNC_DRAWING, handleDrawingSync);
-    socket.on("code-update", handleCodeUpdate);
     socket.onAny(handleIncomingEvent);
 
     if (!socket.connected) {
@@ -229,22 +354,38 @@ export const SocketProvider = ({ children }) => {
       socket.off("connect_error", handleError);
       socket.off(SocketEvent.USERNAME_EXISTS, handleUsernameExist);
       socket.off(SocketEvent.JOIN_ACCEPTED, handleJoiningAccept);
-      socket.off("join-success", handleJoiningAccept);
+      socket.off(SocketEvent.JOIN_SUCCESS, handleJoiningAccept);
+      socket.off(SocketEvent.JOIN_ERROR, handleJoinError);
+      socket.off(SocketEvent.JOIN_PENDING, handleJoinPending);
+      socket.off(SocketEvent.JOIN_REQUESTS, handleJoinRequests);
+      socket.off(SocketEvent.ROOM_ACCESS_UPDATED, handleRoomAccessUpdated);
+      socket.off(SocketEvent.USER_KICKED, handleKicked);
+      socket.off(SocketEvent.SESSION_REPLACED, handleKicked);
       socket.off(SocketEvent.USER_DISCONNECTED, handleUserLeft);
-      socket.off(SocketEvent.REQUEST_DRAWING, handleRequestDrawing);
+      socket.off(SocketEvent.USER_LEFT, handleUserLeft);
+      socket.off(SocketEvent.CURSOR_MOVE, handleUserUpdated);
+      socket.off(SocketEvent.VIEWPORT_CHANGE, handleUserUpdated);
+      socket.off(SocketEvent.TYPING_START, handleUserUpdated);
+      socket.off(SocketEvent.TYPING_PAUSE, handleUserUpdated);
+      socket.off(SocketEvent.PRESENCE_UPDATE, handleUserUpdated);
+      socket.off(SocketEvent.USER_UPDATED, handleUserUpdated);
       socket.off(SocketEvent.SYNC_DRAWING, handleDrawingSync);
-      socket.off("code-update", handleCodeUpdate);
       socket.offAny(handleIncomingEvent);
     };
   }, [
     currentUser,
+    replayOutbox,
     handleError,
     handleUsernameExist,
     handleJoiningAccept,
+    handleJoinError,
+    handleJoinPending,
+    handleJoinRequests,
+    handleRoomAccessUpdated,
+    handleKicked,
     handleUserLeft,
-    handleRequestDrawing,
+    handleUserUpdated,
     handleDrawingSync,
-    handleCodeUpdate,
   ]);
 
   // 🔹 File operation emitters
@@ -260,25 +401,84 @@ export const SocketProvider = ({ children }) => {
     [currentUser]
   );
 
-  const updateFileContent = useCallback(
-    (filePath, code) => {
+  // Cursor moves are fire-and-forget; peers only need the latest position
+  const emitCursorMove = useCallback(
+    (cursor) => {
       if (!socket.connected || !currentUser?.roomId) return;
-      socket.emit("file-content", {
-        roomId: currentUser.roomId,
-        filePath,
-        code,
-        username: currentUser.username,
-      });
+      socket.volatile.emit(SocketEvent.CURSOR_MOVE, cursor);
     },
     [currentUser]
   );
-  const leaveRoom = (roomId) => {
-    if (socket && roomId) {
-        console.log(`👋 Leaving room: ${roomId}`);
-        socket.emit("leave-room", { roomId });
-        socket.disconnect();
-    }
-};
+
+  // Like cursor moves, only the latest viewport matters
+  const emitViewport = useCallback(
+    (viewport) => {
+      if (!socket.connected || !currentUser?.roomId) return;
+      socket.volatile.emit(SocketEvent.VIEWPORT_CHANGE, viewport);
+    },
+    [currentUser]
+  );
+
+  // A stale start is worthless, but a pause must arrive eventually or peers
+  // would see us typing forever, so pauses are buffered while offline
+  const emitTyping = useCallback(
+    (context, typing) => {
+      if (!currentUser?.roomId) return;
+      if (typing) {
+        if (socket.connected) {
+          socket.volatile.emit(SocketEvent.TYPING_START, { context });
+        }
+      } else {
+        socket.emit(SocketEvent.TYPING_PAUSE, { context });
+      }
+    },
+    [currentUser]
+  );
+
+  // 🔹 Owner controls; the server rejects them for anyone else
+  const emitOwnerAction = useCallback((event, payload) => {
+    socket.emit(event, payload, (response) => {
+      if (response?.error) toast.error(response.error);
+    });
+  }, []);
+
+  const approveJoin = useCallback(
+    (socketId) => emitOwnerAction(SocketEvent.APPROVE_JOIN, { socketId }),
+    [emitOwnerAction]
+  );
+
+  const denyJoin = useCallback(
+    (socketId) => emitOwnerAction(SocketEvent.DENY_JOIN, { socketId }),
+    [emitOwnerAction]
+  );
+
+  const kickUser = useCallback(
+    (socketId) => emitOwnerAction(SocketEvent.KICK_USER, { socketId }),
+    [emitOwnerAction]
+  );
+
+  const setUserRole = useCallback(
+    (socketId, role) =>
+      emitOwnerAction(SocketEvent.SET_USER_ROLE, { socketId, role }),
+    [emitOwnerAction]
+  );
+
+  // `settings` is { password?, knockToJoin?, defaultRole? }; an empty
+  // password removes it
+  const updateRoomAccess = useCallback(
+    (settings) => emitOwnerAction(SocketEvent.UPDATE_ROOM_ACCESS, settings),
+    [emitOwnerAction]
+  );
+
+  // Leaving on purpose drops whatever is still queued
+  const leaveRoom = useCallback((roomId) => {
+    if (!roomId) return;
+    console.log(`👋 Leaving room: ${roomId}`);
+    outboxRef.current = [];
+    joinedRoomRef.current = null;
+    inRoomRef.current = false;
+    socket.disconnect();
+  }, []);
 
   const notifyFileSaved = useCallback(
     (filePath) => {
@@ -300,12 +500,20 @@ export const SocketProvider = ({ children }) => {
     reconnect: () => {
       if (socket.disconnected) socket.connect();
     },
-    emitCodeChange, // ✅ added for real-time editor
     notifyFileOpened,
-    updateFileContent,
     notifyFileSaved,
+    emitCursorMove,
+    emitViewport,
+    emitTyping,
+    emitRoomEvent,
+    replayOutbox,
+    leaveRoom,
+    approveJoin,
+    denyJoin,
+    kickUser,
+    setUserRole,
+    updateRoomAccess,
     onFileOpened: handleFileOpened,
-    onFileUpdate: handleFileUpdate,
     onFileSaved: handleFileSaved,
   };
 
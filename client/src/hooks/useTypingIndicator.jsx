@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useRef } from "react"
+import { useSocket } from "../context/SocketContext"
+
+// How long after the last keystroke we count as idle again
+const TYPING_PAUSE_DELAY_MS = 1500
+
+// Tells the room we are typing in `context` ("chat" or "editor"). Call
+// `notifyTyping` on every keystroke; a start goes out on the first one and a
+// pause once the keys have been still for a moment. `stopTyping` pauses
+// right away, e.g. when a message is sent.
+const useTypingIndicator = (context) => {
+    const { emitTyping } = useSocket()
+    const emitTypingRef = useRef(emitTyping)
+    emitTypingRef.current = emitTyping
+    const pauseTimerRef = useRef(null)
+
+    const stopTyping = useCallback(() => {
+        if (pauseTimerRef.current === null) return
+        clearTimeout(pauseTimerRef.current)
+        pauseTimerRef.current = null
+        emitTypingRef.current(context, false)
+    }, [context])
+
+    const notifyTyping = useCallback(() => {
+        if (pauseTimerRef.current === null) {
+            emitTypingRef.current(context, true)
+        } else {
+            clearTimeout(pauseTimerRef.current)
+        }
+        pauseTimerRef.current = setTimeout(stopTyping, TYPING_PAUSE_DELAY_MS)
+    }, [context, stopTyping])
+
+    useEffect(() => stopTyping, [stopTyping])
+
+    return { notifyTyping, stopTyping }
+}
+
+export default useTypingIndicator
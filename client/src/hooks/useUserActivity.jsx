@@ -1,38 +1,92 @@
-import { useEffect } from "react"
+import { useEffect, useRef } from "react"
 import { useSocket } from "../context/SocketContext"
 import { SocketEvent } from "../types/socket"
+import { USER_CONNECTION_STATUS } from "../types/user"
 
+// No input for this long counts as idle
+const IDLE_AFTER_MS = 5 * 60 * 1000
+
+// Input that shows someone is at the keyboard
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel"]
+
+// Pointer moves come in bursts; one per second is plenty
+const ACTIVITY_THROTTLE_MS = 1000
+
+// Reports our presence to the room: away while the tab is hidden, idle after
+// a while without input and online otherwise. The server marks us
+// disconnected itself when the connection drops.
 const useUserActivity = () => {
     const { socket } = useSocket()
+    const statusRef = useRef(USER_CONNECTION_STATUS.ONLINE)
 
     useEffect(() => {
-        const handleOnline = () => {
-            socket.emit(SocketEvent.USER_ONLINE, { socketId: socket.id })
+        let idleTimer = null
+        let lastActivity = 0
+
+        const report = (status) => {
+            if (statusRef.current === status) return
+            statusRef.current = status
+            if (socket.connected) {
+                socket.emit(SocketEvent.PRESENCE_UPDATE, { status })
+            }
         }
-        const handleOffline = () => {
-            socket.emit(SocketEvent.USER_OFFLINE, { socketId: socket.id })
+
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer)
+            idleTimer = setTimeout(
+                () => report(USER_CONNECTION_STATUS.IDLE),
+                IDLE_AFTER_MS,
+            )
         }
 
-        document.addEventListener(
-            "visibilitychange",
-            () => {
-                if (document.visibilityState === "visible")
-                    handleOnline()
-                else if (document.visibilityState === "hidden")
-                    handleOffline()
-            },
+        const handleActivity = () => {
+            const now = Date.now()
+            if (now - lastActivity < ACTIVITY_THROTTLE_MS) return
+            lastActivity = now
+            resetIdleTimer()
+            if (document.visibilityState === "visible") {
+                report(USER_CONNECTION_STATUS.ONLINE)
+            }
+        }
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === "hidden") {
+                report(USER_CONNECTION_STATUS.AWAY)
+            } else {
+                lastActivity = 0
+                handleActivity()
+            }
+        }
+
+        // Joining, or coming back after a drop, starts us online on the
+        // server; tell it if we are not
+        const handleJoined = () => {
+            if (statusRef.current !== USER_CONNECTION_STATUS.ONLINE) {
+                socket.emit(SocketEvent.PRESENCE_UPDATE, {
+                    status: statusRef.current,
+                })
+            }
+        }
+
+        resetIdleTimer()
+        document.addEventListener("visibilitychange", handleVisibilityChange)
+        ACTIVITY_EVENTS.forEach((event) =>
+            window.addEventListener(event, handleActivity, { passive: true }),
         )
+        socket.on(SocketEvent.JOIN_SUCCESS, handleJoined)
+        socket.on("connect", handleJoined)
 
         return () => {
+            clearTimeout(idleTimer)
             document.removeEventListener(
                 "visibilitychange",
-                () => {
-                    if (document.visibilityState === "visible")
-                        handleOnline()
-                    else if (document.visibilityState === "hidden")
-                        handleOffline()
-                },
+                handleVisibilityChange,
+            )
+            ACTIVITY_EVENTS.forEach((event) =>
+                window.removeEventListener(event, handleActivity),
             )
+            socket.off(SocketEvent.JOIN_SUCCESS, handleJoined)
+            socket.off("connect", handleJoined)
         }
     }, [socket])
 }
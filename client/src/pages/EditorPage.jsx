@@ -4,11 +4,12 @@ import Sidebar from "@/components/sidebar/Sidebar";
 import WorkSpace from "@/components/workspace";
 import { useAppContext } from "@/context/AppContext";
 import { useSocket } from "@/context/SocketContext";
+import { SocketEvent } from "@/types/socket";
+import { buildJoinRequest } from "@/utils/roomAccess";
 import useFullScreen from "@/hooks/useFullScreen";
 import useUserActivity from "@/hooks/useUserActivity";
 import { useEffect, useState } from "react";
 import { useLocation, useNavigate, useParams } from "react-router-dom";
-import { toast } from "react-hot-toast";
 
 function EditorPage() {
   // Listen user online/offline status
@@ -19,7 +20,7 @@ function EditorPage() {
   const navigate = useNavigate();
   const { roomId } = useParams();
   const { status, setStatus, setCurrentUser, currentUser } = useAppContext();
-  const { socket, joinRoom, leaveRoom } = useSocket();
+  const { socket, leaveRoom } = useSocket();
   const location = useLocation();
   const [joinAttempted, setJoinAttempted] = useState(false);
 
@@ -37,45 +38,48 @@ function EditorPage() {
 
     if (roomId && username) {
       console.log(`Attempting to join room ${roomId} as ${username}...`);
-      const user = { username, roomId };
+      // Keep the password typed on the home page for this room
+      const password =
+        currentUser.roomId === roomId ? currentUser.password : undefined;
+      const user = { username, roomId, password };
       setCurrentUser(user);
       setStatus("connecting");
       setJoinAttempted(true);
 
-      const handleJoinError = (error) => {
-        console.error("Failed to join room:", error);
-        toast.error(error.message || "Failed to join room");
-        setStatus("connection_failed");
-        navigate("/", { state: { roomId } });
-      };
-
-      socket.once("join-error", handleJoinError);
-
-      socket.emit("join-request", user, (response) => {
+      // Join errors are reported by the socket context; this only leaves
+      // the page
+      socket.emit(SocketEvent.JOIN_REQUEST, buildJoinRequest(user), (response) => {
         if (response?.error) {
-          handleJoinError({ message: response.error });
+          console.error("Failed to join room:", response.error);
+          navigate("/", { state: { roomId } });
+        } else if (response?.pending) {
+          setStatus("attempting_join");
         } else {
           setStatus("joined");
           console.log(`✅ Successfully joined room ${roomId}`);
         }
       });
-
-      // Cleanup
-      return () => {
-        socket.off("join-error", handleJoinError);
-      };
     }
   }, [
     roomId,
     location.state?.username,
     status,
     joinAttempted,
+    currentUser.roomId,
+    currentUser.password,
     navigate,
     setCurrentUser,
     setStatus,
     socket,
   ]);
 
+  // ✅ Back to the home page when the owner removes us
+  useEffect(() => {
+    if (status === "kicked") {
+      navigate("/", { replace: true, state: { roomId } });
+    }
+  }, [status, navigate, roomId]);
+
   // ✅ Leave room when user exits
   useEffect(() => {
     return () => {
@@ -86,20 +90,6 @@ function EditorPage() {
     };
   }, [socket, roomId, leaveRoom]);
 
-  // ✅ Sync real-time edits across users
-  useEffect(() => {
-    if (!socket) return;
-
-    socket.on("code-change", ({ code }) => {
-      // Broadcast code changes to all editors
-      window.dispatchEvent(new CustomEvent("remote-code-update", { detail: code }));
-    });
-
-    return () => {
-      socket.off("code-change");
-    };
-  }, [socket]);
-
   // ✅ Show connecting or error screens
   if (status === "connecting" || status === "attempting_join") {
     return (
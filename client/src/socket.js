@@ -9,7 +9,9 @@ console.log(`🔌 [${isProduction ? 'PROD' : 'DEV'}] Connecting to WebSocket ser
 export const socket = io(WS_URL, {
   // Connection settings
   reconnection: true,
-  reconnectionAttempts: isProduction ? 10 : 5,
+  // Keep retrying while offline; changes made meanwhile are queued and
+  // replayed once the room is rejoined
+  reconnectionAttempts: Infinity,
   reconnectionDelay: 1000,
   reconnectionDelayMax: 10000,
   timeout: 20000,
@@ -36,7 +38,8 @@ export const socket = io(WS_URL, {
 // Connection handlers
 socket.on("connect", () => {
   console.log("✅ [Socket] Connected with ID:", socket.id);  
-  console.log("🔗 Connection URL:", SOCKET_URL);
+  console.log("🔗 Connection URL:", WS_URL);
+  console.log("♻️ State recovered:", socket.recovered);
   console.log("📊 Transport:", socket.io.engine.transport.name);
 });
 
@@ -52,15 +55,7 @@ socket.on("disconnect", (reason) => {
 socket.on("connect_error", (error) => {
   console.error("❌ [Socket] Connection error:", error.message);
   console.error("Error details:", error);
-  
-  // Attempt to reconnect with exponential backoff
-  const delay = Math.min(socket.io._reconnectionAttempts * 1000, 10000);
-  console.log(`⏳ Reconnecting in ${delay}ms...`);
-  
-  setTimeout(() => {
-    console.log("🔄 Attempting to reconnect...");
-    socket.connect();
-  }, delay);
+  // The manager retries on its own, with backoff
 });
 
 // Room and user events
@@ -1,19 +1,48 @@
-// ChatMessage factory
-const createChatMessage = ({ id, message, username, timestamp }) => ({
+// Emoji members can react with; the server accepts only these
+const REACTION_EMOJIS = ["👍", "❤️", "😂", "🎉", "👀", "🚀"];
+
+// ChatMessage factory. `timestamp` is an ISO string from the server clock;
+// `pending` marks a message the server hasn't relayed back yet.
+const createChatMessage = ({
+  id,
+  message,
+  userId = null,
+  username,
+  timestamp,
+  mentions = [],
+  reactions = {},
+  editedAt = null,
+  pending = false,
+}) => ({
   id,
   message,
+  userId,
   username,
   timestamp,
+  // Ids of the members mentioned as "@username"
+  mentions,
+  // Emoji → ids of the members who reacted with it
+  reactions,
+  editedAt,
+  pending,
 });
 
 // ChatContext factory
 const createChatContext = () => ({
   messages: [],
   setMessages: (messages) => {},
-  isNewMessage: false,
-  setIsNewMessage: (isNewMessage) => {},
+  sendMessage: () => false,
+  shareSnippet: () => {},
+  hasMoreMessages: false,
+  isLoadingHistory: false,
+  loadOlderMessages: () => false,
+  editMessage: () => false,
+  deleteMessage: () => {},
+  toggleReaction: () => {},
+  unreadCount: 0,
+  unreadMentions: 0,
   lastScrollHeight: 0,
   setLastScrollHeight: (lastScrollHeight) => {},
 });
 
-export { createChatMessage, createChatContext };
\ No newline at end of file
+export { createChatMessage, createChatContext, REACTION_EMOJIS };
\ No newline at end of file
@@ -1,58 +1,59 @@
-import { io } from "socket.io-client";
-
 export const SocketEvent = {
   JOIN_REQUEST: "join-request",
   JOIN_ACCEPTED: "join-accepted",
   USER_JOINED: "user-joined",
   USER_DISCONNECTED: "user-disconnected",
+  JOIN_SUCCESS: "join-success",
+  JOIN_ERROR: "join-error",
+  JOIN_PENDING: "join-pending",
+  JOIN_REQUESTS: "join-requests",
+  APPROVE_JOIN: "approve-join",
+  DENY_JOIN: "deny-join",
+  KICK_USER: "kick-user",
+  USER_KICKED: "user-kicked",
+  USER_LEFT: "user-left",
+  UPDATE_ROOM_ACCESS: "update-room-access",
+  ROOM_ACCESS_UPDATED: "room-access-updated",
+  SET_USER_ROLE: "set-user-role",
+  USER_UPDATED: "user-updated",
+  SESSION_REPLACED: "session-replaced",
   SYNC_FILE_STRUCTURE: "sync-file-structure",
   DIRECTORY_CREATED: "directory-created",
   DIRECTORY_UPDATED: "directory-updated",
   DIRECTORY_RENAMED: "directory-renamed",
   DIRECTORY_DELETED: "directory-deleted",
   FILE_CREATED: "file-created",
-  FILE_UPDATED: "file-updated",
   FILE_RENAMED: "file-renamed",
   FILE_DELETED: "file-deleted",
-  USER_OFFLINE: "offline",
-  USER_ONLINE: "online",
+  DOCUMENT_UPDATE: "document-update",
+  SYNC_WORKSPACE: "sync-workspace",
+  PRESENCE_UPDATE: "presence-update",
   SEND_MESSAGE: "send-message",
   RECEIVE_MESSAGE: "receive-message",
+  CHAT_HISTORY: "chat-history",
+  EDIT_MESSAGE: "edit-message",
+  DELETE_MESSAGE: "delete-message",
+  REACT_TO_MESSAGE: "react-to-message",
+  MESSAGE_UPDATED: "message-updated",
+  MESSAGE_DELETED: "message-deleted",
+  USER_MENTIONED: "user-mentioned",
+  MARK_CHAT_READ: "mark-chat-read",
   TYPING_START: "typing-start",
   TYPING_PAUSE: "typing-pause",
   CURSOR_MOVE: "cursor-move",
+  VIEWPORT_CHANGE: "viewport-change",
+  UPDATE_RUN_CONFIG: "update-run-config",
+  RUN_CONFIG_UPDATED: "run-config-updated",
+  RUN_START: "run-start",
+  RUN_STAGE: "run-stage",
+  RUN_OUTPUT: "run-output",
+  RUN_INPUT: "run-input",
+  RUN_STOP: "run-stop",
+  RUN_EXIT: "run-exit",
+  RUN_SHARED: "run-shared",
+  GET_RUN: "get-run",
   USERNAME_EXISTS: "username-exists",
   REQUEST_DRAWING: "request-drawing",
   SYNC_DRAWING: "sync-drawing",
   DRAWING_UPDATE: "drawing-update",
 };
-
-const WS_URL = import.meta.env.VITE_WS_URL || "ws://localhost:3000";
-
-console.log("🔌 WebSocket URL:", WS_URL);
-
-export const socket = io(WS_URL, {
-  transports: ["websocket"], 
-  reconnection: true,
-  reconnectionAttempts: 5,
-  reconnectionDelay: 1000,
-  autoConnect: true,
-  withCredentials: true,
-  path: "/socket.io/",
-});
-socket.on("connect", () => {
-  console.log("✅ Socket connected:", socket.id);
-});
-
-socket.on("disconnect", (reason) => {
-  console.log("❌ Socket disconnected:", reason);
-  if (reason === "io server disconnect") {
-    socket.connect(); // reconnect manually
-  }
-});
-
-socket.on("connect_error", (error) => {
-  console.error("❌ Connection error:", error.message);
-});
-
-export default socket;
\ No newline at end of file
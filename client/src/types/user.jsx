@@ -1,9 +1,25 @@
-// Connection status constants
+// Presence: online, away (tab hidden), idle (no input for a while) or
+// disconnected (connection dropped but may come back)
 const USER_CONNECTION_STATUS = {
-  OFFLINE: "offline",
   ONLINE: "online",
+  AWAY: "away",
+  IDLE: "idle",
+  DISCONNECTED: "disconnected",
+};
+
+// Room roles: the owner manages the room, editors change the workspace,
+// viewers only watch
+const USER_ROLES = {
+  OWNER: "owner",
+  EDITOR: "editor",
+  VIEWER: "viewer",
 };
 
+// Users without a role yet (not in a room) work on their local copy
+const canEdit = (user) => user?.role !== USER_ROLES.VIEWER;
+
+const isOwner = (user) => user?.role === USER_ROLES.OWNER;
+
 // User object structure example
 const createUser = (username, roomId) => ({
   username,
@@ -14,23 +30,31 @@ const createUser = (username, roomId) => ({
 const createRemoteUser = ({
   username,
   roomId,
-  status = USER_CONNECTION_STATUS.OFFLINE,
+  status = USER_CONNECTION_STATUS.ONLINE,
   cursorPosition = 0,
   typing = false,
+  typingIn = null,
   currentFile = "",
   socketId = "",
   selectionStart = null,
   selectionEnd = null,
+  cursor = null,
+  role = USER_ROLES.EDITOR,
 }) => ({
   username,
   roomId,
   status,
   cursorPosition,
   typing,
+  // Where they are typing: "chat" or "editor"
+  typingIn,
   currentFile,
   socketId,
   selectionStart,
   selectionEnd,
+  // Yjs relative positions ({ anchor, head }) for the cursor, if any
+  cursor,
+  role,
 });
 
 // User status constants
@@ -43,4 +67,12 @@ const USER_STATUS = {
   DISCONNECTED: "disconnected",
 };
 
-export { USER_CONNECTION_STATUS, USER_STATUS, createUser, createRemoteUser };
\ No newline at end of file
+export {
+  USER_CONNECTION_STATUS,
+  USER_STATUS,
+  USER_ROLES,
+  canEdit,
+  isOwner,
+  createUser,
+  createRemoteUser,
+};
\ No newline at end of file
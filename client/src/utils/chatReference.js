@@ -0,0 +1,56 @@
+// References to a file and line range inside chat messages. They are plain
+// markdown links whose target is "#<path>:<from>-<to>", so they survive the
+// server untouched and any message can contain one, e.g.
+// [see here](#src/index.js:12-14).
+
+const REFERENCE_PATTERN = /^#(.+):(\d+)(?:-(\d+))?$/
+
+export const formatLineRange = ({ fromLine, toLine }) =>
+    fromLine === toLine ? `${fromLine}` : `${fromLine}-${toLine}`
+
+export const formatReference = (reference) =>
+    `${reference.path}:${formatLineRange(reference)}`
+
+// Returns { path, fromLine, toLine } for a reference link target, or null
+export const parseReference = (href) => {
+    const match = REFERENCE_PATTERN.exec(href || "")
+    if (!match) return null
+
+    let path
+    try {
+        path = decodeURI(match[1])
+    } catch {
+        return null
+    }
+    const fromLine = Number(match[2])
+    const toLine = match[3] ? Number(match[3]) : fromLine
+    if (fromLine < 1 || toLine < fromLine) return null
+    return { path, fromLine, toLine }
+}
+
+// Markdown for a shared snippet: a reference link followed by the code in a
+// fence long enough not to be closed by backticks inside the code
+export const buildSnippetMessage = ({
+    path,
+    fromLine,
+    toLine,
+    language,
+    code,
+}) => {
+    const label = formatReference({ path, fromLine, toLine }).replace(
+        /[[\]]/g,
+        "\\$&",
+    )
+    // Parentheses would end the link target early
+    const encodedPath = encodeURI(path).replace(/[()]/g, (c) =>
+        c === "(" ? "%28" : "%29",
+    )
+    const target = `#${encodedPath}:${formatLineRange({ fromLine, toLine })}`
+    const longestRun = Math.max(
+        0,
+        ...(code.match(/`+/g) || []).map((run) => run.length),
+    )
+    const fence = "`".repeat(Math.max(3, longestRun + 1))
+
+    return `[${label}](${target})\n${fence}${language || ""}\n${code}\n${fence}`
+}
@@ -0,0 +1,50 @@
+// File contents are shared through a Yjs document: the "files" map holds one
+// Y.Text per file id. Edits are sent as incremental updates and merge
+// without conflicts, whatever order they arrive in.
+
+export const FILES_KEY = "files"
+
+// Transaction origin for updates that came from the server, so they are not
+// echoed back
+export const REMOTE_ORIGIN = "remote"
+
+export const getFileTexts = (doc) => doc.getMap(FILES_KEY)
+
+const isHighSurrogate = (code) => code >= 0xd800 && code <= 0xdbff
+const isLowSurrogate = (code) => code >= 0xdc00 && code <= 0xdfff
+
+// Replace the text with `newContent` by editing only the changed middle part,
+// which keeps concurrent edits elsewhere in the file intact. The part never
+// starts or ends between the two halves of a character such as an emoji:
+// half a character can't be encoded, and peers would get U+FFFD instead.
+export const applyTextChange = (text, newContent) => {
+    const oldContent = text.toString()
+    if (oldContent === newContent) return
+
+    let start = 0
+    const maxStart = Math.min(oldContent.length, newContent.length)
+    while (start < maxStart && oldContent[start] === newContent[start]) {
+        start++
+    }
+    if (start > 0 && isHighSurrogate(oldContent.charCodeAt(start - 1))) start--
+
+    let oldEnd = oldContent.length
+    let newEnd = newContent.length
+    while (
+        oldEnd > start &&
+        newEnd > start &&
+        oldContent[oldEnd - 1] === newContent[newEnd - 1]
+    ) {
+        oldEnd--
+        newEnd--
+    }
+    if (isLowSurrogate(oldContent.charCodeAt(oldEnd))) {
+        oldEnd++
+        newEnd++
+    }
+
+    text.doc.transact(() => {
+        if (oldEnd > start) text.delete(start, oldEnd - start)
+        if (newEnd > start) text.insert(start, newContent.slice(start, newEnd))
+    })
+}
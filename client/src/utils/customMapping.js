@@ -1,9 +0,0 @@
-const customMapping = {
-    php: "php",
-    cs: "csharp",
-    javascript: "js",
-    js: "js", 
-    
-}
-
-export default customMapping
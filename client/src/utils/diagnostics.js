@@ -0,0 +1,173 @@
+// Errors and warnings found in what compilers and crashing programs print
+// to stderr, so they can be shown on the lines they are about
+
+// The runner works in a temporary directory; paths inside it are made
+// relative to it, which makes them paths in the run's folder
+const RUN_DIR_PATTERN = /^(?:file:\/\/)?\/(?:[^/]+\/)*codesync-run-[^/]+\//
+
+// gcc, g++, clang, javac and go: `path:line[:column]: [error:] message`
+const COMPILER_PATTERN =
+    /^([^\s:][^:]*):(\d+)(?::(\d+))?:\s*(?:(fatal error|error|warning|note):\s*)?(.+)$/
+// rustc gives the message first and the location on a later line
+const RUST_MESSAGE_PATTERN = /^(error|warning)(?:\[\w+\])?: (.+)$/
+const RUST_LOCATION_PATTERN = /^\s*--> (.+):(\d+):(\d+)$/
+// Python tracebacks and syntax errors
+const PYTHON_FRAME_PATTERN = /^\s*File "(.+)", line (\d+)/
+// Node stack frames, with or without a function name, and Java's
+const NODE_FRAME_PATTERN = /^\s+at (?:.* \()?(.+?):(\d+):(\d+)\)?$/
+const JAVA_FRAME_PATTERN = /^\s+at [\w$.<>]+\(([\w$]+\.java):(\d+)\)$/
+// Node's header for an uncaught error: the location, the source line and
+// a caret under the column
+const NODE_HEADER_PATTERN = /^(\/.+|file:\/\/.+):(\d+)$/
+
+const SEVERITIES = {
+    "fatal error": "error",
+    error: "error",
+    warning: "warning",
+    note: "info",
+}
+
+const normalizePath = (path) =>
+    path.replace(RUN_DIR_PATTERN, "").replace(/^\.\//, "")
+
+// The exception's own line: Java prefixes it with the thread it killed
+const cleanMessage = (line) =>
+    line.replace(/^Exception in thread "[^"]*" /, "").trim()
+
+/**
+ * Finds file:line:column diagnostics in `text`. `resolve(path)` maps a path
+ * as printed (made relative to the run) to `{ fileId, path }` for files of
+ * the workspace, or null; locations outside the workspace, like the
+ * standard library, are skipped. Returns `[{ fileId, path, line, column,
+ * severity, message }]`, with 1-based lines and columns (column may be
+ * null), without duplicates.
+ */
+export const parseDiagnostics = (text, resolve) => {
+    const diagnostics = []
+    const seen = new Set()
+    const add = (rawPath, line, column, severity, message) => {
+        const file = resolve(normalizePath(rawPath))
+        if (!file || !message) return false
+        const key = `${file.fileId}:${line}:${column}:${message}`
+        if (!seen.has(key)) {
+            seen.add(key)
+            diagnostics.push({
+                fileId: file.fileId,
+                path: file.path,
+                line: Number(line),
+                column: column ? Number(column) : null,
+                severity,
+                message,
+            })
+        }
+        return true
+    }
+
+    const lines = text.split(/\r?\n/)
+    let rustMessage = null
+    let nodeHeader = null
+    // The frames of a Node/Java stack trace or Python traceback being read
+    let frames = []
+    let framesKind = null
+    let lastMessage = null
+
+    // A stack trace points at the innermost frame in the workspace. Python
+    // lists frames outermost first, the others innermost first.
+    const endFrames = (message) => {
+        const ordered = framesKind === "python" ? [...frames].reverse() : frames
+        const found = ordered.some(({ path, line, column }) =>
+            add(path, line, column, "error", message),
+        )
+        // Syntax errors in Node are only located by the header
+        if (!found && nodeHeader) {
+            add(
+                nodeHeader.path,
+                nodeHeader.line,
+                nodeHeader.column,
+                "error",
+                message,
+            )
+        }
+        frames = []
+        framesKind = null
+        nodeHeader = null
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i]
+        let match
+
+        if ((match = PYTHON_FRAME_PATTERN.exec(line))) {
+            if (framesKind !== "python") frames = []
+            framesKind = "python"
+            frames.push({ path: match[1], line: match[2], column: null })
+            continue
+        }
+        if (framesKind === "python") {
+            // Source lines and carets are indented; the exception is not
+            if (/^\s/.test(line) || line === "") continue
+            endFrames(cleanMessage(line))
+            continue
+        }
+
+        if (
+            (match = NODE_FRAME_PATTERN.exec(line)) ||
+            (match = JAVA_FRAME_PATTERN.exec(line))
+        ) {
+            framesKind = "stack"
+            frames.push({ path: match[1], line: match[2], column: match[3] })
+            continue
+        }
+        if (framesKind === "stack") endFrames(lastMessage)
+
+        if ((match = NODE_HEADER_PATTERN.exec(line))) {
+            // The caret two lines down marks the column
+            const caret = lines[i + 2]?.indexOf("^") ?? -1
+            nodeHeader = {
+                path: match[1],
+                line: match[2],
+                column: caret >= 0 ? caret + 1 : null,
+            }
+            continue
+        }
+        if ((match = RUST_MESSAGE_PATTERN.exec(line))) {
+            rustMessage = { severity: match[1], message: match[2] }
+            continue
+        }
+        if ((match = RUST_LOCATION_PATTERN.exec(line))) {
+            if (rustMessage) {
+                add(
+                    match[1],
+                    match[2],
+                    match[3],
+                    rustMessage.severity,
+                    rustMessage.message,
+                )
+                rustMessage = null
+            }
+            continue
+        }
+        if ((match = COMPILER_PATTERN.exec(line))) {
+            const [, path, lineNumber, column, severity, message] = match
+            const level = SEVERITIES[severity] || "error"
+            if (add(path, lineNumber, column, level, message)) continue
+        }
+        if (line.trim() && !/^\s/.test(line)) lastMessage = cleanMessage(line)
+    }
+    if (framesKind === "stack") endFrames(lastMessage)
+    return diagnostics
+}
+
+/**
+ * Resolves printed paths to files listed by getFilesWithPaths, as
+ * parseDiagnostics expects. Java stack traces only name the file, which is
+ * enough when no other file has that name.
+ */
+export const createPathResolver = (filesWithPaths) => (path) => {
+    let found = filesWithPaths.find((entry) => entry.path === path)
+    if (!found && !path.includes("/")) {
+        const named = filesWithPaths.filter(({ file }) => file.name === path)
+        if (named.length === 1) found = named[0]
+    }
+    return found ? { fileId: found.file.id, path: found.path } : null
+}
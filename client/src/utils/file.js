@@ -98,3 +98,28 @@ export const sortFileSystemItem = (item) => {
 
     return item
 }
+
+// Path of a file relative to the root directory, e.g. "src/index.js"
+export const getFilePath = (fileStructure, fileId) => {
+    const findPath = (directory, prefix) => {
+        for (const child of directory.children || []) {
+            const path = prefix + child.name
+            if (child.id === fileId) return path
+            if (child.type === "directory") {
+                const found = findPath(child, path + "/")
+                if (found) return found
+            }
+        }
+        return null
+    }
+
+    return findPath(fileStructure, "")
+}
+
+export const getFileByPath = (fileStructure, path) => {
+    let item = fileStructure
+    for (const name of path.split("/")) {
+        item = item?.children?.find((child) => child.name === name)
+    }
+    return item?.type === "file" ? item : null
+}
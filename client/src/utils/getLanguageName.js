@@ -0,0 +1,12 @@
+import { langNames } from "@uiw/codemirror-extensions-langs"
+import { detectLanguage } from "./languageDetection"
+
+// Returns the CodeMirror language name for a file, or null if unsupported
+export const getLanguageName = (fileName) => {
+    const extension = fileName.split(".").pop()?.toLowerCase()
+    if (!extension) return null
+    if (langNames.includes(extension)) return extension
+
+    const mapped = detectLanguage(fileName)?.extensions[0]
+    return langNames.includes(mapped) ? mapped : null
+}
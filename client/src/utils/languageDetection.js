@@ -0,0 +1,152 @@
+// Languages files can be run in, by the name runners report them under
+// (see /runtimes). A file's language comes from its extension, or for a
+// script without a known one, from the interpreter its shebang line names.
+// The first extension is also the editor's name for the language.
+const LANGUAGES = [
+    {
+        language: "javascript",
+        label: "JavaScript",
+        extensions: ["js", "mjs", "cjs"],
+        interpreters: ["node", "nodejs"],
+    },
+    {
+        language: "typescript",
+        label: "TypeScript",
+        extensions: ["ts", "mts", "cts"],
+        interpreters: ["ts-node", "tsx"],
+    },
+    {
+        language: "python",
+        label: "Python",
+        extensions: ["py", "pyw"],
+        interpreters: ["python", "pypy"],
+    },
+    { language: "c", label: "C", extensions: ["c", "h"] },
+    {
+        language: "c++",
+        label: "C++",
+        extensions: ["cpp", "cc", "cxx", "c++", "hpp", "hh", "hxx"],
+    },
+    { language: "csharp", label: "C#", extensions: ["cs"] },
+    { language: "go", label: "Go", extensions: ["go"] },
+    { language: "rust", label: "Rust", extensions: ["rs"] },
+    { language: "java", label: "Java", extensions: ["java"] },
+    { language: "kotlin", label: "Kotlin", extensions: ["kt", "kts"] },
+    { language: "swift", label: "Swift", extensions: ["swift"] },
+    {
+        language: "ruby",
+        label: "Ruby",
+        extensions: ["rb"],
+        interpreters: ["ruby"],
+    },
+    {
+        language: "php",
+        label: "PHP",
+        extensions: ["php"],
+        interpreters: ["php"],
+    },
+    {
+        language: "perl",
+        label: "Perl",
+        extensions: ["pl", "pm"],
+        interpreters: ["perl"],
+    },
+    {
+        language: "lua",
+        label: "Lua",
+        extensions: ["lua"],
+        interpreters: ["lua"],
+    },
+    {
+        language: "bash",
+        label: "Bash",
+        extensions: ["sh", "bash"],
+        interpreters: ["bash", "sh", "dash", "ksh", "zsh"],
+    },
+]
+
+const getExtension = (fileName) => {
+    const dot = fileName.lastIndexOf(".")
+    return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : ""
+}
+
+/**
+ * The interpreter a script's shebang line names, without its version:
+ * "python" for `#!/usr/bin/env python3.12`, "bash" for `#!/bin/bash -e`.
+ * Null when the script has no shebang line.
+ */
+export const getShebangInterpreter = (content) => {
+    if (!content?.startsWith("#!")) return null
+    const end = content.indexOf("\n")
+    const words = content
+        .slice(2, end === -1 ? undefined : end)
+        .trim()
+        .split(/\s+/)
+    let program = words[0]?.split("/").pop()
+    // `env` runs the first word that is neither an option nor a variable
+    if (program === "env") {
+        program = words
+            .slice(1)
+            .find((word) => !word.startsWith("-") && !word.includes("="))
+    }
+    return program ? program.replace(/[\d.]+$/, "") || null : null
+}
+
+/**
+ * The language of a file, from its name and, failing that, its shebang
+ * line: `{ language, label, extensions }`, or null when it can't be told.
+ * Runtimes that take the extension as an alias (see findRuntime) are for
+ * the caller to try.
+ */
+export const detectLanguage = (fileName, content = "") => {
+    const extension = getExtension(fileName)
+    const byExtension = LANGUAGES.find(({ extensions }) =>
+        extensions.includes(extension),
+    )
+    if (byExtension) return byExtension
+
+    const interpreter = getShebangInterpreter(content)
+    return (
+        (interpreter &&
+            LANGUAGES.find(({ interpreters }) =>
+                interpreters?.includes(interpreter),
+            )) ||
+        null
+    )
+}
+
+// How a language is named to people: "C++" for "c++"
+export const getLanguageLabel = (language) =>
+    LANGUAGES.find((entry) => entry.language === language)?.label ?? language
+
+/**
+ * The runtime from `runtimes` (as listed by /runtimes) that runs
+ * `language`, by its name or one of its aliases. The given version is
+ * preferred, but any version will do once that one is gone.
+ */
+export const findRuntime = (runtimes, language, version = "") => {
+    if (!language) return null
+    const name = language.toLowerCase()
+    const matching = runtimes.filter(
+        (runtime) =>
+            runtime.language === name || runtime.aliases?.includes(name),
+    )
+    return (
+        matching.find((runtime) => runtime.version === version) ??
+        matching[0] ??
+        null
+    )
+}
+
+/**
+ * Which runtime runs `file` when the room has not chosen one for it: the
+ * language detected from its name or shebang line, else a runtime that
+ * takes its extension as an alias. Returns `{ language, version }`, with
+ * any version, or null when it can't be told.
+ */
+export const detectRuntime = (runtimes, file) => {
+    const detected = detectLanguage(file.name, file.content)
+    if (detected) return { language: detected.language, version: "" }
+    const runtime = findRuntime(runtimes, getExtension(file.name))
+    return runtime ? { language: runtime.language, version: "" } : null
+}
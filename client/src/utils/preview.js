@@ -0,0 +1,245 @@
+import { getFilesWithPaths } from "./runConfig"
+import { isTestFile } from "./testDetection"
+
+// Tells the preview's console messages apart from anything else posted to
+// the window
+export const PREVIEW_MESSAGE_SOURCE = "codesync-preview"
+
+// Modules import each other through this made-up origin: relative imports
+// are rewritten to it, and the page's import map points each address at
+// the module's code
+const MODULE_ORIGIN = "https://preview.codesync.invalid/"
+
+const moduleUrl = (path) => new URL(path, MODULE_ORIGIN).href
+
+// Anything with a scheme, protocol-relative or a fragment is left alone
+const isLocalUrl = (url) =>
+    Boolean(url) && !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url)
+
+// The workspace path `url` points at, relative to the file at `fromPath`
+const resolvePath = (url, fromPath) => {
+    const resolved = new URL(url, moduleUrl(fromPath))
+    return decodeURIComponent(resolved.pathname.slice(1))
+}
+
+const isScript = (path) => /\.[cm]?js$/.test(path)
+const isStylesheet = (path) => path.endsWith(".css")
+const isPage = (path) => /\.html?$/.test(path)
+const isModuleCode = (code) => /^\s*(import|export)\b/m.test(code)
+
+// Inlined code must not end the element it is inlined into
+const escapeClosingTag = (code, tag) =>
+    code.replace(new RegExp(`</${tag}`, "gi"), `<\\/${tag}`)
+
+// Named in the browser's errors and stack traces
+const withSourceUrl = (code, path) => `${code}\n//# sourceURL=${path}`
+
+// `import … from "./x.js"`, `export … from "./x.js"`, `import "./x.js"`
+// and `import("./x.js")`
+const RELATIVE_IMPORT_PATTERN =
+    /(\bimport\s*\(\s*|\bimport\s*|\bfrom\s*)(["'])(\.{1,2}\/[^"'\n]+)\2/g
+
+function rewriteImports(code, fromPath, modules) {
+    return code.replace(
+        RELATIVE_IMPORT_PATTERN,
+        (match, prefix, quote, specifier) => {
+            const url = moduleUrl(resolvePath(specifier, fromPath))
+            return url in modules ? `${prefix}${quote}${url}${quote}` : match
+        },
+    )
+}
+
+// Forwards the page's console and uncaught errors to the editor. It is
+// injected into the page as source, so it must not use anything outside
+// itself.
+function previewConsole(source) {
+    const format = (value) => {
+        if (typeof value === "string") return value
+        if (value instanceof Error) return value.stack || String(value)
+        if (typeof value === "function") {
+            return `ƒ ${value.name || "anonymous"}()`
+        }
+        if (value instanceof Node) {
+            return (value.outerHTML || value.nodeName).slice(0, 300)
+        }
+        if (value && typeof value === "object") {
+            try {
+                return JSON.stringify(value)
+            } catch {
+                return String(value)
+            }
+        }
+        return String(value)
+    }
+    const send = (level, args) =>
+        parent.postMessage(
+            { source, level, text: args.map(format).join(" ") },
+            "*",
+        )
+
+    for (const level of ["log", "info", "warn", "error", "debug"]) {
+        const original = console[level]
+        console[level] = (...args) => {
+            send(level, args)
+            original.apply(console, args)
+        }
+    }
+    const clear = console.clear
+    console.clear = () => {
+        send("clear", [])
+        clear.call(console)
+    }
+    addEventListener("error", (event) =>
+        send("error", [
+            event.error ??
+                `${event.message} (${event.filename}:${event.lineno})`,
+        ]),
+    )
+    addEventListener("unhandledrejection", (event) =>
+        send("error", ["Uncaught (in promise)", event.reason]),
+    )
+}
+
+const createElement = (doc, tag, attributes, text) => {
+    const element = doc.createElement(tag)
+    for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, value)
+    }
+    if (text) element.textContent = text
+    return element
+}
+
+/**
+ * Builds the web page for the files below `directory`, as one HTML
+ * document for an iframe's srcdoc. The page is `entry` when it is an HTML
+ * file, else index.html or the first HTML file found; its local
+ * stylesheets and scripts are inlined, and modules import each other
+ * through an import map. Without any HTML file, a page is made that loads
+ * every stylesheet and script. Returns `{ html, page }`, where `page` is
+ * the HTML file's path (null for a made-up page).
+ */
+export function buildPreview(directory, entry) {
+    const files = getFilesWithPaths(directory)
+    const byPath = new Map(files.map(({ file, path }) => [path, file]))
+    const scripts = files.filter(
+        ({ path }) => isScript(path) && !isTestFile(path),
+    )
+
+    // Every script can be imported as a module
+    const modules = {}
+    for (const { path } of scripts) modules[moduleUrl(path)] = null
+    for (const { file, path } of scripts) {
+        const code = withSourceUrl(
+            rewriteImports(file.content, path, modules),
+            path,
+        )
+        modules[moduleUrl(path)] =
+            `data:text/javascript;charset=utf-8,${encodeURIComponent(code)}`
+    }
+
+    const pageFile =
+        files.find(({ file }) => file.id === entry?.id && isPage(file.name)) ||
+        files.find(({ path }) => path === "index.html") ||
+        files.find(({ path }) => isPage(path))
+
+    const doc = pageFile
+        ? new DOMParser().parseFromString(pageFile.file.content, "text/html")
+        : document.implementation.createHTMLDocument("Preview")
+    const pagePath = pageFile?.path ?? "index.html"
+
+    if (pageFile) {
+        for (const link of doc.querySelectorAll('link[rel="stylesheet"]')) {
+            const href = link.getAttribute("href")
+            const path = isLocalUrl(href) && resolvePath(href, pagePath)
+            const file = path && byPath.get(path)
+            if (!file) continue
+            link.replaceWith(
+                createElement(
+                    doc,
+                    "style",
+                    { "data-href": href },
+                    escapeClosingTag(file.content, "style"),
+                ),
+            )
+        }
+        for (const script of doc.querySelectorAll("script")) {
+            const src = script.getAttribute("src")
+            const isModule = script.getAttribute("type") === "module"
+            if (!src) {
+                if (isModule) {
+                    script.textContent = rewriteImports(
+                        script.textContent,
+                        pagePath,
+                        modules,
+                    )
+                }
+                continue
+            }
+            const path = isLocalUrl(src) && resolvePath(src, pagePath)
+            const file = path && byPath.get(path)
+            if (!file) continue
+            script.removeAttribute("src")
+            script.setAttribute("data-src", src)
+            // Modules go through the import map, so each runs only once
+            script.textContent = isModule
+                ? `import "${moduleUrl(path)}"`
+                : escapeClosingTag(withSourceUrl(file.content, path), "script")
+        }
+    } else {
+        for (const { file, path } of files) {
+            if (!isStylesheet(path)) continue
+            doc.head.append(
+                createElement(
+                    doc,
+                    "style",
+                    { "data-href": path },
+                    escapeClosingTag(file.content, "style"),
+                ),
+            )
+        }
+        for (const { file, path } of scripts) {
+            doc.body.append(
+                isModuleCode(file.content)
+                    ? createElement(
+                          doc,
+                          "script",
+                          { type: "module", "data-src": path },
+                          `import "${moduleUrl(path)}"`,
+                      )
+                    : createElement(
+                          doc,
+                          "script",
+                          { "data-src": path },
+                          escapeClosingTag(
+                              withSourceUrl(file.content, path),
+                              "script",
+                          ),
+                      ),
+            )
+        }
+    }
+
+    // The console comes first, so it sees everything the page does
+    doc.head.prepend(
+        createElement(
+            doc,
+            "script",
+            {},
+            `(${previewConsole})(${JSON.stringify(PREVIEW_MESSAGE_SOURCE)})`,
+        ),
+        createElement(
+            doc,
+            "script",
+            { type: "importmap" },
+            JSON.stringify({ imports: modules }),
+        ),
+    )
+    if (!doc.querySelector("meta[charset]")) {
+        doc.head.prepend(createElement(doc, "meta", { charset: "utf-8" }))
+    }
+
+    return {
+        html: `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`,
+        page: pageFile?.path ?? null,
+    }
+}
@@ -0,0 +1,33 @@
+// Secrets the server hands out on join, kept per room so the same person is
+// recognised when they come back, even from a new tab:
+// - the owner key, given to the room's creator
+// - the session token, given to every member; it reclaims their identity
+//   and role on reconnect
+const ownerKeyName = (roomId) => `room-owner-key:${roomId}`
+const sessionTokenName = (roomId) => `room-session:${roomId}`
+
+export const getOwnerKey = (roomId) =>
+    roomId ? localStorage.getItem(ownerKeyName(roomId)) : null
+
+export const saveOwnerKey = (roomId, ownerKey) => {
+    if (roomId && ownerKey) localStorage.setItem(ownerKeyName(roomId), ownerKey)
+}
+
+export const getSessionToken = (roomId) =>
+    roomId ? localStorage.getItem(sessionTokenName(roomId)) : null
+
+export const saveSessionToken = (roomId, sessionToken) => {
+    if (roomId && sessionToken) {
+        localStorage.setItem(sessionTokenName(roomId), sessionToken)
+    }
+}
+
+// Payload for a join-request: who is joining, plus anything that proves
+// they may enter
+export const buildJoinRequest = ({ roomId, username, password }) => ({
+    roomId,
+    username,
+    password: password || undefined,
+    ownerKey: getOwnerKey(roomId) || undefined,
+    sessionToken: getSessionToken(roomId) || undefined,
+})
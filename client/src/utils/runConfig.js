@@ -0,0 +1,115 @@
+import { getFileById } from "./file"
+
+// The runner refuses more files than this in a single run
+export const MAX_RUN_FILES = 20
+// The server keeps this many named run configurations per room
+export const MAX_RUN_CONFIGURATIONS = 20
+// Longest input a run configuration can send to the program
+export const MAX_RUN_INPUT_LENGTH = 16 * 1024
+
+/**
+ * The room's run configuration, which everyone shares. Run uses the named
+ * configuration whose id is `configurationId`, or when none is chosen, the
+ * folder, entry file, arguments and input set here. `fileLanguages` holds
+ * the runtime picked for a file whose language was not the one detected,
+ * as file id → `{ language, version }`.
+ */
+export const defaultRunConfig = {
+    scopeId: null,
+    entryFileId: null,
+    args: "",
+    stdin: "",
+    preview: false,
+    fileLanguages: {},
+    // `{ id, name, language, version, scopeId, entryFileId, args, stdin }`,
+    // where an empty `language` means the entry file's own
+    configurations: [],
+    configurationId: null,
+}
+
+// Directories a run can be limited to, with their path for display
+export const getRunScopes = (fileStructure) => {
+    const scopes = []
+    const collect = (directory, prefix) => {
+        for (const child of directory.children || []) {
+            if (child.type !== "directory") continue
+            const path = prefix + child.name
+            scopes.push({ id: child.id, path })
+            collect(child, path + "/")
+        }
+    }
+    collect(fileStructure, "")
+    return scopes
+}
+
+// Every file below `directory`, each with its path relative to it
+export const getFilesWithPaths = (directory) => {
+    const files = []
+    const collect = (dir, prefix) => {
+        for (const child of dir.children || []) {
+            const path = prefix + child.name
+            if (child.type === "directory") collect(child, path + "/")
+            else files.push({ file: child, path })
+        }
+    }
+    collect(directory, "")
+    return files
+}
+
+/**
+ * The files a run sends, as `{ name, content }` with paths relative to the
+ * run scope (the whole workspace when `scopeId` is null). The entry file
+ * comes first, which is how the runner knows where to start. Returns null
+ * when the entry file is not inside the scope.
+ */
+export const collectRunFiles = (
+    fileStructure,
+    { scopeId, entryFileId },
+    getContent,
+) => {
+    const scope =
+        (scopeId && getFileById(fileStructure, scopeId)) || fileStructure
+    const files = getFilesWithPaths(scope).map(({ file, path }) => ({
+        id: file.id,
+        name: path,
+        content: getContent(file),
+    }))
+    const entry = files.find(({ id }) => id === entryFileId)
+    if (!entry) return null
+    return [entry, ...files.filter((file) => file !== entry)].map(
+        ({ name, content }) => ({ name, content }),
+    )
+}
+
+/**
+ * Splits command-line arguments the way a shell would for the simple
+ * cases: on whitespace, keeping quoted text together and honouring
+ * backslash escapes. `a "b c" 'd'` gives ["a", "b c", "d"].
+ */
+export const parseArgs = (text) => {
+    const args = []
+    let current = null
+    let quote = null
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (quote) {
+            if (char === quote) quote = null
+            else if (char === "\\" && quote === '"' && i + 1 < text.length) {
+                current += text[++i]
+            } else current += char
+        } else if (char === '"' || char === "'") {
+            quote = char
+            current ??= ""
+        } else if (char === "\\" && i + 1 < text.length) {
+            current = (current ?? "") + text[++i]
+        } else if (/\s/.test(char)) {
+            if (current !== null) args.push(current)
+            current = null
+        } else {
+            current = (current ?? "") + char
+        }
+    }
+    if (current !== null) args.push(current)
+    return args
+}
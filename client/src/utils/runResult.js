@@ -0,0 +1,31 @@
+// How a run ended, from its exit event or history entry: the result of its
+// last stage, or `{ error }` when it could not run. A build that fails has
+// no run, so its compile result is the one that counts.
+export const getRunExit = ({ error, compile, run }) => {
+    if (error) return { error }
+    if (run) return { stage: "run", ...run }
+    return { stage: "compile", ...compile }
+}
+
+export const isFailedExit = (exit) =>
+    Boolean(exit.error || exit.message || exit.code !== 0)
+
+export const formatDuration = (ms) => `${(ms / 1000).toFixed(2)}s`
+
+// One line on how a run ended
+export const describeExit = ({
+    error,
+    stage,
+    code,
+    signal,
+    message,
+    durationMs,
+}) => {
+    if (error) return error
+    const took = formatDuration(durationMs)
+    if (message) return `${message} after ${took}`
+    if (stage === "compile")
+        return `Build failed with exit code ${code} in ${took}`
+    if (signal) return `Killed by ${signal} after ${took}`
+    return `Exited with code ${code} in ${took}`
+}
@@ -0,0 +1,47 @@
+import { getFilesWithPaths } from "./runConfig"
+
+// How each runner's test files are named, by the language that runs them
+const TEST_FILE_PATTERNS = [
+    {
+        language: "javascript",
+        label: "JavaScript",
+        // Jest and Vitest: *.test.js, *.spec.js and anything in __tests__
+        pattern: /(\.(test|spec)\.[cm]?js$)|(^|\/)__tests__\/.*\.[cm]?js$/,
+    },
+    {
+        language: "python",
+        label: "Python",
+        // unittest and pytest: test_*.py and *_test.py
+        pattern: /(^|\/)(test_[^/]*|[^/]*_test)\.py$/,
+    },
+    {
+        language: "java",
+        label: "Java",
+        // JUnit: *Test.java and *Tests.java, or anything under src/test/java
+        pattern: /(^|\/)([^/]*Tests?\.java|src\/test\/java\/.*\.java)$/,
+    },
+]
+
+/**
+ * The test files below `directory`, grouped by the language that runs
+ * them: `[{ language, label, files: [{ file, path }] }]`, with paths
+ * relative to `directory`. Languages without tests are left out.
+ */
+export const findTestFiles = (directory) => {
+    const files = getFilesWithPaths(directory)
+    return TEST_FILE_PATTERNS.map(({ language, label, pattern }) => ({
+        language,
+        label,
+        files: files.filter(({ path }) => pattern.test(path)),
+    })).filter(({ files }) => files.length > 0)
+}
+
+export const isTestFile = (path) =>
+    TEST_FILE_PATTERNS.some(({ pattern }) => pattern.test(path))
+
+// Counts of a test run's results by status
+export const countTests = (tests) => {
+    const counts = { passed: 0, failed: 0, skipped: 0 }
+    for (const { status } of tests) counts[status]++
+    return counts
+}
@@ -0,0 +1,10 @@
+// src/execution/errors.js
+// Why the runner turned a request down, for whoever made it.
+
+// A request the runner refuses; `status` is the HTTP status to answer with
+export class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
@@ -0,0 +1,452 @@
+// src/execution/harnesses/jest.cjs
+// Runs Jest/Vitest-style test files without either installed: describe,
+// it/test, the before/after hooks and the common `expect` matchers are
+// provided as globals, and `vitest` / `@jest/globals` imports resolve to
+// them. Progress goes to stdout; the structured report goes to the file
+// named by CODESYNC_TEST_REPORT (see ../testing.js for its format).
+//
+//   node jest.cjs math.test.js src/__tests__/parse.test.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { pathToFileURL } = require("url");
+
+const TEST_TIMEOUT_MS = 5000;
+
+// 🔸 Collecting suites and tests
+
+const createSuite = (name, parent, skip = false) => ({
+  name,
+  parent,
+  skip: skip || Boolean(parent?.skip),
+  children: [],
+  beforeAll: [],
+  afterAll: [],
+  beforeEach: [],
+  afterEach: [],
+});
+
+let currentSuite = null;
+
+function describe(name, fn) {
+  addSuite(name, fn, false);
+}
+describe.skip = (name, fn) => addSuite(name, fn, true);
+describe.only = describe;
+
+function addSuite(name, fn, skip) {
+  const suite = createSuite(String(name), currentSuite, skip);
+  currentSuite.children.push(suite);
+  currentSuite = suite;
+  try {
+    fn();
+  } finally {
+    currentSuite = suite.parent;
+  }
+}
+
+function test(name, fn, timeout = TEST_TIMEOUT_MS) {
+  currentSuite.children.push({ name: String(name), fn, timeout, skip: currentSuite.skip });
+}
+test.skip = (name) => currentSuite.children.push({ name: String(name), skip: true });
+test.todo = test.skip;
+test.only = test;
+
+// test.each([[1, 2, 3], ...])("adds %i + %i", (a, b, sum) => ...). Only as
+// many values as the name has placeholders go into it.
+const each = (addTest) => (table) => (name, fn, timeout) =>
+  table.forEach((row) => {
+    const args = Array.isArray(row) ? row : [row];
+    const placeholders = (String(name).match(/%[sdifjoOp]/g) || []).length;
+    addTest(util.format(name, ...args.slice(0, placeholders)), () => fn(...args), timeout);
+  });
+test.each = each(test);
+describe.each = each((name, fn) => describe(name, fn));
+
+const hook = (kind) => (fn) => currentSuite[kind].push(fn);
+
+// 🔸 Matchers
+
+class MatcherError extends Error {}
+
+const show = (value) => util.inspect(value, { depth: 4, breakLength: Infinity });
+
+// Jest's toEqual ignores properties that are undefined
+const stripUndefined = (value) => {
+  if (Array.isArray(value)) return value.map(stripUndefined);
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, stripUndefined(item)])
+    );
+  }
+  return value;
+};
+
+const isMatchingObject = (actual, expected) => {
+  if (expected && typeof expected === "object") {
+    if (!actual || typeof actual !== "object") return false;
+    return Object.keys(expected).every((key) => isMatchingObject(actual[key], expected[key]));
+  }
+  return Object.is(actual, expected);
+};
+
+const getProperty = (object, keyPath) => {
+  const keys = Array.isArray(keyPath) ? keyPath : String(keyPath).split(".");
+  let value = object;
+  for (const key of keys) {
+    if (value == null || !(key in Object(value))) return { found: false };
+    value = value[key];
+  }
+  return { found: true, value };
+};
+
+const throwsMatching = (error, expected) => {
+  if (expected === undefined) return true;
+  const message = error?.message ?? String(error);
+  if (typeof expected === "function") return error instanceof expected;
+  if (expected instanceof RegExp) return expected.test(message);
+  if (expected instanceof Error) return message === expected.message;
+  return message.includes(String(expected));
+};
+
+// Each returns [pass, message shown when the expectation fails]
+const matchers = {
+  toBe: (actual, expected) => [
+    Object.is(actual, expected),
+    `Expected ${show(expected)}, received ${show(actual)}`,
+  ],
+  toEqual: (actual, expected) => [
+    util.isDeepStrictEqual(stripUndefined(actual), stripUndefined(expected)),
+    `Expected ${show(expected)}, received ${show(actual)}`,
+  ],
+  toStrictEqual: (actual, expected) => [
+    util.isDeepStrictEqual(actual, expected),
+    `Expected ${show(expected)}, received ${show(actual)}`,
+  ],
+  toMatchObject: (actual, expected) => [
+    isMatchingObject(actual, expected),
+    `Expected ${show(actual)} to match ${show(expected)}`,
+  ],
+  toBeTruthy: (actual) => [Boolean(actual), `Expected ${show(actual)} to be truthy`],
+  toBeFalsy: (actual) => [!actual, `Expected ${show(actual)} to be falsy`],
+  toBeNull: (actual) => [actual === null, `Expected null, received ${show(actual)}`],
+  toBeUndefined: (actual) => [actual === undefined, `Expected undefined, received ${show(actual)}`],
+  toBeDefined: (actual) => [actual !== undefined, "Expected a defined value"],
+  toBeNaN: (actual) => [Number.isNaN(actual), `Expected NaN, received ${show(actual)}`],
+  toBeGreaterThan: (actual, n) => [actual > n, `Expected ${show(actual)} > ${show(n)}`],
+  toBeGreaterThanOrEqual: (actual, n) => [actual >= n, `Expected ${show(actual)} >= ${show(n)}`],
+  toBeLessThan: (actual, n) => [actual < n, `Expected ${show(actual)} < ${show(n)}`],
+  toBeLessThanOrEqual: (actual, n) => [actual <= n, `Expected ${show(actual)} <= ${show(n)}`],
+  toBeCloseTo: (actual, expected, digits = 2) => [
+    Math.abs(expected - actual) < 10 ** -digits / 2,
+    `Expected ${show(actual)} to be close to ${show(expected)}`,
+  ],
+  toBeInstanceOf: (actual, type) => [
+    actual instanceof type,
+    `Expected an instance of ${type?.name}, received ${show(actual)}`,
+  ],
+  toContain: (actual, item) => [
+    actual != null && actual.includes(item),
+    `Expected ${show(actual)} to contain ${show(item)}`,
+  ],
+  toContainEqual: (actual, item) => [
+    Array.from(actual ?? []).some((entry) => util.isDeepStrictEqual(entry, item)),
+    `Expected ${show(actual)} to contain ${show(item)}`,
+  ],
+  toHaveLength: (actual, length) => [
+    actual?.length === length,
+    `Expected length ${length}, received ${show(actual?.length)}`,
+  ],
+  toHaveProperty: (actual, keyPath, ...value) => {
+    const { found, value: received } = getProperty(actual, keyPath);
+    return [
+      found && (value.length === 0 || util.isDeepStrictEqual(received, value[0])),
+      `Expected property ${show(keyPath)}${value.length ? ` = ${show(value[0])}` : ""} on ${show(actual)}`,
+    ];
+  },
+  toMatch: (actual, pattern) => [
+    typeof actual === "string" &&
+      (pattern instanceof RegExp ? pattern.test(actual) : actual.includes(pattern)),
+    `Expected ${show(actual)} to match ${show(pattern)}`,
+  ],
+  toThrow: (actual, expected) => {
+    let error = null;
+    let threw = false;
+    try {
+      actual();
+    } catch (err) {
+      threw = true;
+      error = err;
+    }
+    return [
+      threw && throwsMatching(error, expected),
+      threw
+        ? `Expected to throw ${show(expected)}, threw ${show(error?.message ?? error)}`
+        : "Expected the function to throw",
+    ];
+  },
+};
+matchers.toThrowError = matchers.toThrow;
+
+function expect(actual) {
+  const build = (negate, transform) =>
+    Object.fromEntries(
+      Object.entries(matchers).map(([name, matcher]) => [
+        name,
+        (...expected) => {
+          const check = (value) => {
+            const [pass, message] = matcher(value, ...expected);
+            if (pass === negate) {
+              throw new MatcherError(negate ? `Not: ${message}` : message);
+            }
+          };
+          return transform ? transform().then(check) : check(actual);
+        },
+      ])
+    );
+
+  // `.resolves` and `.rejects` check what a promise settles with
+  const settle = (expectRejection) => () =>
+    Promise.resolve(actual).then(
+      (value) => {
+        if (expectRejection)
+          throw new MatcherError(`Expected a rejection, resolved with ${show(value)}`);
+        return value;
+      },
+      (error) => {
+        if (!expectRejection)
+          throw new MatcherError(`Expected to resolve, rejected with ${show(error)}`);
+        // toThrow expects a function
+        return () => {
+          throw error;
+        };
+      }
+    );
+
+  return Object.assign(build(false), {
+    not: build(true),
+    resolves: Object.assign(build(false, settle(false)), { not: build(true, settle(false)) }),
+    rejects: Object.assign(build(false, settle(true)), { not: build(true, settle(true)) }),
+  });
+}
+
+Object.assign(globalThis, {
+  describe,
+  test,
+  it: test,
+  expect,
+  beforeAll: hook("beforeAll"),
+  afterAll: hook("afterAll"),
+  beforeEach: hook("beforeEach"),
+  afterEach: hook("afterEach"),
+});
+
+// Test files importing from "vitest" or "@jest/globals" get the globals
+function provideModules() {
+  const names = [
+    "describe",
+    "test",
+    "it",
+    "expect",
+    "beforeAll",
+    "afterAll",
+    "beforeEach",
+    "afterEach",
+  ];
+  const source = names.map((name) => `exports.${name} = globalThis.${name};`).join("\n");
+  for (const name of ["vitest", "@jest/globals"]) {
+    const dir = path.join("node_modules", name);
+    if (fs.existsSync(dir)) continue;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ name, main: "index.js" }));
+    fs.writeFileSync(path.join(dir, "index.js"), source);
+  }
+}
+
+// Test files written as ES modules need the workspace to be one, unless it
+// says otherwise itself
+function detectModuleType(files) {
+  if (fs.existsSync("package.json")) return;
+  const usesModules = files.some((file) =>
+    /^\s*(import|export)\s/m.test(fs.readFileSync(file, "utf8"))
+  );
+  if (usesModules) fs.writeFileSync("package.json", JSON.stringify({ type: "module" }));
+}
+
+// 🔸 Running
+
+const results = [];
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Supports async functions and Jest's done callback
+const call = (fn, timeout = TEST_TIMEOUT_MS) =>
+  withTimeout(
+    fn.length > 0
+      ? new Promise((resolve, reject) => fn((error) => (error ? reject(error) : resolve())))
+      : Promise.resolve().then(() => fn()),
+    timeout
+  );
+
+// The line in the test file where the failure was raised
+function findLine(error, file) {
+  const stack = String(error?.stack || "");
+  const url = pathToFileURL(file).href;
+  for (const line of stack.split("\n")) {
+    for (const location of [file, url]) {
+      const index = line.indexOf(`${location}:`);
+      if (index === -1) continue;
+      const match = /^:(\d+):\d+/.exec(line.slice(index + location.length));
+      if (match) return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+const describeError = (error) =>
+  error instanceof MatcherError || !(error instanceof Error)
+    ? String(error?.message ?? error)
+    : `${error.name}: ${error.message}`;
+
+const suitePath = (suite) => {
+  const names = [];
+  for (let item = suite; item?.name != null; item = item.parent) names.unshift(item.name);
+  return names;
+};
+
+const hooksFor = (suite, kind) => {
+  const hooks = [];
+  for (let item = suite; item; item = item.parent) hooks.unshift(...item[kind]);
+  return kind === "afterEach" ? hooks.reverse() : hooks;
+};
+
+async function runTest(testCase, suite, file, relativeFile) {
+  const result = {
+    name: testCase.name,
+    suite: suitePath(suite),
+    file: relativeFile,
+    status: "passed",
+    durationMs: 0,
+    message: null,
+    line: null,
+  };
+  const label = [...result.suite, result.name].join(" › ");
+
+  if (testCase.skip || !testCase.fn) {
+    result.status = "skipped";
+    console.log(`  ○ ${label}`);
+    results.push(result);
+    return;
+  }
+
+  const startedAt = Date.now();
+  try {
+    for (const fn of hooksFor(suite, "beforeEach")) await call(fn);
+    await call(testCase.fn, testCase.timeout);
+  } catch (error) {
+    result.status = "failed";
+    result.message = describeError(error);
+    result.line = findLine(error, file);
+  } finally {
+    for (const fn of hooksFor(suite, "afterEach")) {
+      await call(fn).catch(() => {});
+    }
+  }
+  result.durationMs = Date.now() - startedAt;
+
+  if (result.status === "passed") {
+    console.log(`  ✓ ${label} (${result.durationMs} ms)`);
+  } else {
+    console.log(`  ✗ ${label}\n      ${result.message.split("\n").join("\n      ")}`);
+  }
+  results.push(result);
+}
+
+// Every test below `suite` fails with `error`, e.g. when its beforeAll did
+function failAll(suite, error, file, relativeFile) {
+  for (const child of suite.children) {
+    if (child.children) {
+      failAll(child, error, file, relativeFile);
+      continue;
+    }
+    results.push({
+      name: child.name,
+      suite: suitePath(suite),
+      file: relativeFile,
+      status: "failed",
+      durationMs: 0,
+      message: describeError(error),
+      line: findLine(error, file),
+    });
+  }
+}
+
+async function runSuite(suite, file, relativeFile) {
+  try {
+    if (!suite.skip) for (const fn of suite.beforeAll) await call(fn);
+  } catch (error) {
+    failAll(suite, error, file, relativeFile);
+    return;
+  }
+  for (const child of suite.children) {
+    if (child.children) await runSuite(child, file, relativeFile);
+    else await runTest(child, suite, file, relativeFile);
+  }
+  if (!suite.skip) {
+    for (const fn of suite.afterAll) await call(fn).catch(() => {});
+  }
+}
+
+async function runFile(relativeFile) {
+  const file = path.resolve(relativeFile);
+  const root = createSuite(null, null);
+  currentSuite = root;
+  console.log(relativeFile);
+  try {
+    await import(pathToFileURL(file).href);
+  } catch (error) {
+    // A file that fails to load counts as one failed test
+    console.log(`  ✗ ${describeError(error)}`);
+    results.push({
+      name: "(loading the file)",
+      suite: [],
+      file: relativeFile,
+      status: "failed",
+      durationMs: 0,
+      message: describeError(error),
+      line: findLine(error, file),
+    });
+    return;
+  }
+  await runSuite(root, file, relativeFile);
+}
+
+async function main(files) {
+  provideModules();
+  detectModuleType(files);
+  for (const file of files) await runFile(file);
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  console.log(
+    `\nTests: ${count("passed")} passed, ${count("failed")} failed, ${count("skipped")} skipped`
+  );
+  if (process.env.CODESYNC_TEST_REPORT) {
+    fs.writeFileSync(process.env.CODESYNC_TEST_REPORT, JSON.stringify({ tests: results }));
+  }
+  process.exitCode = count("failed") > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2));
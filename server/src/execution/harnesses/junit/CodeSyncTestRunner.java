@@ -0,0 +1,276 @@
+// src/execution/harnesses/junit/CodeSyncTestRunner.java
+// Runs JUnit 4 and JUnit 5 style test classes against the annotation and
+// assertion stand-ins next to this file, so tests compile without the JUnit
+// jars. Progress goes to stdout; the structured report goes to the file
+// named by CODESYNC_TEST_REPORT (see ../../testing.js for its format).
+//
+//   java -cp .codesync/classes CodeSyncTestRunner src/MathTest.java
+
+import java.lang.annotation.Annotation;
+import java.lang.reflect.InvocationTargetException;
+import java.lang.reflect.Method;
+import java.lang.reflect.Modifier;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.nio.file.Paths;
+import java.util.ArrayList;
+import java.util.Comparator;
+import java.util.List;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+public final class CodeSyncTestRunner {
+  private static final Pattern PACKAGE =
+      Pattern.compile("^\\s*package\\s+([\\w.]+)\\s*;", Pattern.MULTILINE);
+
+  private static final List<String> results = new ArrayList<>();
+  private static int passed = 0;
+  private static int failed = 0;
+  private static int skipped = 0;
+
+  private CodeSyncTestRunner() {}
+
+  public static void main(String[] files) throws Exception {
+    for (String file : files) runFile(file);
+
+    System.out.println(
+        "\nTests: " + passed + " passed, " + failed + " failed, " + skipped + " skipped");
+    String report = System.getenv("CODESYNC_TEST_REPORT");
+    if (report != null && !report.isEmpty()) {
+      String json = "{\"tests\":[" + String.join(",", results) + "]}";
+      Files.write(Paths.get(report), json.getBytes(StandardCharsets.UTF_8));
+    }
+    System.exit(failed > 0 ? 1 : 0);
+  }
+
+  private static void runFile(String relative) {
+    System.out.println(relative);
+    Path path = Paths.get(relative);
+    String fileName = path.getFileName().toString();
+    String simpleName = fileName.replaceFirst("\\.java$", "");
+
+    Class<?> testClass;
+    String source;
+    try {
+      source = new String(Files.readAllBytes(path), StandardCharsets.UTF_8);
+      Matcher packageName = PACKAGE.matcher(source);
+      String className =
+          packageName.find() ? packageName.group(1) + "." + simpleName : simpleName;
+      testClass = Class.forName(className);
+    } catch (Throwable error) {
+      record("(loading the file)", "", relative, "failed", 0, error, fileName);
+      return;
+    }
+
+    List<Method> tests = new ArrayList<>();
+    List<Method> beforeEach = new ArrayList<>();
+    List<Method> afterEach = new ArrayList<>();
+    List<Method> beforeAll = new ArrayList<>();
+    List<Method> afterAll = new ArrayList<>();
+    for (Method method : testClass.getDeclaredMethods()) {
+      method.setAccessible(true);
+      if (has(method, "Test")) tests.add(method);
+      if (has(method, "BeforeEach") || has(method, "Before")) beforeEach.add(method);
+      if (has(method, "AfterEach") || has(method, "After")) afterEach.add(method);
+      if (has(method, "BeforeAll") || has(method, "BeforeClass")) beforeAll.add(method);
+      if (has(method, "AfterAll") || has(method, "AfterClass")) afterAll.add(method);
+    }
+    // Reflection returns methods in no particular order; run them as written
+    final String text = source;
+    tests.sort(Comparator.comparingInt(method -> position(text, method.getName())));
+
+    String suite = displayName(testClass, testClass.getSimpleName());
+    if (has(testClass, "Disabled") || has(testClass, "Ignore")) {
+      for (Method test : tests) {
+        record(displayName(test, test.getName()), suite, relative, "skipped", 0, null, fileName);
+      }
+      return;
+    }
+
+    try {
+      for (Method hook : beforeAll) invoke(hook, null);
+    } catch (Throwable error) {
+      record("(before all tests)", suite, relative, "failed", 0, error, fileName);
+      return;
+    }
+
+    for (Method test : tests) {
+      String name = displayName(test, test.getName());
+      if (has(test, "Disabled") || has(test, "Ignore")) {
+        record(name, suite, relative, "skipped", 0, null, fileName);
+        continue;
+      }
+      Class<? extends Throwable> expected = expectedException(test);
+      long started = System.nanoTime();
+      Throwable error = null;
+      try {
+        Object instance = newInstance(testClass);
+        try {
+          for (Method hook : beforeEach) invoke(hook, instance);
+          invoke(test, instance);
+          if (expected != null) {
+            error = new AssertionError("Expected exception: " + expected.getName());
+          }
+        } catch (Throwable thrown) {
+          if (expected == null || !expected.isInstance(thrown)) error = thrown;
+        } finally {
+          for (Method hook : afterEach) invoke(hook, instance);
+        }
+      } catch (Throwable thrown) {
+        if (error == null) error = thrown;
+      }
+      long durationMs = (System.nanoTime() - started) / 1_000_000;
+      String status = error == null ? "passed" : "failed";
+      record(name, suite, relative, status, durationMs, error, fileName);
+    }
+
+    try {
+      for (Method hook : afterAll) invoke(hook, null);
+    } catch (Throwable error) {
+      record("(after all tests)", suite, relative, "failed", 0, error, fileName);
+    }
+  }
+
+  // The stand-ins live in both JUnit packages, so annotations are matched by
+  // their simple name
+  private static Annotation find(java.lang.reflect.AnnotatedElement element, String name) {
+    for (Annotation annotation : element.getAnnotations()) {
+      Class<?> type = annotation.annotationType();
+      if (type.getSimpleName().equals(name) && type.getName().startsWith("org.junit.")) {
+        return annotation;
+      }
+    }
+    return null;
+  }
+
+  private static boolean has(java.lang.reflect.AnnotatedElement element, String name) {
+    return find(element, name) != null;
+  }
+
+  private static String displayName(java.lang.reflect.AnnotatedElement element, String fallback) {
+    Annotation annotation = find(element, "DisplayName");
+    if (annotation == null) return fallback;
+    try {
+      String value = (String) annotation.annotationType().getMethod("value").invoke(annotation);
+      return value.isEmpty() ? fallback : value;
+    } catch (ReflectiveOperationException error) {
+      return fallback;
+    }
+  }
+
+  // JUnit 4's @Test(expected = ...)
+  @SuppressWarnings("unchecked")
+  private static Class<? extends Throwable> expectedException(Method test) {
+    Annotation annotation = find(test, "Test");
+    try {
+      Method value = annotation.annotationType().getMethod("expected");
+      Class<? extends Throwable> expected = (Class<? extends Throwable>) value.invoke(annotation);
+      return expected.getSimpleName().equals("None") ? null : expected;
+    } catch (ReflectiveOperationException error) {
+      return null;
+    }
+  }
+
+  private static int position(String source, String methodName) {
+    Pattern declaration = Pattern.compile("\\b" + Pattern.quote(methodName) + "\\s*\\(");
+    Matcher matcher = declaration.matcher(source);
+    return matcher.find() ? matcher.start() : Integer.MAX_VALUE;
+  }
+
+  private static Object newInstance(Class<?> testClass) throws Throwable {
+    java.lang.reflect.Constructor<?> constructor = testClass.getDeclaredConstructor();
+    constructor.setAccessible(true);
+    try {
+      return constructor.newInstance();
+    } catch (InvocationTargetException error) {
+      throw error.getCause();
+    }
+  }
+
+  private static void invoke(Method method, Object instance) throws Throwable {
+    try {
+      method.invoke(Modifier.isStatic(method.getModifiers()) ? null : instance);
+    } catch (InvocationTargetException error) {
+      throw error.getCause();
+    }
+  }
+
+  private static void record(
+      String name,
+      String suite,
+      String relative,
+      String status,
+      long durationMs,
+      Throwable error,
+      String fileName) {
+    String label = suite.isEmpty() ? name : suite + " › " + name;
+    String message = null;
+    Integer line = null;
+    if (error != null) {
+      message = describe(error);
+      line = findLine(error, fileName);
+      System.out.println("  ✗ " + label + "\n      " + message.replace("\n", "\n      "));
+      failed++;
+    } else if (status.equals("skipped")) {
+      System.out.println("  ○ " + label);
+      skipped++;
+    } else {
+      System.out.println("  ✓ " + label + " (" + durationMs + " ms)");
+      passed++;
+    }
+    results.add(
+        "{\"name\":" + quote(name)
+            + ",\"suite\":" + (suite.isEmpty() ? "[]" : "[" + quote(suite) + "]")
+            + ",\"file\":" + quote(relative)
+            + ",\"status\":" + quote(status)
+            + ",\"durationMs\":" + durationMs
+            + ",\"message\":" + (message == null ? "null" : quote(message))
+            + ",\"line\":" + (line == null ? "null" : line.toString())
+            + "}");
+  }
+
+  private static String describe(Throwable error) {
+    if (error instanceof AssertionError && error.getMessage() != null) return error.getMessage();
+    return error.toString();
+  }
+
+  // The innermost frame inside the test file
+  private static Integer findLine(Throwable error, String fileName) {
+    for (Throwable cause = error; cause != null; cause = cause.getCause()) {
+      for (StackTraceElement frame : cause.getStackTrace()) {
+        if (fileName.equals(frame.getFileName()) && frame.getLineNumber() > 0) {
+          return frame.getLineNumber();
+        }
+      }
+    }
+    return null;
+  }
+
+  private static String quote(String value) {
+    StringBuilder json = new StringBuilder("\"");
+    for (char c : value.toCharArray()) {
+      switch (c) {
+        case '"':
+          json.append("\\\"");
+          break;
+        case '\\':
+          json.append("\\\\");
+          break;
+        case '\n':
+          json.append("\\n");
+          break;
+        case '\r':
+          json.append("\\r");
+          break;
+        case '\t':
+          json.append("\\t");
+          break;
+        default:
+          if (c < 0x20) json.append(String.format("\\u%04x", (int) c));
+          else json.append(c);
+      }
+    }
+    return json.append('"').toString();
+  }
+}
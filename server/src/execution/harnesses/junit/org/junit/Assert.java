@@ -0,0 +1,154 @@
+package org.junit;
+
+import java.util.Objects;
+
+/** The common JUnit 4 assertions. Stand-in for the JUnit class. */
+public class Assert {
+  protected Assert() {}
+
+  /** Code under test that may throw, as passed to assertThrows. */
+  @FunctionalInterface
+  public interface ThrowingRunnable {
+    void run() throws Throwable;
+  }
+
+  private static String prefix(String message) {
+    return message == null || message.isEmpty() ? "" : message + " ";
+  }
+
+  private static void failNotEqual(String message, Object expected, Object actual) {
+    throw new AssertionError(
+        prefix(message) + "expected:<" + expected + "> but was:<" + actual + ">");
+  }
+
+  public static void fail() {
+    throw new AssertionError();
+  }
+
+  public static void fail(String message) {
+    throw new AssertionError(message);
+  }
+
+  public static void assertTrue(boolean condition) {
+    assertTrue(null, condition);
+  }
+
+  public static void assertTrue(String message, boolean condition) {
+    if (!condition) throw new AssertionError(message);
+  }
+
+  public static void assertFalse(boolean condition) {
+    assertFalse(null, condition);
+  }
+
+  public static void assertFalse(String message, boolean condition) {
+    if (condition) throw new AssertionError(message);
+  }
+
+  public static void assertNull(Object actual) {
+    assertNull(null, actual);
+  }
+
+  public static void assertNull(String message, Object actual) {
+    if (actual != null) failNotEqual(message, null, actual);
+  }
+
+  public static void assertNotNull(Object actual) {
+    assertNotNull(null, actual);
+  }
+
+  public static void assertNotNull(String message, Object actual) {
+    if (actual == null) throw new AssertionError(message);
+  }
+
+  public static void assertEquals(long expected, long actual) {
+    assertEquals(null, expected, actual);
+  }
+
+  public static void assertEquals(String message, long expected, long actual) {
+    if (expected != actual) failNotEqual(message, expected, actual);
+  }
+
+  public static void assertEquals(double expected, double actual, double delta) {
+    assertEquals(null, expected, actual, delta);
+  }
+
+  public static void assertEquals(String message, double expected, double actual, double delta) {
+    if (Double.compare(expected, actual) != 0 && Math.abs(expected - actual) > delta) {
+      failNotEqual(message, expected, actual);
+    }
+  }
+
+  public static void assertEquals(Object expected, Object actual) {
+    assertEquals(null, expected, actual);
+  }
+
+  public static void assertEquals(String message, Object expected, Object actual) {
+    if (!Objects.equals(expected, actual)) failNotEqual(message, expected, actual);
+  }
+
+  public static void assertNotEquals(Object unexpected, Object actual) {
+    if (Objects.equals(unexpected, actual)) {
+      throw new AssertionError("Values should be different. Actual: " + actual);
+    }
+  }
+
+  public static void assertSame(Object expected, Object actual) {
+    if (expected != actual) failNotEqual("not the same object", expected, actual);
+  }
+
+  public static void assertArrayEquals(Object[] expected, Object[] actual) {
+    assertArrayEquals(null, (Object) expected, (Object) actual);
+  }
+
+  public static void assertArrayEquals(int[] expected, int[] actual) {
+    assertArrayEquals(null, (Object) expected, (Object) actual);
+  }
+
+  public static void assertArrayEquals(long[] expected, long[] actual) {
+    assertArrayEquals(null, (Object) expected, (Object) actual);
+  }
+
+  public static void assertArrayEquals(char[] expected, char[] actual) {
+    assertArrayEquals(null, (Object) expected, (Object) actual);
+  }
+
+  public static void assertArrayEquals(double[] expected, double[] actual, double delta) {
+    boolean equal = expected.length == actual.length;
+    for (int i = 0; equal && i < expected.length; i++) {
+      equal = Math.abs(expected[i] - actual[i]) <= delta;
+    }
+    if (!equal) {
+      failNotEqual(null, java.util.Arrays.toString(expected), java.util.Arrays.toString(actual));
+    }
+  }
+
+  private static void assertArrayEquals(String message, Object expected, Object actual) {
+    if (!Objects.deepEquals(expected, actual)) {
+      failNotEqual(message, text(expected), text(actual));
+    }
+  }
+
+  private static String text(Object array) {
+    String text = java.util.Arrays.deepToString(new Object[] {array});
+    return text.substring(1, text.length() - 1);
+  }
+
+  public static <T extends Throwable> T assertThrows(
+      Class<T> expectedType, ThrowingRunnable runnable) {
+    try {
+      runnable.run();
+    } catch (Throwable actual) {
+      if (expectedType.isInstance(actual)) return expectedType.cast(actual);
+      throw new AssertionError(
+          "unexpected exception type thrown; expected:<"
+              + expectedType.getSimpleName()
+              + "> but was:<"
+              + actual.getClass().getSimpleName()
+              + ">",
+          actual);
+    }
+    throw new AssertionError(
+        "expected " + expectedType.getSimpleName() + " to be thrown, but nothing was thrown");
+  }
+}
@@ -0,0 +1,21 @@
+package org.junit;
+
+import java.lang.annotation.ElementType;
+import java.lang.annotation.Retention;
+import java.lang.annotation.RetentionPolicy;
+import java.lang.annotation.Target;
+
+/** A test method. Stand-in for the JUnit annotation. */
+@Retention(RetentionPolicy.RUNTIME)
+@Target({ElementType.METHOD})
+public @interface Test {
+  /** The test passes only if it throws this. */
+  Class<? extends Throwable> expected() default None.class;
+
+  long timeout() default 0L;
+
+  /** No exception expected. */
+  class None extends Throwable {
+    private None() {}
+  }
+}
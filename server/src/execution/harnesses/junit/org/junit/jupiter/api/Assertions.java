@@ -0,0 +1,198 @@
+package org.junit.jupiter.api;
+
+import java.util.Objects;
+import org.junit.jupiter.api.function.Executable;
+
+/** The common JUnit 5 assertions. Stand-in for the JUnit class. */
+public final class Assertions {
+  private Assertions() {}
+
+  private static String prefix(String message) {
+    return message == null || message.isEmpty() ? "" : message + " ==> ";
+  }
+
+  private static void failNotEqual(Object expected, Object actual, String message) {
+    throw new AssertionError(
+        prefix(message) + "expected: <" + expected + "> but was: <" + actual + ">");
+  }
+
+  public static <V> V fail(String message) {
+    throw new AssertionError(message);
+  }
+
+  public static void assertTrue(boolean condition) {
+    assertTrue(condition, null);
+  }
+
+  public static void assertTrue(boolean condition, String message) {
+    if (!condition) failNotEqual(true, false, message);
+  }
+
+  public static void assertFalse(boolean condition) {
+    assertFalse(condition, null);
+  }
+
+  public static void assertFalse(boolean condition, String message) {
+    if (condition) failNotEqual(false, true, message);
+  }
+
+  public static void assertNull(Object actual) {
+    assertNull(actual, null);
+  }
+
+  public static void assertNull(Object actual, String message) {
+    if (actual != null) failNotEqual(null, actual, message);
+  }
+
+  public static void assertNotNull(Object actual) {
+    assertNotNull(actual, null);
+  }
+
+  public static void assertNotNull(Object actual, String message) {
+    if (actual == null) throw new AssertionError(prefix(message) + "expected: not <null>");
+  }
+
+  // Boxed and unboxed overloads, as in JUnit, keep calls mixing int and
+  // Integer from being ambiguous
+  public static void assertEquals(int expected, int actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(int expected, Integer actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(Integer expected, int actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(Integer expected, Integer actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(int expected, int actual, String message) {
+    assertEquals((Object) expected, (Object) actual, message);
+  }
+
+  public static void assertEquals(long expected, long actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(long expected, Long actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(Long expected, long actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(Long expected, Long actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(long expected, long actual, String message) {
+    assertEquals((Object) expected, (Object) actual, message);
+  }
+
+  public static void assertEquals(char expected, char actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(boolean expected, boolean actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(double expected, double actual) {
+    assertEquals((Object) expected, (Object) actual, null);
+  }
+
+  public static void assertEquals(double expected, double actual, String message) {
+    assertEquals((Object) expected, (Object) actual, message);
+  }
+
+  public static void assertEquals(double expected, double actual, double delta) {
+    assertEquals(expected, actual, delta, null);
+  }
+
+  public static void assertEquals(double expected, double actual, double delta, String message) {
+    if (Double.compare(expected, actual) != 0 && Math.abs(expected - actual) > delta) {
+      failNotEqual(expected, actual, message);
+    }
+  }
+
+  public static void assertEquals(Object expected, Object actual) {
+    assertEquals(expected, actual, null);
+  }
+
+  public static void assertEquals(Object expected, Object actual, String message) {
+    if (!Objects.equals(expected, actual)) failNotEqual(expected, actual, message);
+  }
+
+  public static void assertNotEquals(Object unexpected, Object actual) {
+    assertNotEquals(unexpected, actual, null);
+  }
+
+  public static void assertNotEquals(Object unexpected, Object actual, String message) {
+    if (Objects.equals(unexpected, actual)) {
+      throw new AssertionError(prefix(message) + "expected: not equal but was: <" + actual + ">");
+    }
+  }
+
+  public static void assertSame(Object expected, Object actual) {
+    if (expected != actual) failNotEqual(expected, actual, "not the same object");
+  }
+
+  public static void assertArrayEquals(Object expected, Object actual) {
+    assertArrayEquals(expected, actual, null);
+  }
+
+  public static void assertArrayEquals(Object expected, Object actual, String message) {
+    if (!Objects.deepEquals(expected, actual)) {
+      failNotEqual(ArrayText.of(expected), ArrayText.of(actual), message);
+    }
+  }
+
+  public static <T extends Throwable> T assertThrows(Class<T> expectedType, Executable executable) {
+    return assertThrows(expectedType, executable, null);
+  }
+
+  public static <T extends Throwable> T assertThrows(
+      Class<T> expectedType, Executable executable, String message) {
+    try {
+      executable.execute();
+    } catch (Throwable actual) {
+      if (expectedType.isInstance(actual)) return expectedType.cast(actual);
+      throw new AssertionError(
+          prefix(message)
+              + "Unexpected exception type thrown, expected: <"
+              + expectedType.getName()
+              + "> but was: <"
+              + actual.getClass().getName()
+              + ">",
+          actual);
+    }
+    throw new AssertionError(
+        prefix(message)
+            + "Expected "
+            + expectedType.getName()
+            + " to be thrown, but nothing was thrown.");
+  }
+
+  public static void assertDoesNotThrow(Executable executable) {
+    try {
+      executable.execute();
+    } catch (Throwable actual) {
+      throw new AssertionError("Unexpected exception thrown: " + actual, actual);
+    }
+  }
+
+  /** Arrays printed by content rather than identity. */
+  static final class ArrayText {
+    private ArrayText() {}
+
+    static String of(Object value) {
+      String text = java.util.Arrays.deepToString(new Object[] {value});
+      return text.substring(1, text.length() - 1);
+    }
+  }
+}
@@ -0,0 +1,7 @@
+package org.junit.jupiter.api.function;
+
+/** Code under test that may throw, as passed to assertThrows. */
+@FunctionalInterface
+public interface Executable {
+  void execute() throws Throwable;
+}
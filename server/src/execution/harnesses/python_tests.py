@@ -0,0 +1,201 @@
+# src/execution/harnesses/python_tests.py
+# Runs unittest and pytest-style test files: unittest.TestCase classes,
+# and test_* functions and Test* classes using plain asserts. Tests that
+# take pytest fixtures are skipped. Progress goes to stdout; the
+# structured report goes to the file named by CODESYNC_TEST_REPORT (see
+# ../testing.js for its format).
+#
+#   python3 python_tests.py test_math.py tests/test_parse.py
+
+import importlib.util
+import inspect
+import json
+import linecache
+import os
+import sys
+import time
+import traceback
+import unittest
+
+results = []
+
+
+def find_line(tb, path):
+    """The deepest line of the traceback inside the test file."""
+    line = None
+    for frame, lineno in traceback.walk_tb(tb):
+        if os.path.abspath(frame.f_code.co_filename) == path:
+            line = lineno
+    return line
+
+
+def describe_error(error, tb, path):
+    """The error's message; a bare assert shows its own source line."""
+    if isinstance(error, AssertionError) and not str(error):
+        line = find_line(tb, path)
+        source = linecache.getline(path, line).strip() if line else ""
+        return f"AssertionError: {source}" if source else "AssertionError"
+    message = "".join(traceback.format_exception_only(type(error), error)).strip()
+    return message
+
+
+def record(name, suite, relative, status, duration, error=None, path=None):
+    result = {
+        "name": name,
+        "suite": suite,
+        "file": relative,
+        "status": status,
+        "durationMs": round(duration * 1000),
+        "message": None,
+        "line": None,
+    }
+    label = " › ".join(suite + [name])
+    if error is not None:
+        exc_type, exc, tb = error
+        result["message"] = describe_error(exc, tb, path)
+        result["line"] = find_line(tb, path)
+        print(f"  ✗ {label}\n      " + result["message"].replace("\n", "\n      "))
+    elif status == "skipped":
+        print(f"  ○ {label}")
+    else:
+        print(f"  ✓ {label} ({result['durationMs']} ms)")
+    results.append(result)
+
+
+class RecordingResult(unittest.TestResult):
+    """Records each unittest test as it finishes."""
+
+    def __init__(self, relative, path):
+        super().__init__()
+        self.relative = relative
+        self.path = path
+
+    def startTest(self, test):
+        super().startTest(test)
+        self.started = time.perf_counter()
+        self.outcome = ("passed", None)
+
+    def stopTest(self, test):
+        super().stopTest(test)
+        status, error = self.outcome
+        record(
+            test._testMethodName,
+            [type(test).__name__],
+            self.relative,
+            status,
+            time.perf_counter() - self.started,
+            error,
+            self.path,
+        )
+
+    def addFailure(self, test, err):
+        super().addFailure(test, err)
+        self.outcome = ("failed", err)
+
+    def addError(self, test, err):
+        super().addError(test, err)
+        # A failing setUpClass is reported outside of any test
+        if not isinstance(test, unittest.TestCase):
+            record(str(test), [], self.relative, "failed", 0, err, self.path)
+            return
+        self.outcome = ("failed", err)
+
+    def addSkip(self, test, reason):
+        super().addSkip(test, reason)
+        self.outcome = ("skipped", None)
+
+    def addUnexpectedSuccess(self, test):
+        super().addUnexpectedSuccess(test)
+        self.outcome = ("failed", None)
+
+
+def run_function(fn, name, suite, relative, path, instance=None):
+    if inspect.signature(fn).parameters:
+        print(f"  ○ {' › '.join(suite + [name])} (fixtures are not supported)")
+        results.append(
+            {
+                "name": name,
+                "suite": suite,
+                "file": relative,
+                "status": "skipped",
+                "durationMs": 0,
+                "message": "pytest fixtures are not supported",
+                "line": None,
+            }
+        )
+        return
+    started = time.perf_counter()
+    try:
+        if instance is not None and hasattr(instance, "setup_method"):
+            instance.setup_method(fn)
+        try:
+            fn()
+        finally:
+            if instance is not None and hasattr(instance, "teardown_method"):
+                instance.teardown_method(fn)
+    except Exception as error:
+        # pytest.skip() raises its own exception type
+        if type(error).__name__ == "Skipped":
+            record(name, suite, relative, "skipped", 0)
+            return
+        record(name, suite, relative, "failed", time.perf_counter() - started, sys.exc_info(), path)
+        return
+    record(name, suite, relative, "passed", time.perf_counter() - started)
+
+
+def load_module(path):
+    name = os.path.splitext(os.path.basename(path))[0]
+    # Tests import their neighbours, as they would under pytest
+    sys.path.insert(0, os.path.dirname(path))
+    spec = importlib.util.spec_from_file_location(name, path)
+    module = importlib.util.module_from_spec(spec)
+    sys.modules[name] = module
+    spec.loader.exec_module(module)
+    return module
+
+
+def run_file(relative):
+    path = os.path.abspath(relative)
+    print(relative)
+    try:
+        module = load_module(path)
+    except Exception:
+        record("(loading the file)", [], relative, "failed", 0, sys.exc_info(), path)
+        return
+
+    defined_here = lambda item: getattr(item, "__module__", None) == module.__name__
+    for name, item in list(vars(module).items()):
+        if not defined_here(item):
+            continue
+        if inspect.isclass(item) and issubclass(item, unittest.TestCase):
+            suite = unittest.defaultTestLoader.loadTestsFromTestCase(item)
+            suite.run(RecordingResult(relative, path))
+        elif inspect.isclass(item) and name.startswith("Test"):
+            for method_name, method in inspect.getmembers(item, inspect.isfunction):
+                if method_name.startswith("test"):
+                    instance = item()
+                    run_function(
+                        getattr(instance, method_name), method_name, [name], relative, path, instance
+                    )
+        elif inspect.isfunction(item) and name.startswith("test"):
+            run_function(item, name, [], relative, path)
+
+
+def main(files):
+    sys.path.insert(0, os.getcwd())
+    for file in files:
+        run_file(file)
+
+    count = lambda status: sum(1 for result in results if result["status"] == status)
+    print(
+        f"\nTests: {count('passed')} passed, {count('failed')} failed, {count('skipped')} skipped"
+    )
+    report = os.environ.get("CODESYNC_TEST_REPORT")
+    if report:
+        with open(report, "w") as file:
+            json.dump({"tests": results}, file)
+    sys.exit(1 if count("failed") else 0)
+
+
+if __name__ == "__main__":
+    main(sys.argv[1:])
@@ -0,0 +1,387 @@
+// src/execution/index.js
+// Self-hosted code runner. Over HTTP it speaks the Piston API:
+//
+//   GET  /runtimes -> [{ language, version, aliases }]
+//   POST /execute  { language, version, files: [{ name, content }], stdin,
+//                    args, compile_timeout, run_timeout,
+//                    compile_memory_limit, run_memory_limit, tests? }
+//               -> { language, version, run, compile?, tests? }
+//
+// The first file is the entry point; the others keep their relative paths,
+// so it can import them. Limits in a request can only lower the server's
+// own, which come from its policy (see policy.js).
+//
+// Only members of a room may run code: /execute takes the room's id in an
+// X-Room-Id header and the member's session token in X-Session-Token, and
+// answers 401 Unauthorized without them. Runs count against the member's
+// and the room's quotas, as runs over the socket do; callers that run too
+// much are refused with 429 Too Many Requests.
+//
+// `tests`, our own addition, names test files among those sent. They are
+// run with the toolchain's test harness instead of the entry file, and the
+// result lists how each test went (see testing.js).
+//
+// The same runner serves interactive runs over the socket (see
+// handlers/runHandlers.js), which stream their output and take input while
+// the program runs.
+//
+// Every command runs in the sandbox (see sandbox.js) as EXECUTION_USER,
+// "nobody" by default, with the server's directories and its data hidden.
+
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { findMemberBySession } from "../rooms.js";
+import { isPlainObject } from "../utils/validation.js";
+import { RequestError } from "./errors.js";
+import { loadPolicy } from "./policy.js";
+import { createQuotas } from "./quotas.js";
+import { resolveRunUser, runInSandbox, startInSandbox } from "./sandbox.js";
+import { installHarness, readTestReport, TEST_REPORT_FILE } from "./testing.js";
+import { findToolchain, loadToolchains } from "./toolchains.js";
+
+// Callers tell refused requests apart from failures by this
+export { RequestError };
+
+// The server's own files, hidden from programs
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// Each run works in a directory of its own in here. Only the server may
+// look in; the sandbox shows a program its own directory and nothing else.
+const RUNS_DIR = path.join(os.tmpdir(), "codesync-runs");
+
+const VERSION_TIMEOUT_MS = 5000;
+
+const MAX_FILES = 20;
+const MAX_SOURCE_BYTES = 512 * 1024;
+
+// Largest file a stage may write, in MiB. Compilers write big intermediate
+// files; programs have no business doing so.
+const COMPILE_FILE_SIZE_LIMIT_MB = 512;
+const RUN_FILE_SIZE_LIMIT_MB = 10;
+
+// A requested limit may lower the server's, never raise it. Piston takes
+// memory limits in bytes.
+const lowerLimit = (requested, max, scale = 1) => {
+  const number = Number(requested);
+  return Number.isFinite(number) && number > 0 ? Math.min(number / scale, max) : max;
+};
+
+// Relative paths only, and nothing that climbs out of the working directory
+function parseFileName(name, index) {
+  if (name == null || name === "") return `file${index}.code`;
+  if (typeof name !== "string") throw new RequestError("File names must be strings");
+  const normalized = path.posix.normalize(name.replace(/\\/g, "/"));
+  if (path.posix.isAbsolute(normalized) || normalized.startsWith("..")) {
+    throw new RequestError(`Invalid file name "${name}"`);
+  }
+  return normalized;
+}
+
+function parseFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new RequestError("files must be a non-empty array");
+  }
+  if (files.length > MAX_FILES) throw new RequestError(`At most ${MAX_FILES} files can be run`);
+
+  const parsed = files.map((file, index) => {
+    if (!isPlainObject(file) || typeof file.content !== "string") {
+      throw new RequestError("Every file needs string content");
+    }
+    return { name: parseFileName(file.name, index), content: file.content };
+  });
+  const names = new Set(parsed.map(({ name }) => name));
+  if (names.size < parsed.length) throw new RequestError("File names must be unique");
+  // A name can't be both a file and a directory holding others
+  for (const { name } of parsed) {
+    const parts = name.split("/");
+    for (let depth = 1; depth < parts.length; depth++) {
+      const dir = parts.slice(0, depth).join("/");
+      if (names.has(dir)) throw new RequestError(`"${dir}" can't be a file and a directory`);
+    }
+  }
+  const size = parsed.reduce((total, { content }) => total + Buffer.byteLength(content), 0);
+  if (size > MAX_SOURCE_BYTES) throw new RequestError("The files are too large to run");
+  return parsed;
+}
+
+function parseTests(tests, files) {
+  if (!Array.isArray(tests) || tests.length === 0) {
+    throw new RequestError("tests must be a non-empty array of file names");
+  }
+  const names = files.map(({ name }) => name);
+  return tests.map((test, index) => {
+    const name = typeof test === "string" ? parseFileName(test, index) : null;
+    if (!names.includes(name)) throw new RequestError("Every test file must be one of the files");
+    return name;
+  });
+}
+
+// The class `java` runs for a Java file: its name, in the package the file
+// declares
+function javaClassName({ name, content }) {
+  const className = path.posix.basename(name, path.posix.extname(name));
+  const declared = /^\s*package\s+([\w.]+)\s*;/m.exec(content);
+  return declared ? `${declared[1]}.${className}` : className;
+}
+
+// Fills in the placeholders described in toolchains.js; `lists` holds the
+// ones that expand to several arguments besides `{sources}`
+function fillCommand(command, files, toolchain, lists = {}) {
+  const main = files[0].name;
+  const mainDir = `./${path.posix.dirname(main)}`;
+  const sources = files
+    .map(({ name }) => name)
+    .filter(
+      (name, index) =>
+        index === 0 || toolchain.sourceExtensions.includes(path.posix.extname(name))
+    );
+  const expanded = { "{sources}": sources, ...lists };
+  return command.flatMap((part) =>
+    Object.hasOwn(expanded, part)
+      ? expanded[part]
+      : part
+          .replace("{mainDir}", mainDir)
+          .replace("{mainClass}", () => javaClassName(files[0]))
+          .replace("{main}", main)
+  );
+}
+
+// Runs never exceed `maxConcurrent` at once; the rest wait their turn
+function createQueue(maxConcurrent, maxQueued) {
+  let running = 0;
+  const waiting = [];
+
+  const next = () => {
+    running--;
+    waiting.shift()?.();
+  };
+
+  return async (task) => {
+    if (running >= maxConcurrent) {
+      if (waiting.length >= maxQueued) {
+        throw new RequestError("The runner is busy, try again shortly", 503);
+      }
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    running++;
+    try {
+      return await task();
+    } finally {
+      next();
+    }
+  };
+}
+
+async function createRunDirectory() {
+  await fs.mkdir(RUNS_DIR, { recursive: true, mode: 0o700 });
+  return fs.mkdtemp(path.join(RUNS_DIR, "run-"));
+}
+
+// Hands a run's directory and everything in it to the user it runs as
+async function chownTree(target, { uid, gid }) {
+  await fs.chown(target, uid, gid);
+  const stats = await fs.lstat(target);
+  if (!stats.isDirectory()) return;
+  for (const entry of await fs.readdir(target)) {
+    await chownTree(path.join(target, entry), { uid, gid });
+  }
+}
+
+// `hooks.onStart(stage, sandboxed)` is handed each stage's process as it
+// starts and `hooks.onOutput(stage, stream, chunk)` its output. Interactive
+// runs keep the program's input open for `sandboxed.write`.
+// `sandbox` holds the user to run as and the paths to hide.
+async function execute(toolchain, request, { limits, sandbox }, hooks = {}) {
+  const files = parseFiles(request.files);
+  const tests = request.tests == null ? null : parseTests(request.tests, files);
+  if (tests && !toolchain.test) {
+    throw new RequestError(`Tests can't be run for ${toolchain.language}`);
+  }
+  // Test harnesses take the test files, not the program's arguments
+  const args = !tests && Array.isArray(request.args) ? request.args.map(String) : [];
+  const stdin = typeof request.stdin === "string" ? request.stdin : "";
+
+  const dir = await createRunDirectory();
+  try {
+    for (const { name, content } of files) {
+      const file = path.join(dir, name);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, content);
+    }
+
+    const { compile, run } = tests ? toolchain.test : toolchain;
+    let env = toolchain.env;
+    let lists = {};
+    if (tests) {
+      const harnessSources = await installHarness(dir, toolchain.test.harness);
+      lists = { "{tests}": tests, "{harnessSources}": harnessSources };
+      env = { ...env, CODESYNC_TEST_REPORT: TEST_REPORT_FILE };
+    }
+    if (sandbox.user) await chownTree(dir, sandbox.user);
+
+    const stage = (
+      name,
+      command,
+      { timeout, maxTimeoutMs, memory, maxMemoryMb, fileSizeLimitMb, input, interactive }
+    ) => {
+      const cpuLimitMs = lowerLimit(timeout, maxTimeoutMs);
+      const sandboxed = startInSandbox({
+        command,
+        cwd: dir,
+        env,
+        timeoutMs: interactive ? limits.interactiveTimeoutMs : cpuLimitMs,
+        cpuLimitMs,
+        memoryLimitMb: lowerLimit(memory, maxMemoryMb, 1024 * 1024),
+        fileSizeLimitMb,
+        outputLimitBytes: limits.outputLimitKb * 1024,
+        maxProcesses: limits.maxProcesses,
+        ...sandbox,
+        onOutput: (stream, chunk) => hooks.onOutput?.(name, stream, chunk),
+      });
+      sandboxed.write(input);
+      if (!interactive) sandboxed.endInput();
+      hooks.onStart?.(name, sandboxed);
+      return sandboxed.done;
+    };
+
+    const result = { language: toolchain.language, version: toolchain.version };
+    if (compile) {
+      result.compile = await stage("compile", fillCommand(compile, files, toolchain, lists), {
+        timeout: request.compile_timeout,
+        maxTimeoutMs: limits.compileTimeoutMs,
+        memory: request.compile_memory_limit,
+        maxMemoryMb: limits.compileMemoryLimitMb,
+        fileSizeLimitMb: COMPILE_FILE_SIZE_LIMIT_MB,
+        input: "",
+      });
+      // Like Piston, a failed build is reported without a run
+      if (result.compile.code !== 0) return result;
+    }
+    // Arguments go to the program, not the compiler
+    result.run = await stage("run", [...fillCommand(run, files, toolchain, lists), ...args], {
+      timeout: request.run_timeout,
+      maxTimeoutMs: limits.runTimeoutMs,
+      memory: request.run_memory_limit,
+      maxMemoryMb: limits.memoryLimitMb,
+      fileSizeLimitMb: RUN_FILE_SIZE_LIMIT_MB,
+      input: stdin,
+      interactive: Boolean(hooks.interactive),
+    });
+    if (tests) result.tests = await readTestReport(dir, tests);
+    return result;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * The runner: `listRuntimes()` resolves with the toolchains offered and
+ * `execute(request, hooks)` runs a Piston-style request once a slot is
+ * free. Refused requests reject with a RequestError. Callers first ask
+ * `admit({ userId, roomId })` whether the user and room may start another
+ * run (see quotas.js), and release what it returns once the run is over.
+ * Toolchains are detected once, in the background, as soon as the runner
+ * is created.
+ */
+export function createRunner(env = process.env) {
+  const policy = loadPolicy(env);
+  const { limits, concurrency } = policy;
+  const enqueue = createQueue(concurrency.server, concurrency.queued);
+  const quotas = createQuotas(policy);
+  const sandbox = {
+    user: resolveRunUser(env.EXECUTION_USER || "nobody"),
+    hiddenPaths: [SERVER_DIR, process.cwd(), ...(env.DATA_DIR ? [path.resolve(env.DATA_DIR)] : [])],
+  };
+
+  // Version commands run as programs do, so only toolchains that programs
+  // can reach are offered
+  const runVersionCommand = async (command, toolchainEnv) => {
+    const dir = await createRunDirectory();
+    try {
+      if (sandbox.user) await chownTree(dir, sandbox.user);
+      return await runInSandbox({
+        command,
+        cwd: dir,
+        env: toolchainEnv,
+        timeoutMs: VERSION_TIMEOUT_MS,
+        memoryLimitMb: limits.compileMemoryLimitMb,
+        fileSizeLimitMb: RUN_FILE_SIZE_LIMIT_MB,
+        outputLimitBytes: limits.outputLimitKb * 1024,
+        maxProcesses: limits.maxProcesses,
+        ...sandbox,
+      });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  const toolchainsReady = loadToolchains(env, runVersionCommand).then(
+    (toolchains) => {
+      const names = toolchains.map(({ language, version }) => `${language} ${version}`);
+      console.log(`🧰 Code runner toolchains: ${names.join(", ") || "none"}`);
+      return toolchains;
+    },
+    (err) => {
+      console.error("❌ Failed to load code runner toolchains:", err.message);
+      return [];
+    }
+  );
+
+  return {
+    admit: quotas.admit,
+
+    async listRuntimes() {
+      const toolchains = await toolchainsReady;
+      return toolchains.map(({ language, version, aliases }) => ({ language, version, aliases }));
+    },
+
+    async execute(request, hooks) {
+      const toolchain = findToolchain(await toolchainsReady, request.language, request.version);
+      if (!toolchain) {
+        throw new RequestError(`${request.language}-${request.version || "*"} runtime is unknown`);
+      }
+      return enqueue(() => execute(toolchain, request, { limits, sandbox }, hooks));
+    },
+  };
+}
+
+/**
+ * Express router serving the runner's /runtimes and /execute.
+ */
+export function createExecutionRouter(runner) {
+  const router = express.Router();
+
+  router.get("/runtimes", async (req, res) => {
+    res.json(await runner.listRuntimes());
+  });
+
+  router.post("/execute", async (req, res) => {
+    const roomId = req.get("X-Room-Id");
+    const member = findMemberBySession(roomId, req.get("X-Session-Token"));
+    if (!member) {
+      res.status(401).json({ message: "Join the room to run code in it" });
+      return;
+    }
+
+    const request = isPlainObject(req.body) ? req.body : {};
+    let release = null;
+    try {
+      release = runner.admit({ userId: member.id, roomId });
+      res.json(await runner.execute(request));
+    } catch (err) {
+      if (err instanceof RequestError) {
+        res.status(err.status).json({ message: err.message });
+        return;
+      }
+      console.error("❌ Code run failed:", err);
+      res.status(500).json({ message: "The code could not be run" });
+    } finally {
+      release?.();
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,100 @@
+// src/execution/policy.js
+// What the runner allows: limits on each run, how many runs go at once and
+// how often each user and room may start one. Defaults come from the
+// environment (see .env.example); EXECUTION_POLICY_FILE can point at a
+// JSON file, read when the server starts, that overrides any of them:
+//
+//   {
+//     "limits": {
+//       "runTimeoutMs": 5000,          // CPU time of a program
+//       "compileTimeoutMs": 15000,     // CPU and wall time of a build
+//       "interactiveTimeoutMs": 60000, // wall time of an interactive run
+//       "memoryLimitMb": 256,
+//       "compileMemoryLimitMb": 1024,
+//       "outputLimitKb": 64,
+//       "maxProcesses": 256            // see sandbox.js
+//     },
+//     "concurrency": {
+//       "server": 2,                   // runs at once, the rest wait
+//       "queued": 20,                  // runs waiting before more are refused
+//       "perRoom": 4,
+//       "perUser": 2
+//     },
+//     "rateLimits": {
+//       "perUser": { "runs": 30, "windowMs": 60000 },
+//       "perRoom": { "runs": 120, "windowMs": 60000 }
+//     }
+//   }
+//
+// Every setting is a positive number. Quotas apply to runs over HTTP and
+// over the socket alike (see quotas.js).
+
+import fs from "fs";
+import { isPlainObject } from "../utils/validation.js";
+
+const readLimit = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+function defaultPolicy(env) {
+  return {
+    limits: {
+      runTimeoutMs: readLimit(env.EXECUTION_RUN_TIMEOUT_MS, 5000),
+      compileTimeoutMs: readLimit(env.EXECUTION_COMPILE_TIMEOUT_MS, 15000),
+      // Interactive programs wait on the user, so they get longer on the
+      // clock; their CPU time is still limited by runTimeoutMs
+      interactiveTimeoutMs: readLimit(env.EXECUTION_INTERACTIVE_TIMEOUT_MS, 60000),
+      memoryLimitMb: readLimit(env.EXECUTION_MEMORY_LIMIT_MB, 256),
+      // Compilers need more room than most programs
+      compileMemoryLimitMb: readLimit(env.EXECUTION_COMPILE_MEMORY_LIMIT_MB, 1024),
+      outputLimitKb: readLimit(env.EXECUTION_OUTPUT_LIMIT_KB, 64),
+      maxProcesses: 256,
+    },
+    concurrency: {
+      server: readLimit(env.EXECUTION_MAX_CONCURRENT, 2),
+      queued: readLimit(env.EXECUTION_MAX_QUEUED, 20),
+      perRoom: 4,
+      perUser: 2,
+    },
+    rateLimits: {
+      perUser: { runs: 30, windowMs: 60000 },
+      perRoom: { runs: 120, windowMs: 60000 },
+    },
+  };
+}
+
+// Settings the file leaves out keep their defaults; unknown ones are
+// refused, so a misspelt limit is not silently ignored
+function mergePolicy(defaults, overrides, where = "") {
+  if (!isPlainObject(overrides)) throw new Error(`${where || "the policy"} must be an object`);
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    const name = where ? `${where}.${key}` : key;
+    if (!Object.hasOwn(defaults, key)) throw new Error(`${name} is not a setting`);
+    if (isPlainObject(defaults[key])) {
+      merged[key] = mergePolicy(defaults[key], value, name);
+    } else if (Number.isFinite(value) && value > 0) {
+      merged[key] = value;
+    } else {
+      throw new Error(`${name} must be a positive number`);
+    }
+  }
+  return merged;
+}
+
+/**
+ * The runner's policy, as described above. An unreadable or invalid
+ * policy file throws.
+ */
+export function loadPolicy(env = process.env) {
+  const defaults = defaultPolicy(env);
+  const file = env.EXECUTION_POLICY_FILE;
+  if (!file) return defaults;
+
+  try {
+    return mergePolicy(defaults, JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    throw new Error(`Invalid code runner policy ${file}: ${err.message}`);
+  }
+}
@@ -0,0 +1,98 @@
+// src/execution/quotas.js
+// How much each user and room may run, as set by the policy (see
+// policy.js): runs under way at once, and runs started within a sliding
+// window. Refusals say which quota was hit and when to try again.
+
+import { RequestError } from "./errors.js";
+
+// HTTP 429 Too Many Requests
+const TOO_MANY = 429;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// "minute", "5 minutes", "30 seconds"
+function describeWindow(windowMs) {
+  const minutes = windowMs / 60000;
+  if (Number.isInteger(minutes)) return minutes === 1 ? "minute" : plural(minutes, "minute");
+  return plural(Math.round(windowMs / 1000), "second");
+}
+
+/**
+ * Keeps count of the runs under way and recently started, by user and by
+ * room. `admit({ userId, roomId })` lets a run start, or throws a
+ * RequestError naming the quota it would exceed; `roomId` is optional. It
+ * returns `release`, to call once the run is over.
+ */
+export function createQuotas({ concurrency, rateLimits }) {
+  // Runs under way, by user and by room id
+  const running = { user: new Map(), room: new Map() };
+  // When each recent run started, oldest first
+  const started = { user: new Map(), room: new Map() };
+
+  const windows = { user: rateLimits.perUser, room: rateLimits.perRoom };
+  const caps = { user: concurrency.perUser, room: concurrency.perRoom };
+  const subjects = {
+    user: { running: "You already have", started: "You have" },
+    room: { running: "This room already has", started: "This room has" },
+  };
+
+  // Forgets starts that have left the window
+  const prune = (now) => {
+    for (const kind of ["user", "room"]) {
+      const since = now - windows[kind].windowMs;
+      for (const [id, times] of started[kind]) {
+        while (times.length > 0 && times[0] <= since) times.shift();
+        if (times.length === 0) started[kind].delete(id);
+      }
+    }
+  };
+
+  const check = (kind, id, now) => {
+    const cap = caps[kind];
+    if ((running[kind].get(id) ?? 0) >= cap) {
+      throw new RequestError(
+        `${subjects[kind].running} ${plural(cap, "run")} going, wait for one to finish`,
+        TOO_MANY
+      );
+    }
+    const { runs, windowMs } = windows[kind];
+    const times = started[kind].get(id) ?? [];
+    if (times.length >= runs) {
+      const retryInSeconds = Math.ceil((times[0] + windowMs - now) / 1000);
+      throw new RequestError(
+        `${subjects[kind].started} started ${plural(runs, "run")} in the last ` +
+          `${describeWindow(windowMs)}, try again in ${plural(retryInSeconds, "second")}`,
+        TOO_MANY
+      );
+    }
+  };
+
+  const count = (kind, id, now) => {
+    running[kind].set(id, (running[kind].get(id) ?? 0) + 1);
+    started[kind].set(id, [...(started[kind].get(id) ?? []), now]);
+  };
+
+  const uncount = (kind, id) => {
+    const left = running[kind].get(id) - 1;
+    if (left > 0) running[kind].set(id, left);
+    else running[kind].delete(id);
+  };
+
+  return {
+    admit({ userId, roomId = null }) {
+      const now = Date.now();
+      prune(now);
+      const counted = [["user", userId]];
+      if (roomId != null) counted.push(["room", roomId]);
+      for (const [kind, id] of counted) check(kind, id, now);
+      for (const [kind, id] of counted) count(kind, id, now);
+
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        for (const [kind, id] of counted) uncount(kind, id);
+      };
+    },
+  };
+}
@@ -0,0 +1,319 @@
+// src/execution/sandbox.js
+// Runs one command of a program in a child process, shut off from the
+// server and from other runs, with resource limits.
+//
+// The program starts under `unshare` (util-linux) in namespaces of its
+// own. Its /proc shows only its own processes, so the server's can be
+// neither read nor signalled, and it has no network. In its mount table the
+// server's directories (`hiddenPaths`) and the other runs' working
+// directories are covered by empty ones. It then runs as `user`, an
+// unprivileged account, without capabilities, in its own working directory
+// and with a bare environment. Toolchains have to be installed where that
+// account can reach them. A server that isn't root can't switch accounts:
+// its programs keep its user id, in a user namespace, and can reach what
+// it can outside the hidden paths.
+//
+// CPU time, memory, file size and process limits are set with `ulimit`,
+// and there is a wall clock timeout. Killing the process group ends the
+// namespace and everything the program started in it.
+//
+// The process limit stops fork bombs. The system counts it per user, over
+// all of that user's processes and threads (other runs' included).
+
+import { execFileSync, spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+
+// New namespaces for mounts, processes (with a /proc of their own), IPC,
+// the host name and the network. The sandbox goes if `unshare` does.
+const UNSHARE_OPTIONS = [
+  "--mount-proc",
+  "--pid",
+  "--fork",
+  "--kill-child",
+  "--ipc",
+  "--uts",
+  "--net",
+];
+
+// The first process in the namespaces. It covers the hidden paths and the
+// directory holding the runs with empty ones, puts the run's own directory
+// back and applies the limits. The command then runs as the user ("uid:gid",
+// or empty to stay as is) without capabilities, found on PATH by `env` once
+// it is that user. The shell waits for the command rather than becoming it,
+// as signals the first process of a namespace sends itself are ignored; a
+// killed command's status comes back as 128 + its signal. Shells name the
+// process limit differently: -u in bash, -p in dash.
+const SANDBOX_SCRIPT = `
+set -e
+user=$1 cpu=$2 memory=$3 fileSize=$4 processes=$5
+shift 5
+while [ "$1" != -- ]; do mount -t tmpfs -o size=64k,mode=755 hidden "$1"; shift; done
+shift
+mount -t tmpfs -o size=64k,mode=755 hidden "\${PWD%/*}"
+mkdir "$PWD"
+mount -c --bind /proc/self/cwd "$PWD"
+cd "$PWD"
+ulimit -t "$cpu"
+ulimit -d "$memory"
+ulimit -f "$fileSize"
+{ ulimit -u "$processes" || ulimit -p "$processes"; } 2>/dev/null
+set -- env -- "$@"
+if [ -n "$user" ]; then set -- --reuid="\${user%:*}" --regid="\${user#*:}" --clear-groups "$@"; fi
+set +e
+# Not a word from the shell itself about how the command ended
+exec 3>&2 2>/dev/null
+(exec setpriv --no-new-privs --inh-caps=-all --bounding-set=-all "$@" 2>&3 3>&-)
+exit $?
+`;
+
+// Programs that run out of memory or processes say so in their own words
+const MEMORY_ERRORS =
+  /MemoryError|out of memory|std::bad_alloc|Cannot allocate memory|OutOfMemoryError|memory allocation of \d+ bytes failed/i;
+const PROCESS_ERRORS =
+  /fork: (retry: )?Resource temporarily unavailable|can(no|')t fork|unable to create (new )?native thread|spawn \S+ EAGAIN/i;
+
+// Programs that can't allocate may also crash before they can say so:
+// through a null pointer (SIGSEGV, SIGBUS), an abort (SIGABRT) or the
+// kernel's out-of-memory killer (SIGKILL)
+const CRASH_SIGNALS = ["SIGSEGV", "SIGBUS", "SIGABRT", "SIGKILL"];
+// How often a running process's memory is looked at, and how close to the
+// limit counts as having reached it
+const MEMORY_SAMPLE_MS = 50;
+const NEAR_MEMORY_LIMIT = 0.8;
+
+const formatSeconds = (ms) => `${Math.round(ms / 100) / 10}s`;
+
+// The process's data size in KB, which is what `ulimit -d` limits; 0 once
+// it is gone or where /proc is missing
+function readDataSizeKb(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+    return Number(status.match(/^VmData:\s+(\d+) kB/m)?.[1] ?? 0);
+  } catch {
+    return 0;
+  }
+}
+
+// A program's process, once `unshare` has started the sandbox's shell and
+// that shell has started the program; null before then
+function findProgramPid(unsharePid) {
+  const parents = new Map();
+  for (const entry of fs.readdirSync("/proc")) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, "utf8");
+      // "pid (name) state ppid ...", where the name may hold anything
+      parents.set(Number(entry), Number(stat.slice(stat.lastIndexOf(")") + 2).split(" ")[1]));
+    } catch {
+      // Gone meanwhile
+    }
+  }
+  const childOf = (pid) => Array.from(parents).find(([, parent]) => parent === pid)?.[0];
+  const shell = childOf(unsharePid);
+  return (shell && childOf(shell)) || null;
+}
+
+const signalName = (number) =>
+  Object.keys(os.constants.signals).find((name) => os.constants.signals[name] === number) ?? null;
+
+/**
+ * The ids of the account programs run as, `{ uid, gid }`, or null when the
+ * server isn't root and can't switch to it. Unknown and root accounts
+ * throw.
+ */
+export function resolveRunUser(name) {
+  if (process.getuid() !== 0) return null;
+  const id = (flag) => Number(execFileSync("id", [flag, name], { encoding: "utf8" }).trim());
+  const user = { uid: id("-u"), gid: id("-g") };
+  if (user.uid === 0) throw new Error(`Programs can't be run as ${name}, it is root`);
+  return user;
+}
+
+// Hidden paths that exist, leaving out those already under another one
+function coveredPaths(hiddenPaths) {
+  const existing = [...new Set(hiddenPaths)].filter((dir) => fs.existsSync(dir));
+  return existing.filter(
+    (dir) => !existing.some((other) => other !== dir && dir.startsWith(`${other}/`))
+  );
+}
+
+function killGroup(child) {
+  try {
+    process.kill(-child.pid, "SIGKILL");
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Starts `command` in `cwd` and returns a handle on the running process:
+ *
+ *   done      resolves with Piston's stage result, `{ stdout, stderr,
+ *             output, code, signal, message, durationMs }`. `message`
+ *             explains why the process was stopped, if it was.
+ *   write     sends more input; `endInput` closes it
+ *   stop      kills the process, with `reason` as the result's message
+ *
+ * `onOutput(stream, chunk)` sees the output as it is produced. Input stays
+ * open until `endInput`, so interactive programs can be fed as they run.
+ * CPU time is limited to `cpuLimitMs`, which defaults to `timeoutMs`. A
+ * process stopped by a limit has a message naming it.
+ *
+ * `cwd` must be a directory of its own inside the one holding the runs,
+ * owned by `user` (see resolveRunUser); the rest of that directory is
+ * hidden, as are `hiddenPaths`.
+ */
+export function startInSandbox({
+  command,
+  cwd,
+  env = {},
+  timeoutMs,
+  cpuLimitMs = timeoutMs,
+  memoryLimitMb,
+  fileSizeLimitMb,
+  outputLimitBytes,
+  maxProcesses,
+  user = null,
+  hiddenPaths = [],
+  onOutput,
+}) {
+  const cpuSeconds = Math.ceil(cpuLimitMs / 1000) + 1;
+  const startedAt = Date.now();
+  // Without root, a user namespace lets the sandbox mount
+  const userNamespace = process.getuid() === 0 ? [] : ["--user", "--map-root-user"];
+  const child = spawn(
+    "unshare",
+    [
+      ...UNSHARE_OPTIONS,
+      ...userNamespace,
+      "/bin/sh",
+      "-c",
+      SANDBOX_SCRIPT,
+      "sandbox",
+      user ? `${user.uid}:${user.gid}` : "",
+      String(cpuSeconds),
+      String(memoryLimitMb * 1024),
+      // In 512-byte blocks
+      String(fileSizeLimitMb * 2048),
+      String(maxProcesses),
+      ...coveredPaths(hiddenPaths),
+      "--",
+      ...command,
+    ],
+    {
+      cwd,
+      detached: true,
+      stdio: ["pipe", "pipe", "pipe"],
+      env: {
+        PATH: process.env.PATH,
+        HOME: cwd,
+        TMPDIR: cwd,
+        LANG: "C.UTF-8",
+        ...env,
+      },
+    }
+  );
+
+  let stdout = "";
+  let stderr = "";
+  let output = "";
+  let message = null;
+  let peakDataKb = 0;
+  let programPid = null;
+  const outputLimitMessage = `Output limit of ${Math.round(outputLimitBytes / 1024)} KB exceeded`;
+
+  const stop = (reason) => {
+    message ??= reason;
+    killGroup(child);
+  };
+
+  const done = new Promise((resolve) => {
+    const timer = setTimeout(
+      () => stop(`Time limit of ${formatSeconds(timeoutMs)} exceeded`),
+      timeoutMs
+    );
+    const sampler = setInterval(() => {
+      let dataKb = programPid && readDataSizeKb(programPid);
+      // Until it's found, or when what was found was a command of the setup
+      if (!dataKb) {
+        programPid = findProgramPid(child.pid);
+        dataKb = programPid ? readDataSizeKb(programPid) : 0;
+      }
+      peakDataKb = Math.max(peakDataKb, dataKb);
+    }, MEMORY_SAMPLE_MS);
+    const finish = (result) => {
+      clearTimeout(timer);
+      clearInterval(sampler);
+      resolve({ stdout, stderr, output, ...result, durationMs: Date.now() - startedAt });
+    };
+
+    const collect = (stream, name, append) => {
+      stream.setEncoding("utf8");
+      stream.on("data", (chunk) => {
+        if (output.length + chunk.length > outputLimitBytes) {
+          stop(outputLimitMessage);
+          return;
+        }
+        append(chunk);
+        output += chunk;
+        onOutput?.(name, chunk);
+      });
+    };
+    collect(child.stdout, "stdout", (chunk) => (stdout += chunk));
+    collect(child.stderr, "stderr", (chunk) => (stderr += chunk));
+
+    child.on("error", (error) => {
+      finish({ code: null, signal: null, message: error.message });
+    });
+
+    // Whatever it left running in the background goes with it, which also
+    // closes the pipes those processes inherited
+    child.on("exit", () => killGroup(child));
+
+    child.on("close", (exitCode, exitSignal) => {
+      // The sandbox's shell reports a killed program as 128 + its signal
+      const signal = exitSignal ?? (exitCode > 128 ? signalName(exitCode - 128) : null);
+      const code = signal ? null : exitCode;
+      if (signal === "SIGXCPU") {
+        message ??= `CPU time limit of ${formatSeconds(cpuLimitMs)} exceeded`;
+      }
+      if (signal === "SIGXFSZ") message ??= `File size limit of ${fileSizeLimitMb} MB exceeded`;
+      // Failed allocations are only worth a guess when the program failed;
+      // a shell that could not fork carries on regardless
+      if (code !== 0 && MEMORY_ERRORS.test(stderr)) {
+        message ??= `Memory limit of ${memoryLimitMb} MB exceeded`;
+      }
+      if (PROCESS_ERRORS.test(stderr)) message ??= `Process limit of ${maxProcesses} exceeded`;
+      // A crash without a word counts against the limit the process was at
+      if (CRASH_SIGNALS.includes(signal)) {
+        if (output.length >= outputLimitBytes) message ??= outputLimitMessage;
+        if (peakDataKb >= memoryLimitMb * 1024 * NEAR_MEMORY_LIMIT) {
+          message ??= `Memory limit of ${memoryLimitMb} MB exceeded`;
+        }
+      }
+      finish({ code, signal, message });
+    });
+  });
+
+  // Programs that never read their input close the pipe early
+  child.stdin.on("error", () => {});
+
+  return {
+    done,
+    write: (data) => child.stdin.writable && child.stdin.write(data),
+    endInput: () => child.stdin.end(),
+    stop,
+  };
+}
+
+/**
+ * Runs `command` with all of its input up front and resolves with the
+ * stage result, see `startInSandbox`.
+ */
+export function runInSandbox({ stdin = "", ...options }) {
+  const sandboxed = startInSandbox(options);
+  sandboxed.write(stdin);
+  sandboxed.endInput();
+  return sandboxed.done;
+}
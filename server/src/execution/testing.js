@@ -0,0 +1,115 @@
+// src/execution/testing.js
+// Test runs. A toolchain that can run tests names a harness (a file or
+// directory under ./harnesses) that is copied next to the files sent, into
+// `.codesync/`, and run on the test files. The harness writes its report as
+// JSON to the file named by the CODESYNC_TEST_REPORT environment variable:
+//
+//   {
+//     tests: [{
+//       name: "adds numbers",            // the test
+//       suite: ["math", "add"],          // enclosing describe blocks/classes
+//       file: "src/math.test.js",        // one of the test files it was given
+//       status: "passed",                // "passed", "failed" or "skipped"
+//       durationMs: 3,
+//       message: null,                   // why it failed
+//       line: null,                      // failing line in `file`, 1-based
+//     }]
+//   }
+//
+// Reports are read back defensively: a program can write anything there.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isPlainObject } from "../utils/validation.js";
+
+const HARNESS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "harnesses");
+
+// Where the harness goes, relative to the run's working directory
+export const HARNESS_INSTALL_DIR = ".codesync";
+export const TEST_REPORT_FILE = `${HARNESS_INSTALL_DIR}/report.json`;
+
+const MAX_TESTS = 1000;
+const MAX_NAME_LENGTH = 300;
+const MAX_MESSAGE_LENGTH = 2000;
+const TEST_STATUSES = ["passed", "failed", "skipped"];
+
+// Copies `source` into `target`, resolving with the paths copied relative
+// to `target`
+async function copyTree(source, target, prefix = "") {
+  const entries = await fs.readdir(source, { withFileTypes: true });
+  await fs.mkdir(target, { recursive: true });
+  const copied = [];
+  for (const entry of entries) {
+    const name = `${prefix}${entry.name}`;
+    if (entry.isDirectory()) {
+      copied.push(
+        ...(await copyTree(
+          path.join(source, entry.name),
+          path.join(target, entry.name),
+          `${name}/`
+        ))
+      );
+    } else {
+      await fs.copyFile(path.join(source, entry.name), path.join(target, entry.name));
+      copied.push(name);
+    }
+  }
+  return copied;
+}
+
+/**
+ * Copies a toolchain's harness into `dir`. Resolves with the paths of its
+ * files relative to `dir`, which `{harnessSources}` stands for.
+ */
+export async function installHarness(dir, harness) {
+  const source = path.join(HARNESS_DIR, harness);
+  const target = path.join(dir, HARNESS_INSTALL_DIR);
+  const stats = await fs.stat(source);
+  if (!stats.isDirectory()) {
+    await fs.mkdir(target, { recursive: true });
+    await fs.copyFile(source, path.join(target, path.basename(harness)));
+    return [`${HARNESS_INSTALL_DIR}/${path.basename(harness)}`];
+  }
+  const files = await copyTree(source, target);
+  return files.map((file) => `${HARNESS_INSTALL_DIR}/${file}`);
+}
+
+const clip = (value, length) => (typeof value === "string" ? value.slice(0, length) : null);
+
+function parseTest(test, testFiles) {
+  if (!isPlainObject(test) || typeof test.name !== "string") return null;
+  if (!testFiles.includes(test.file) || !TEST_STATUSES.includes(test.status)) return null;
+  const durationMs = Number(test.durationMs);
+  return {
+    name: clip(test.name, MAX_NAME_LENGTH),
+    suite: Array.isArray(test.suite)
+      ? test.suite
+          .filter((name) => typeof name === "string")
+          .map((name) => clip(name, MAX_NAME_LENGTH))
+      : [],
+    file: test.file,
+    status: test.status,
+    durationMs: Number.isFinite(durationMs) && durationMs >= 0 ? Math.round(durationMs) : 0,
+    message: clip(test.message, MAX_MESSAGE_LENGTH),
+    line: Number.isInteger(test.line) && test.line > 0 ? test.line : null,
+  };
+}
+
+/**
+ * Reads the report a harness left in `dir`. Resolves with its tests, or
+ * null when there is no readable report (the tests could not be run).
+ */
+export async function readTestReport(dir, testFiles) {
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(path.join(dir, TEST_REPORT_FILE), "utf8"));
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(report) || !Array.isArray(report.tests)) return null;
+  return report.tests
+    .slice(0, MAX_TESTS)
+    .map((test) => parseTest(test, testFiles))
+    .filter(Boolean);
+}
@@ -0,0 +1,241 @@
+// src/execution/toolchains.js
+// Local toolchains the runner can use. Each one describes how to compile
+// (optionally) and run a program whose entry file is `{main}`:
+//
+//   {
+//     language: "c",                    // name reported by /runtimes
+//     aliases: ["gcc"],                 // other names and file extensions
+//     versionCommand: ["gcc", "-dumpfullversion"], // prints the version
+//     compile: ["gcc", "-o", "program", "{sources}"], // optional
+//     run: ["./program"],
+//     sourceExtensions: [".c"],         // files `{sources}` stands for
+//     env: { NAME: "value" },           // optional extra environment
+//     test: {                           // optional, how to run tests
+//       harness: "junit",               // file or directory in ./harnesses
+//       compile: ["javac", "{harnessSources}", "{sources}"], // optional
+//       run: ["java", "CodeSyncTestRunner", "{tests}"],
+//     },
+//   }
+//
+// Commands may also use `{mainDir}`, the directory holding the entry file,
+// and `{mainClass}`, the entry file's Java class named with the package it
+// declares.
+// `{sources}` expands to the entry file followed by every other file sent
+// with one of the source extensions, as separate arguments. Test commands
+// can use `{tests}`, the test files, and `{harnessSources}`, the harness's
+// files once copied in (see testing.js).
+//
+// Only toolchains whose version command succeeds in the sandbox are
+// offered. EXECUTION_TOOLCHAINS_FILE can point at a JSON array of extra
+// definitions (replacing built-ins of the same language) and
+// EXECUTION_LANGUAGES can restrict the set to a comma separated list.
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Go keeps compiled packages in a cache; sharing it between runs saves
+// rebuilding the standard library every time
+const GO_CACHE_DIR = path.join(os.tmpdir(), "codesync-go-cache");
+
+// Runs get their own HOME, so rustup needs telling where it lives
+const RUSTUP_ENV = {
+  RUSTUP_HOME: process.env.RUSTUP_HOME || path.join(os.homedir(), ".rustup"),
+  CARGO_HOME: process.env.CARGO_HOME || path.join(os.homedir(), ".cargo"),
+};
+
+export const BUILTIN_TOOLCHAINS = [
+  {
+    language: "javascript",
+    aliases: ["js", "node", "node-js"],
+    versionCommand: ["node", "--version"],
+    run: ["node", "{main}"],
+    test: { harness: "jest.cjs", run: ["node", ".codesync/jest.cjs", "{tests}"] },
+  },
+  {
+    language: "python",
+    aliases: ["py", "py3", "python3"],
+    versionCommand: ["python3", "--version"],
+    run: ["python3", "{main}"],
+    test: {
+      harness: "python_tests.py",
+      run: ["python3", ".codesync/python_tests.py", "{tests}"],
+    },
+  },
+  {
+    language: "c",
+    aliases: ["gcc", "h"],
+    versionCommand: ["gcc", "-dumpfullversion"],
+    compile: ["gcc", "-O2", "-o", "program", "{sources}", "-lm"],
+    run: ["./program"],
+    sourceExtensions: [".c"],
+  },
+  {
+    language: "c++",
+    aliases: ["cpp", "cc", "cxx", "g++", "hpp"],
+    versionCommand: ["g++", "-dumpfullversion"],
+    compile: ["g++", "-O2", "-o", "program", "{sources}"],
+    run: ["./program"],
+    sourceExtensions: [".cpp", ".cc", ".cxx"],
+  },
+  {
+    language: "go",
+    aliases: ["golang"],
+    versionCommand: ["go", "version"],
+    // The whole package, so sibling files are compiled too
+    compile: ["go", "build", "-o", "program", "{mainDir}"],
+    run: ["./program"],
+    env: { GOCACHE: GO_CACHE_DIR, GO111MODULE: "off" },
+  },
+  {
+    language: "rust",
+    aliases: ["rs"],
+    versionCommand: ["rustc", "--version"],
+    compile: ["rustc", "-O", "-o", "program", "{main}"],
+    run: ["./program"],
+    env: RUSTUP_ENV,
+  },
+  {
+    language: "java",
+    aliases: [],
+    versionCommand: ["javac", "-version"],
+    compile: ["javac", "-J-Xmx512m", "-d", ".codesync/classes", "{sources}"],
+    run: ["java", "-Xmx128m", "-cp", ".codesync/classes", "{mainClass}"],
+    sourceExtensions: [".java"],
+    // Compiled together with stand-ins for JUnit's annotations and asserts
+    test: {
+      harness: "junit",
+      compile: ["javac", "-J-Xmx512m", "-d", ".codesync/classes", "{harnessSources}", "{sources}"],
+      run: ["java", "-Xmx128m", "-cp", ".codesync/classes", "CodeSyncTestRunner", "{tests}"],
+    },
+  },
+  {
+    language: "ruby",
+    aliases: ["rb"],
+    versionCommand: ["ruby", "--version"],
+    run: ["ruby", "{main}"],
+  },
+  {
+    language: "php",
+    aliases: [],
+    versionCommand: ["php", "--version"],
+    run: ["php", "{main}"],
+  },
+  {
+    language: "bash",
+    aliases: ["sh"],
+    versionCommand: ["bash", "--version"],
+    run: ["bash", "{main}"],
+  },
+];
+
+const isCommand = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every((part) => typeof part === "string");
+
+function validateToolchain(toolchain, source) {
+  const {
+    language,
+    aliases = [],
+    versionCommand,
+    compile,
+    run,
+    sourceExtensions = [],
+    env = {},
+    test = null,
+  } = toolchain || {};
+  if (typeof language !== "string" || !language) {
+    throw new Error(`${source}: every toolchain needs a language`);
+  }
+  if (!isCommand(versionCommand) || !isCommand(run) || (compile != null && !isCommand(compile))) {
+    throw new Error(`${source}: "${language}" needs versionCommand and run commands`);
+  }
+  if (!Array.isArray(aliases) || !Array.isArray(sourceExtensions) || typeof env !== "object") {
+    throw new Error(`${source}: "${language}" has invalid aliases, sourceExtensions or env`);
+  }
+  if (
+    test != null &&
+    (typeof test.harness !== "string" ||
+      !isCommand(test.run) ||
+      (test.compile != null && !isCommand(test.compile)))
+  ) {
+    throw new Error(`${source}: "${language}" needs a harness and run command to run tests`);
+  }
+  return {
+    language,
+    aliases,
+    versionCommand,
+    compile: compile || null,
+    run,
+    sourceExtensions,
+    env,
+    test: test && { harness: test.harness, compile: test.compile || null, run: test.run },
+  };
+}
+
+async function readToolchainsFile(file) {
+  const definitions = JSON.parse(await fs.readFile(file, "utf8"));
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${file}: expected an array of toolchains`);
+  }
+  return definitions.map((definition) => validateToolchain(definition, file));
+}
+
+// Runs the version command; resolves with the version number, or null when
+// the toolchain is not installed
+async function detectVersion({ versionCommand, env }, runCommand) {
+  try {
+    const { code, stdout, stderr } = await runCommand(versionCommand, env);
+    if (code !== 0) return null;
+    const match = /\d+(\.\d+)+/.exec(`${stdout}\n${stderr}`);
+    return match ? match[0] : "0.0.0";
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves with the toolchains available here, each with its `version`
+ * filled in. `runCommand(command, env)` runs a version command and
+ * resolves with its `{ code, stdout, stderr }`. Configuration errors
+ * reject.
+ */
+export async function loadToolchains(env, runCommand) {
+  const extra = env.EXECUTION_TOOLCHAINS_FILE
+    ? await readToolchainsFile(env.EXECUTION_TOOLCHAINS_FILE)
+    : [];
+  const byLanguage = new Map();
+  for (const toolchain of [...BUILTIN_TOOLCHAINS, ...extra]) {
+    byLanguage.set(toolchain.language, validateToolchain(toolchain, "toolchains"));
+  }
+
+  const allowed = env.EXECUTION_LANGUAGES
+    ? env.EXECUTION_LANGUAGES.split(",").map((name) => name.trim().toLowerCase())
+    : null;
+  const candidates = Array.from(byLanguage.values()).filter(
+    ({ language }) => !allowed || allowed.includes(language.toLowerCase())
+  );
+
+  const detected = await Promise.all(
+    candidates.map(async (toolchain) => {
+      const version = await detectVersion(toolchain, runCommand);
+      return version ? { ...toolchain, version } : null;
+    })
+  );
+  return detected.filter(Boolean);
+}
+
+/**
+ * Finds the toolchain for a language name or alias, optionally pinned to a
+ * version ("*" or missing matches any).
+ */
+export function findToolchain(toolchains, language, version) {
+  if (typeof language !== "string") return null;
+  const name = language.toLowerCase();
+  return (
+    toolchains.find(
+      (toolchain) =>
+        (toolchain.language === name || toolchain.aliases.includes(name)) &&
+        (!version || version === "*" || version === toolchain.version)
+    ) || null
+  );
+}
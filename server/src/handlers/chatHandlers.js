@@ -0,0 +1,185 @@
+// src/handlers/chatHandlers.js
+// Room chat: messages are stamped with the sender and the server clock,
+// stored with the room and relayed to every member, the sender included.
+// Authors can edit and delete their messages, anyone can react, "@name"
+// mentions notify the members named and read markers drive unread counts.
+
+import {
+  CHAT_PAGE_SIZE,
+  addMessage,
+  findMessage,
+  getMessagePage,
+  getRoom,
+  getRoomId,
+  markChatRead,
+  removeMessage,
+  resolveMentions,
+} from "../rooms.js";
+import { SocketEvent } from "../types/socket.js";
+import { isNonEmptyString, isPlainObject } from "../utils/validation.js";
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_MESSAGE_ID_LENGTH = 64;
+
+// Reactions are limited to a small palette, kept in sync with the client
+const REACTION_EMOJIS = ["👍", "❤️", "😂", "🎉", "👀", "🚀"];
+
+function reply(ack, response) {
+  if (typeof ack === "function") ack(response);
+}
+
+const parseText = (message) => {
+  if (typeof message !== "string") return null;
+  const text = message.trim();
+  return text && text.length <= MAX_MESSAGE_LENGTH ? text : null;
+};
+
+// Clients pick the message id so they can match the relayed copy with the
+// one they already show; everything else comes from the server
+function parseMessage(payload) {
+  const { id, message } = isPlainObject(payload?.message) ? payload.message : {};
+  if (!isNonEmptyString(id) || id.length > MAX_MESSAGE_ID_LENGTH) return null;
+  const text = parseText(message);
+  return text ? { id, message: text } : null;
+}
+
+// Tells the members mentioned in a message, except those already told
+function notifyMentions(io, room, message, alreadyNotified = []) {
+  for (const member of room.users.values()) {
+    if (member.id === message.userId || alreadyNotified.includes(member.id)) continue;
+    if (message.mentions.includes(member.id)) {
+      io.to(member.socketId).emit(SocketEvent.USER_MENTIONED, { message });
+    }
+  }
+}
+
+// Runs `handler(room, user, payload)` for members of a room; the handler
+// returns the ack response
+function inRoom(socket, handler) {
+  return (payload, ack) => {
+    const room = getRoom(getRoomId(socket.id));
+    const user = room?.users.get(socket.id);
+    if (!user) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    reply(ack, handler(room, user, isPlainObject(payload) ? payload : {}));
+  };
+}
+
+// Looks up a message its author wants to change
+function findOwnMessage(room, user, messageId) {
+  const message = isNonEmptyString(messageId) ? findMessage(room, messageId) : null;
+  if (!message) return { error: "No such message" };
+  if (message.userId !== user.id) return { error: "You can only change your own messages" };
+  return { message };
+}
+
+export function registerChatHandlers(io, socket) {
+  // 🔸 New message: stamp, store and relay
+  socket.on(
+    SocketEvent.SEND_MESSAGE,
+    inRoom(socket, (room, user, payload) => {
+      const parsed = parseMessage(payload);
+      if (!parsed) return { error: "Invalid message" };
+
+      const message = {
+        ...parsed,
+        userId: user.id,
+        username: user.username,
+        timestamp: new Date().toISOString(),
+        mentions: resolveMentions(room, parsed.message),
+        reactions: {},
+      };
+      // Resent after a reconnect; the room already has it
+      if (!addMessage(room, message)) return { success: true };
+
+      io.to(room.id).emit(SocketEvent.RECEIVE_MESSAGE, { message });
+      notifyMentions(io, room, message);
+      markChatRead(room, user.id, message.timestamp);
+      return { success: true };
+    })
+  );
+
+  // 🔸 Author: change the text of a message
+  socket.on(
+    SocketEvent.EDIT_MESSAGE,
+    inRoom(socket, (room, user, { messageId, message: newText }) => {
+      const { message, error } = findOwnMessage(room, user, messageId);
+      if (error) return { error };
+      const text = parseText(newText);
+      if (!text) return { error: "Invalid message" };
+
+      const previousMentions = message.mentions || [];
+      message.message = text;
+      message.mentions = resolveMentions(room, text);
+      message.editedAt = new Date().toISOString();
+      room.dirty = true;
+
+      io.to(room.id).emit(SocketEvent.MESSAGE_UPDATED, { message });
+      notifyMentions(io, room, message, previousMentions);
+      return { success: true };
+    })
+  );
+
+  // 🔸 Author: delete a message
+  socket.on(
+    SocketEvent.DELETE_MESSAGE,
+    inRoom(socket, (room, user, { messageId }) => {
+      const { error } = findOwnMessage(room, user, messageId);
+      if (error) return { error };
+
+      removeMessage(room, messageId);
+      io.to(room.id).emit(SocketEvent.MESSAGE_DELETED, { messageId });
+      return { success: true };
+    })
+  );
+
+  // 🔸 Add or take back a reaction
+  socket.on(
+    SocketEvent.REACT_TO_MESSAGE,
+    inRoom(socket, (room, user, { messageId, emoji }) => {
+      const message = isNonEmptyString(messageId) ? findMessage(room, messageId) : null;
+      if (!message) return { error: "No such message" };
+      if (!REACTION_EMOJIS.includes(emoji)) return { error: "Unsupported reaction" };
+
+      message.reactions ??= {};
+      const reactors = message.reactions[emoji] || [];
+      message.reactions[emoji] = reactors.includes(user.id)
+        ? reactors.filter((id) => id !== user.id)
+        : [...reactors, user.id];
+      if (message.reactions[emoji].length === 0) delete message.reactions[emoji];
+      room.dirty = true;
+
+      io.to(room.id).emit(SocketEvent.MESSAGE_UPDATED, { message });
+      return { success: true };
+    })
+  );
+
+  // 🔸 The member has seen the chat up to a message's timestamp
+  socket.on(
+    SocketEvent.MARK_CHAT_READ,
+    inRoom(socket, (room, user, { timestamp }) => {
+      if (typeof timestamp !== "string" || Number.isNaN(Date.parse(timestamp))) {
+        return { error: "Invalid timestamp" };
+      }
+      markChatRead(room, user.id, new Date(timestamp).toISOString());
+      return { success: true };
+    })
+  );
+
+  // 🔸 Scroll-back: the page of history before a given message
+  socket.on(
+    SocketEvent.CHAT_HISTORY,
+    inRoom(socket, (room, user, { before, limit }) => {
+      if (before != null && !isNonEmptyString(before)) {
+        return { error: "Invalid history request" };
+      }
+      const pageSize = Number.isInteger(limit)
+        ? Math.min(Math.max(limit, 1), CHAT_PAGE_SIZE)
+        : CHAT_PAGE_SIZE;
+
+      return getMessagePage(room, { before, limit: pageSize });
+    })
+  );
+}
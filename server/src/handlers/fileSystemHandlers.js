@@ -0,0 +1,171 @@
+// src/handlers/fileSystemHandlers.js
+// Applies file tree and drawing events to the room's workspace and relays
+// them to the other members of the room.
+
+import {
+  applyDocumentUpdate,
+  applyRoomEvent,
+  getRoom,
+  getRoomId,
+  getWorkspaceSnapshot,
+} from "../rooms.js";
+import { SocketEvent } from "../types/socket.js";
+import { canEdit } from "../types/user.js";
+import { captureUpdate, isBinary } from "../utils/collab.js";
+import {
+  isFileSystemItem,
+  isNonEmptyString,
+  isPlainObject,
+} from "../utils/validation.js";
+
+// Each parser returns the payload that gets broadcast, or null when invalid.
+// Only the known fields are forwarded so clients can't smuggle extra data.
+const roomEventParsers = {
+  [SocketEvent.DIRECTORY_CREATED]: ({ parentDirId, newDirectory }) =>
+    isNonEmptyString(parentDirId) && isFileSystemItem(newDirectory, "directory")
+      ? { parentDirId, newDirectory }
+      : null,
+
+  [SocketEvent.DIRECTORY_UPDATED]: ({ dirId, children }) =>
+    isNonEmptyString(dirId) &&
+    Array.isArray(children) &&
+    children.every((child) => isFileSystemItem(child))
+      ? { dirId, children }
+      : null,
+
+  [SocketEvent.DIRECTORY_RENAMED]: ({ dirId, newName }) =>
+    isNonEmptyString(dirId) && isNonEmptyString(newName)
+      ? { dirId, newName }
+      : null,
+
+  [SocketEvent.DIRECTORY_DELETED]: ({ dirId }) =>
+    isNonEmptyString(dirId) ? { dirId } : null,
+
+  [SocketEvent.FILE_CREATED]: ({ parentDirId, newFile }) =>
+    isNonEmptyString(parentDirId) && isFileSystemItem(newFile, "file")
+      ? { parentDirId, newFile }
+      : null,
+
+  [SocketEvent.FILE_RENAMED]: ({ fileId, newName }) =>
+    isNonEmptyString(fileId) && isNonEmptyString(newName)
+      ? { fileId, newName }
+      : null,
+
+  [SocketEvent.FILE_DELETED]: ({ fileId }) =>
+    isNonEmptyString(fileId) ? { fileId } : null,
+
+  [SocketEvent.DRAWING_UPDATE]: ({ snapshot, schema }) =>
+    isPlainObject(snapshot) && (schema == null || isPlainObject(schema))
+      ? { snapshot, schema: schema ?? null }
+      : null,
+};
+
+function reply(ack, response) {
+  if (typeof ack === "function") ack(response);
+}
+
+// Every event handled here changes the workspace, which viewers may not do
+function rejectViewer(room, socket, ack) {
+  if (canEdit(room.users.get(socket.id))) return false;
+  reply(ack, { error: "Viewers can't change the room's workspace" });
+  return true;
+}
+
+/**
+ * Registers the file system handlers for one socket. Every event is scoped
+ * to the room the socket joined, so peers in other rooms never see it.
+ */
+export function registerFileSystemHandlers(io, socket) {
+  for (const [event, parse] of Object.entries(roomEventParsers)) {
+    socket.on(event, (payload, ack) => {
+      const roomId = getRoomId(socket.id);
+      const room = getRoom(roomId);
+      if (!room) {
+        reply(ack, { error: "Join a room first" });
+        return;
+      }
+      if (rejectViewer(room, socket, ack)) return;
+
+      const data = isPlainObject(payload) ? parse(payload) : null;
+      if (!data) {
+        console.warn(`⚠️ [${socket.id}] Invalid ${event} payload in room ${roomId}`);
+        reply(ack, { error: `Invalid ${event} payload` });
+        return;
+      }
+
+      let applied = false;
+      const update = captureUpdate(room.doc, () => {
+        applied = applyRoomEvent(room, event, data);
+      });
+      if (!applied) {
+        reply(ack, { error: `${event} does not match the room workspace` });
+        return;
+      }
+
+      socket.to(roomId).emit(event, data);
+      // Texts for new files are created here, so everyone (sender included)
+      // receives them as a document update
+      if (update) io.to(roomId).emit(SocketEvent.DOCUMENT_UPDATE, { update });
+      reply(ack, { success: true });
+    });
+  }
+
+  // 🔸 Incremental text edits, merged into the room document
+  socket.on(SocketEvent.DOCUMENT_UPDATE, (payload, ack) => {
+    const roomId = getRoomId(socket.id);
+    const room = getRoom(roomId);
+    if (!room) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    if (rejectViewer(room, socket, ack)) return;
+
+    const update = payload?.update;
+    if (!isBinary(update) || !applyDocumentUpdate(room, update, socket.id)) {
+      reply(ack, { error: `Invalid ${SocketEvent.DOCUMENT_UPDATE} payload` });
+      return;
+    }
+
+    socket.to(roomId).emit(SocketEvent.DOCUMENT_UPDATE, { update });
+    reply(ack, { success: true });
+  });
+
+  // 🔸 Opening the drawing board fetches the room's current drawing
+  socket.on(SocketEvent.REQUEST_DRAWING, () => {
+    const room = getRoom(getRoomId(socket.id));
+    if (!room) return;
+    const { drawingData } = getWorkspaceSnapshot(room);
+    socket.emit(SocketEvent.SYNC_DRAWING, { drawingData });
+  });
+
+  // 🔸 A member asks for another member to be sent the room's workspace,
+  // e.g. one that fell out of step; only that member receives it
+  socket.on(SocketEvent.SYNC_FILE_STRUCTURE, (payload, ack) => {
+    const roomId = getRoomId(socket.id);
+    const room = getRoom(roomId);
+    if (!room?.users.has(socket.id)) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    const socketId = isPlainObject(payload) ? payload.socketId : null;
+    if (!isNonEmptyString(socketId) || !room.users.has(socketId)) {
+      reply(ack, { error: `Invalid ${SocketEvent.SYNC_FILE_STRUCTURE} payload` });
+      return;
+    }
+    io.to(socketId).emit(SocketEvent.SYNC_FILE_STRUCTURE, {
+      workspace: getWorkspaceSnapshot(room),
+    });
+    reply(ack, { success: true });
+  });
+
+  // 🔸 Clients whose offline changes were rejected fetch the current
+  // workspace again to drop them
+  socket.on(SocketEvent.SYNC_WORKSPACE, (payload, ack) => {
+    const room = getRoom(getRoomId(socket.id));
+    if (!room) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    reply(ack, { workspace: getWorkspaceSnapshot(room) });
+  });
+}
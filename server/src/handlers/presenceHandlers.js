@@ -0,0 +1,122 @@
+// src/handlers/presenceHandlers.js
+// Per-user presence: whether each user is around, which file they are in,
+// where their cursor, selection and viewport are and whether they are typing.
+
+import { getRoom, getRoomId } from "../rooms.js";
+import { SocketEvent } from "../types/socket.js";
+import { USER_CONNECTION_STATUS } from "../types/user.js";
+import { isNonEmptyString, isPlainObject } from "../utils/validation.js";
+
+const isPosition = (value) => Number.isInteger(value) && value >= 0;
+const isOptionalPosition = (value) => value == null || isPosition(value);
+
+// Where a member can be typing
+const TYPING_CONTEXTS = ["chat", "editor"];
+
+// Statuses a client reports itself; "disconnected" is only set here
+const REPORTED_STATUSES = [
+  USER_CONNECTION_STATUS.ONLINE,
+  USER_CONNECTION_STATUS.AWAY,
+  USER_CONNECTION_STATUS.IDLE,
+];
+
+/**
+ * Changes a member's presence and tells the rest of the room. A member who
+ * is not connected cannot be typing.
+ */
+export function updatePresence(io, room, user, status) {
+  if (user.status === status) return;
+  user.status = status;
+  if (status === USER_CONNECTION_STATUS.DISCONNECTED) {
+    user.typing = false;
+    user.typingIn = null;
+  }
+  io.to(room.id).except(user.socketId).emit(SocketEvent.PRESENCE_UPDATE, { user });
+}
+
+// Cursor payloads carry absolute offsets plus Yjs relative positions
+// (`anchor`/`head`) that peers resolve against their own copy of the text,
+// so the caret stays on the right character through concurrent edits.
+function parseCursor({
+  fileId,
+  cursorPosition,
+  selectionStart,
+  selectionEnd,
+  anchor,
+  head,
+}) {
+  if (fileId != null && !isNonEmptyString(fileId)) return null;
+  if (!isOptionalPosition(cursorPosition)) return null;
+  if (!isOptionalPosition(selectionStart) || !isOptionalPosition(selectionEnd)) return null;
+  if ((anchor != null && !isPlainObject(anchor)) || (head != null && !isPlainObject(head))) {
+    return null;
+  }
+
+  return {
+    currentFile: fileId ?? null,
+    cursorPosition: cursorPosition ?? 0,
+    selectionStart: selectionStart ?? null,
+    selectionEnd: selectionEnd ?? null,
+    cursor: fileId && anchor && head ? { anchor, head } : null,
+  };
+}
+
+export function registerPresenceHandlers(io, socket) {
+  // 🔸 Presence reported by the client: tab hidden, idle or back
+  socket.on(SocketEvent.PRESENCE_UPDATE, (payload) => {
+    const room = getRoom(getRoomId(socket.id));
+    const user = room?.users.get(socket.id);
+    const status = isPlainObject(payload) ? payload.status : null;
+    if (!user || !REPORTED_STATUSES.includes(status)) return;
+
+    updatePresence(io, room, user, status);
+  });
+
+  // 🔸 Cursor and selection moves, relayed to the rest of the room
+  socket.on(SocketEvent.CURSOR_MOVE, (payload) => {
+    const roomId = getRoomId(socket.id);
+    const user = getRoom(roomId)?.users.get(socket.id);
+    if (!user || !isPlainObject(payload)) return;
+
+    const cursor = parseCursor(payload);
+    if (!cursor) return;
+
+    Object.assign(user, cursor);
+    socket.to(roomId).emit(SocketEvent.CURSOR_MOVE, { user });
+  });
+
+  // 🔸 Scrolling, relayed so followers can keep the same lines in view
+  socket.on(SocketEvent.VIEWPORT_CHANGE, (payload) => {
+    const roomId = getRoomId(socket.id);
+    const user = getRoom(roomId)?.users.get(socket.id);
+    if (!user || !isPlainObject(payload)) return;
+
+    const { fileId, topLine } = payload;
+    if (!isNonEmptyString(fileId) || !Number.isInteger(topLine) || topLine < 1) return;
+
+    user.viewport = { fileId, topLine };
+    socket.to(roomId).emit(SocketEvent.VIEWPORT_CHANGE, { user });
+  });
+
+  // 🔸 Typing: clients send a start on their first keystroke and a pause once
+  // they stop, so the room sees an active or idle state rather than keys
+  const setTyping = (typing) => (payload) => {
+    const roomId = getRoomId(socket.id);
+    const user = getRoom(roomId)?.users.get(socket.id);
+    const context = isPlainObject(payload) ? payload.context : null;
+    if (!user || !TYPING_CONTEXTS.includes(context)) return;
+
+    // A pause only ends typing where it started
+    if (!typing && user.typingIn !== context) return;
+    if (typing && user.typingIn === context) return;
+
+    user.typing = typing;
+    user.typingIn = typing ? context : null;
+    socket
+      .to(roomId)
+      .emit(typing ? SocketEvent.TYPING_START : SocketEvent.TYPING_PAUSE, { user });
+  };
+
+  socket.on(SocketEvent.TYPING_START, setTyping(true));
+  socket.on(SocketEvent.TYPING_PAUSE, setTyping(false));
+}
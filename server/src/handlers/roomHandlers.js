@@ -0,0 +1,420 @@
+// src/handlers/roomHandlers.js
+// Joining and leaving rooms, and the owner's access controls: room
+// password, "knock to join" approval, roles and kicking participants.
+
+import { loadRoom, releaseRoom } from "../persistence.js";
+import {
+  createSession,
+  findSession,
+  getAccessInfo,
+  getMessagePage,
+  getPendingJoins,
+  getRoom,
+  getUnreadCounts,
+  getRoomId,
+  getUsersInRoom,
+  getWorkspaceSnapshot,
+  rooms,
+} from "../rooms.js";
+import { SocketEvent } from "../types/socket.js";
+import {
+  ASSIGNABLE_ROLES,
+  USER_CONNECTION_STATUS,
+  USER_ROLES,
+  createUser,
+  isOwner,
+} from "../types/user.js";
+import { updatePresence } from "./presenceHandlers.js";
+import { createSecret, hashSecret, verifySecret } from "../utils/secrets.js";
+import { isNonEmptyString, isPlainObject } from "../utils/validation.js";
+
+function reply(ack, response) {
+  if (typeof ack === "function") ack(response);
+}
+
+function refuseJoin(socket, ack, message, code) {
+  socket.emit(SocketEvent.JOIN_ERROR, { message, code });
+  reply(ack, { error: message, code });
+}
+
+// The owner's sockets get the live list of joiners waiting at the door
+function notifyOwners(io, room) {
+  const requests = getPendingJoins(room);
+  for (const user of room.users.values()) {
+    if (isOwner(user)) io.to(user.socketId).emit(SocketEvent.JOIN_REQUESTS, { requests });
+  }
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// How long socket.io keeps a dropped connection's state for recovery. The
+// member stays in the room for that long, so a recovered connection finds
+// its identity, role and cursor where it left them.
+export const RECOVERY_WINDOW_MS = 2 * 60 * 1000;
+
+// Removal timers of members whose connection dropped, by socket id
+const droppedMembers = new Map();
+
+// Disconnects that were asked for; anything else may come back
+const DELIBERATE_DISCONNECTS = [
+  "client namespace disconnect",
+  "server namespace disconnect",
+  "server shutting down",
+];
+
+function removeMember(io, room, socketId) {
+  clearTimeout(droppedMembers.get(socketId));
+  droppedMembers.delete(socketId);
+
+  const user = room.users.get(socketId);
+  if (!user) return;
+  room.users.delete(socketId);
+
+  if (room.users.size === 0) {
+    releaseRoom(room.id);
+  } else {
+    io.to(room.id).emit(SocketEvent.USER_LEFT, {
+      socketId,
+      username: user.username,
+    });
+  }
+  console.log(`👋 ${user.username} left room ${room.id}`);
+}
+
+// Moves a member's identity off an old connection that is still registered,
+// e.g. a tab that lost its network or a second tab in the same browser
+function replaceConnection(io, room, user) {
+  clearTimeout(droppedMembers.get(user.socketId));
+  droppedMembers.delete(user.socketId);
+  room.users.delete(user.socketId);
+  const previous = io.sockets.sockets.get(user.socketId);
+  previous?.leave(room.id);
+  previous?.emit(SocketEvent.SESSION_REPLACED, {
+    roomId: room.id,
+    message: "You joined this room from another tab or device",
+  });
+  io.to(room.id).emit(SocketEvent.USER_LEFT, {
+    socketId: user.socketId,
+    username: user.username,
+  });
+}
+
+/**
+ * Usernames are unique among live members and waiting joiners. The only
+ * exception is a session coming back while its previous connection is still
+ * registered; that connection is then replaced. Returns false on a clash.
+ */
+function claimUsername(io, room, name, session) {
+  const isWaiting = Array.from(room.pending.values()).some((request) =>
+    sameName(request.username, name)
+  );
+  if (isWaiting) return false;
+
+  const holder = Array.from(room.users.values()).find((user) =>
+    sameName(user.username, name)
+  );
+  if (!holder) return true;
+  if (!session || holder.id !== session.userId) return false;
+
+  replaceConnection(io, room, holder);
+  return true;
+}
+
+const isKicked = (room, name, session) =>
+  room.kicked.has(name) || Boolean(session && room.kicked.has(session.userId));
+
+/**
+ * Adds the socket to the room. Returning members bring their session (and
+ * with it their user id and role); first-time members get a new one whose
+ * token is sent back once.
+ */
+function admitUser(io, socket, room, { username, asOwner, session, ownerKey }, ack) {
+  let sessionToken = null;
+  if (!session) {
+    ({ token: sessionToken, session } = createSession(room, {
+      username,
+      role: room.access.defaultRole,
+    }));
+  }
+
+  socket.join(room.id);
+  // Ownership comes from the owner key, never from the session
+  const user = createUser({
+    userId: session.userId,
+    socketId: socket.id,
+    username,
+    role: asOwner ? USER_ROLES.OWNER : session.role,
+  });
+  room.users.set(socket.id, user);
+  console.log(`👤 ${username} joined room ${room.id} as ${user.role}`);
+
+  const users = getUsersInRoom(room.id);
+
+  // Hand over the workspace and recent chat, plus the secrets a client
+  // keeps for later visits: its session token and, for a new owner, the
+  // owner key
+  socket.emit(SocketEvent.JOIN_SUCCESS, {
+    roomId: room.id,
+    user,
+    users,
+    access: getAccessInfo(room),
+    workspace: getWorkspaceSnapshot(room),
+    chat: { ...getMessagePage(room), ...getUnreadCounts(room, user.id) },
+    ...(sessionToken ? { sessionToken } : {}),
+    ...(ownerKey ? { ownerKey } : {}),
+  });
+  if (asOwner) socket.emit(SocketEvent.JOIN_REQUESTS, { requests: getPendingJoins(room) });
+
+  socket.to(room.id).emit(SocketEvent.USER_JOINED, { user, users });
+  reply(ack, { success: true });
+}
+
+// Runs `handler(room, payload)` only for the owner of the socket's room.
+function ownerOnly(socket, handler) {
+  return (payload, ack) => {
+    const room = getRoom(getRoomId(socket.id));
+    if (!isOwner(room?.users.get(socket.id))) {
+      reply(ack, { error: "Only the room owner can do that" });
+      return;
+    }
+    if (!isPlainObject(payload)) {
+      reply(ack, { error: "Invalid payload" });
+      return;
+    }
+    reply(ack, handler(room, payload));
+  };
+}
+
+export function registerRoomHandlers(io, socket) {
+  // 🔸 A recovered connection keeps its socket id and rooms; its member is
+  // still registered and only the pending removal has to go
+  if (socket.recovered && droppedMembers.has(socket.id)) {
+    clearTimeout(droppedMembers.get(socket.id));
+    droppedMembers.delete(socket.id);
+    const room = getRoom(getRoomId(socket.id));
+    const user = room?.users.get(socket.id);
+    if (user) updatePresence(io, room, user, USER_CONNECTION_STATUS.ONLINE);
+    console.log(`🔁 Socket ${socket.id} recovered its connection`);
+  }
+
+  // 🔸 Join requests: claim, password check, knock or admit
+  socket.on(SocketEvent.JOIN_REQUEST, async (payload, ack) => {
+    const { roomId, username, password, ownerKey, sessionToken } = isPlainObject(payload)
+      ? payload
+      : {};
+    console.log(`📩 join-request → Room: ${roomId}, User: ${username}`);
+
+    if (!isNonEmptyString(roomId)) {
+      refuseJoin(socket, ack, "Room ID missing", "ROOM_ID_MISSING");
+      return;
+    }
+    if (getRoomId(socket.id) || getRoom(roomId)?.pending.has(socket.id)) {
+      reply(ack, { error: "Already in a room" });
+      return;
+    }
+
+    // Rooms that emptied out earlier are reloaded from storage
+    const room = await loadRoom(roomId);
+    if (!socket.connected) {
+      if (room.users.size === 0) releaseRoom(roomId);
+      return;
+    }
+
+    const name = isNonEmptyString(username) ? username.trim() : "Anonymous";
+    const { access } = room;
+
+    // A valid token for this username reclaims that identity and its role
+    const found = findSession(room, sessionToken);
+    const session = found && sameName(found.username, name) ? found : null;
+
+    // The first person into an unowned room becomes its owner and sets the
+    // password, if they gave one
+    if (!access.ownerKeyHash) {
+      const newOwnerKey = createSecret();
+      access.ownerName = name;
+      access.ownerKeyHash = hashSecret(newOwnerKey);
+      access.passwordHash = isNonEmptyString(password) ? hashSecret(password) : null;
+      room.dirty = true;
+      admitUser(io, socket, room, { username: name, asOwner: true, ownerKey: newOwnerKey }, ack);
+      return;
+    }
+
+    const asOwner = verifySecret(ownerKey, access.ownerKeyHash);
+
+    if (!asOwner && access.passwordHash && !verifySecret(password, access.passwordHash)) {
+      refuseJoin(
+        socket,
+        ack,
+        password ? "Incorrect room password" : "This room requires a password",
+        "INVALID_PASSWORD"
+      );
+      return;
+    }
+
+    if (!claimUsername(io, room, name, session)) {
+      const message = `The username "${name}" is already taken in this room`;
+      socket.emit(SocketEvent.USERNAME_EXISTS, { message });
+      reply(ack, { error: message, code: "USERNAME_EXISTS" });
+      return;
+    }
+
+    // Members coming back with their session were let in before; only new
+    // names and kicked members knock
+    const mustKnock = isKicked(room, name, session) || (access.knockToJoin && !session);
+    if (!asOwner && mustKnock) {
+      room.pending.set(socket.id, {
+        socketId: socket.id,
+        username: name,
+        requestedAt: new Date(),
+        session,
+      });
+      socket.emit(SocketEvent.JOIN_PENDING, { roomId });
+      reply(ack, { pending: true });
+      notifyOwners(io, room);
+      return;
+    }
+
+    admitUser(io, socket, room, { username: name, asOwner, session }, ack);
+  });
+
+  // 🔸 Owner: let a waiting joiner in
+  socket.on(
+    SocketEvent.APPROVE_JOIN,
+    ownerOnly(socket, (room, { socketId }) => {
+      const request = room.pending.get(socketId);
+      if (!request) return { error: "No such join request" };
+      room.pending.delete(socketId);
+      notifyOwners(io, room);
+
+      const joiner = io.sockets.sockets.get(socketId);
+      if (!joiner) return { error: "That user is no longer waiting" };
+      if (isKicked(room, request.username, request.session)) {
+        room.kicked.delete(request.username);
+        if (request.session) room.kicked.delete(request.session.userId);
+        room.dirty = true;
+      }
+      admitUser(io, joiner, room, {
+        username: request.username,
+        asOwner: false,
+        session: request.session,
+      });
+      return { success: true };
+    })
+  );
+
+  // 🔸 Owner: turn a waiting joiner away
+  socket.on(
+    SocketEvent.DENY_JOIN,
+    ownerOnly(socket, (room, { socketId }) => {
+      if (!room.pending.delete(socketId)) return { error: "No such join request" };
+      notifyOwners(io, room);
+      io.to(socketId).emit(SocketEvent.JOIN_ERROR, {
+        message: "The room owner declined your request",
+        code: "JOIN_DENIED",
+      });
+      return { success: true };
+    })
+  );
+
+  // 🔸 Owner: remove a participant from the room
+  socket.on(
+    SocketEvent.KICK_USER,
+    ownerOnly(socket, (room, { socketId }) => {
+      const user = room.users.get(socketId);
+      if (!user) return { error: "No such user in this room" };
+      if (isOwner(user)) return { error: "The room owner cannot be kicked" };
+
+      room.users.delete(socketId);
+      room.kicked.add(user.username);
+      room.kicked.add(user.id);
+      room.dirty = true;
+      const target = io.sockets.sockets.get(socketId);
+      target?.leave(room.id);
+      target?.emit(SocketEvent.USER_KICKED, {
+        roomId: room.id,
+        message: "You were removed from the room by its owner",
+      });
+      io.to(room.id).emit(SocketEvent.USER_LEFT, { socketId, username: user.username });
+      console.log(`🚪 ${user.username} was kicked from room ${room.id}`);
+      return { success: true };
+    })
+  );
+
+  // 🔸 Owner: promote a viewer to editor or demote an editor to viewer
+  socket.on(
+    SocketEvent.SET_USER_ROLE,
+    ownerOnly(socket, (room, { socketId, role }) => {
+      if (!ASSIGNABLE_ROLES.includes(role)) return { error: "Invalid role" };
+      const user = room.users.get(socketId);
+      if (!user) return { error: "No such user in this room" };
+      if (isOwner(user)) return { error: "The room owner's role cannot change" };
+
+      // The role sticks to the member's session, so it survives reconnects
+      user.role = role;
+      for (const session of room.sessions.values()) {
+        if (session.userId === user.id) session.role = role;
+      }
+      room.dirty = true;
+
+      io.to(room.id).emit(SocketEvent.USER_UPDATED, { user });
+      console.log(`🎭 ${user.username} is now ${role} in room ${room.id}`);
+      return { success: true };
+    })
+  );
+
+  // 🔸 Owner: change the password, the knock-to-join mode or the role
+  // new members start with
+  socket.on(
+    SocketEvent.UPDATE_ROOM_ACCESS,
+    ownerOnly(socket, (room, { password, knockToJoin, defaultRole }) => {
+      if (password !== undefined && password !== null && typeof password !== "string") {
+        return { error: "Invalid password" };
+      }
+      if (knockToJoin !== undefined && typeof knockToJoin !== "boolean") {
+        return { error: "Invalid knockToJoin flag" };
+      }
+      if (defaultRole !== undefined && !ASSIGNABLE_ROLES.includes(defaultRole)) {
+        return { error: "Invalid default role" };
+      }
+
+      // An empty or null password removes it
+      if (password !== undefined) {
+        room.access.passwordHash = isNonEmptyString(password) ? hashSecret(password) : null;
+      }
+      if (knockToJoin !== undefined) room.access.knockToJoin = knockToJoin;
+      if (defaultRole !== undefined) room.access.defaultRole = defaultRole;
+      room.dirty = true;
+
+      io.to(room.id).emit(SocketEvent.ROOM_ACCESS_UPDATED, { access: getAccessInfo(room) });
+      return { success: true };
+    })
+  );
+
+  // 🔸 Handle disconnects
+  socket.on("disconnect", (reason) => {
+    console.log(`❌ Socket disconnected: ${socket.id} (${reason})`);
+
+    // Joiners who give up waiting drop out of the owner's list
+    for (const room of rooms.values()) {
+      if (room.pending.delete(socket.id)) {
+        notifyOwners(io, room);
+        if (room.users.size === 0) releaseRoom(room.id);
+      }
+    }
+
+    const room = getRoom(getRoomId(socket.id));
+    if (!room) return;
+
+    // Dropped connections keep their place until they can't be recovered
+    if (DELIBERATE_DISCONNECTS.includes(reason)) {
+      removeMember(io, room, socket.id);
+    } else {
+      const timer = setTimeout(
+        () => removeMember(io, room, socket.id),
+        RECOVERY_WINDOW_MS
+      );
+      droppedMembers.set(socket.id, timer);
+      updatePresence(io, room, room.users.get(socket.id), USER_CONNECTION_STATUS.DISCONNECTED);
+    }
+  });
+}
@@ -0,0 +1,357 @@
+// src/handlers/runHandlers.js
+// Running code together: the room's run configuration (which files are
+// sent, the entry file, its arguments and input, the languages picked for
+// files, named configurations and whether the browser preview is open),
+// shared and kept with the room, and interactive runs that stream their
+// output back as it is produced.
+// Editors can share runs with the room, which sees them live and keeps them in
+// its run history. A run can also run the workspace's tests, reporting how
+// each one went. How much each member and room may run is up to the
+// runner's policy (see execution/policy.js).
+
+import { RequestError } from "../execution/index.js";
+import {
+  addRun,
+  findRun,
+  getRoom,
+  getRoomId,
+  setRunConfig,
+  summarizeRun,
+} from "../rooms.js";
+import { SocketEvent } from "../types/socket.js";
+import { canEdit } from "../types/user.js";
+import { isNonEmptyString, isPlainObject } from "../utils/validation.js";
+
+const MAX_ARGS_LENGTH = 1000;
+const MAX_INPUT_LENGTH = 4096;
+// Input kept with a shared run so it can be replayed when re-run
+const MAX_RECORDED_INPUT = 64 * 1024;
+// Input a run configuration sends when the program starts
+const MAX_CONFIG_INPUT_LENGTH = 16 * 1024;
+const MAX_CONFIGURATIONS = 20;
+const MAX_CONFIGURATION_NAME = 60;
+const MAX_CONFIGURATION_ID = 100;
+const MAX_LANGUAGE_LENGTH = 50;
+// Files with a language picked for them, per room
+const MAX_FILE_LANGUAGES = 500;
+
+function reply(ack, response) {
+  if (typeof ack === "function") ack(response);
+}
+
+const isOptionalId = (value) => value === null || isNonEmptyString(value);
+
+const isShortString = (value, maxLength) => typeof value === "string" && value.length <= maxLength;
+
+// Copies the settings of what a run sends present in `payload` into
+// `settings`, as the room and its named configurations both have them.
+// False when one is invalid.
+function parseRunSettings(payload, settings) {
+  for (const key of ["scopeId", "entryFileId"]) {
+    if (!(key in payload)) continue;
+    if (!isOptionalId(payload[key])) return false;
+    settings[key] = payload[key];
+  }
+  if ("args" in payload) {
+    if (!isShortString(payload.args, MAX_ARGS_LENGTH)) return false;
+    settings.args = payload.args;
+  }
+  if ("stdin" in payload) {
+    if (!isShortString(payload.stdin, MAX_CONFIG_INPUT_LENGTH)) return false;
+    settings.stdin = payload.stdin;
+  }
+  return true;
+}
+
+// A runtime as `{ language, version }`; the language may be empty where
+// the entry file's own is meant
+function parseLanguage({ language = "", version = "" }) {
+  if (!isShortString(language, MAX_LANGUAGE_LENGTH)) return null;
+  if (!isShortString(version, MAX_LANGUAGE_LENGTH)) return null;
+  return { language, version };
+}
+
+// The runtimes picked for files: file id → `{ language, version }`
+function parseFileLanguages(value) {
+  if (!isPlainObject(value)) return null;
+  const entries = Object.entries(value);
+  if (entries.length > MAX_FILE_LANGUAGES) return null;
+  const fileLanguages = {};
+  for (const [fileId, choice] of entries) {
+    const parsed = isPlainObject(choice) ? parseLanguage(choice) : null;
+    if (!isNonEmptyString(fileId) || !isNonEmptyString(parsed?.language)) return null;
+    fileLanguages[fileId] = parsed;
+  }
+  return fileLanguages;
+}
+
+// A named run configuration, with every setting it can have
+function parseConfiguration(value) {
+  if (!isPlainObject(value)) return null;
+  const { id } = value;
+  if (!isNonEmptyString(id) || id.length > MAX_CONFIGURATION_ID) return null;
+  const name = typeof value.name === "string" ? value.name.trim() : "";
+  if (!name || name.length > MAX_CONFIGURATION_NAME) return null;
+  const language = parseLanguage(value);
+  const settings = { scopeId: null, entryFileId: null, args: "", stdin: "" };
+  if (!language || !parseRunSettings(value, settings)) return null;
+  return { id, name, ...language, ...settings };
+}
+
+function parseConfigurations(value) {
+  if (!Array.isArray(value) || value.length > MAX_CONFIGURATIONS) return null;
+  const configurations = value.map(parseConfiguration);
+  if (configurations.some((configuration) => !configuration)) return null;
+  const ids = new Set(configurations.map(({ id }) => id));
+  return ids.size === configurations.length ? configurations : null;
+}
+
+// Only the fields present are changed; null clears a choice
+function parseRunConfig(payload) {
+  const config = {};
+  if (!parseRunSettings(payload, config)) return null;
+  if ("fileLanguages" in payload) {
+    config.fileLanguages = parseFileLanguages(payload.fileLanguages);
+    if (!config.fileLanguages) return null;
+  }
+  if ("configurations" in payload) {
+    config.configurations = parseConfigurations(payload.configurations);
+    if (!config.configurations) return null;
+  }
+  if ("configurationId" in payload) {
+    if (!isOptionalId(payload.configurationId)) return null;
+    config.configurationId = payload.configurationId;
+  }
+  if ("preview" in payload) {
+    if (typeof payload.preview !== "boolean") return null;
+    config.preview = payload.preview;
+  }
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+// What the client needs from a finished stage; the output itself has
+// already been streamed
+const summarizeStage = (stage) =>
+  stage && {
+    code: stage.code,
+    signal: stage.signal,
+    message: stage.message,
+    durationMs: stage.durationMs,
+  };
+
+const optionalId = (value) => (isNonEmptyString(value) ? value : null);
+
+// The history entry of a shared run: who ran what, with which input
+function createRunRecord(user, request) {
+  const { runId, language, version, files, entryFileId, scopeId, args, stdin, tests } = request;
+  const input = typeof stdin === "string" ? stdin.slice(0, MAX_RECORDED_INPUT) : "";
+  return {
+    id: runId,
+    mode: tests == null ? "run" : "test",
+    userId: user.id,
+    username: user.username,
+    language: String(language),
+    version: typeof version === "string" ? version : "",
+    entry: typeof files?.[0]?.name === "string" ? files[0].name : null,
+    entryFileId: optionalId(entryFileId),
+    scopeId: optionalId(scopeId),
+    args: Array.isArray(args) ? args.map(String) : [],
+    stdin: input,
+    output: input ? [{ stream: "stdin", text: input }] : [],
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+}
+
+// Consecutive chunks from the same stream are merged
+function recordOutput(record, stream, text) {
+  const last = record.output[record.output.length - 1];
+  if (last?.stream === stream) last.text += text;
+  else record.output.push({ stream, text });
+}
+
+function recordInput(record, data) {
+  if (record.stdin.length + data.length > MAX_RECORDED_INPUT) return;
+  record.stdin += data;
+  recordOutput(record, "stdin", data);
+}
+
+export function registerRunHandlers(io, socket, runner) {
+  // This socket's run, if one is under way: `{ id, process, stopped,
+  // record }`, where `record` is the history entry of a shared run
+  let activeRun = null;
+
+  // 🔸 Editors change the run configuration for everyone
+  socket.on(SocketEvent.UPDATE_RUN_CONFIG, (payload, ack) => {
+    const roomId = getRoomId(socket.id);
+    const room = getRoom(roomId);
+    const user = room?.users.get(socket.id);
+    if (!user) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    if (!canEdit(user)) {
+      reply(ack, { error: "Viewers can't change how the room runs code" });
+      return;
+    }
+
+    const changes = isPlainObject(payload) ? parseRunConfig(payload) : null;
+    if (!changes) {
+      reply(ack, { error: "Invalid run configuration" });
+      return;
+    }
+
+    const runConfig = setRunConfig(room, changes);
+    socket.to(roomId).emit(SocketEvent.RUN_CONFIG_UPDATED, { runConfig });
+    reply(ack, { success: true, runConfig });
+  });
+
+  // 🔸 Interactive runs: output streams back to the member who started it,
+  // or to everyone for runs shared with the room
+  socket.on(SocketEvent.RUN_START, (request, ack) => {
+    const roomId = getRoomId(socket.id);
+    const room = getRoom(roomId);
+    const user = room?.users.get(socket.id);
+    if (!user) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    if (activeRun) {
+      reply(ack, { error: "Stop the current run before starting another" });
+      return;
+    }
+    // The client picks the run's id, so it can tell the run's events apart
+    // even when they arrive before this acknowledgement
+    if (
+      !isPlainObject(request) ||
+      !isNonEmptyString(request.runId) ||
+      findRun(room, request.runId)
+    ) {
+      reply(ack, { error: "Invalid run request" });
+      return;
+    }
+    // Viewers may run the code for themselves, but not add to what the
+    // room sees and keeps
+    const shared = request.shared === true;
+    if (shared && !canEdit(user)) {
+      reply(ack, { error: "Viewers can't run code for the room" });
+      return;
+    }
+    // Refused before it is shared, so it stays out of the room's history
+    let release;
+    try {
+      release = runner.admit({ userId: user.id, roomId });
+    } catch (err) {
+      reply(ack, { error: err.message });
+      return;
+    }
+
+    const run = {
+      id: request.runId,
+      process: null,
+      stopped: false,
+      record: shared ? createRunRecord(user, request) : null,
+    };
+    activeRun = run;
+    if (shared) {
+      addRun(room, run.record);
+      io.to(roomId).emit(SocketEvent.RUN_SHARED, { run: summarizeRun(run.record) });
+    }
+    reply(ack, { success: true });
+
+    const audience = shared ? io.to(roomId) : socket;
+    const emit = (event, payload) => audience.emit(event, { runId: run.id, ...payload });
+
+    runner
+      .execute(request, {
+        interactive: true,
+        onStart: (stage, sandboxed) => {
+          run.process = sandboxed;
+          // Stopped while waiting for its turn or between stages
+          if (run.stopped) sandboxed.stop("Stopped");
+          emit(SocketEvent.RUN_STAGE, { stage });
+        },
+        onOutput: (stage, stream, data) => {
+          if (run.record) recordOutput(run.record, stream, data);
+          emit(SocketEvent.RUN_OUTPUT, { stage, stream, data });
+        },
+      })
+      .then(
+        ({ language, version, compile, run: result, tests }) => ({
+          language,
+          version,
+          compile: summarizeStage(compile),
+          run: summarizeStage(result),
+          // How each test went, for test runs that got as far as reporting
+          tests: tests ?? null,
+        }),
+        (err) => {
+          if (!(err instanceof RequestError)) console.error("❌ Code run failed:", err);
+          return {
+            error: err instanceof RequestError ? err.message : "The code could not be run",
+          };
+        }
+      )
+      .then((result) => {
+        if (run.record) {
+          Object.assign(run.record, result, { finishedAt: new Date().toISOString() });
+          room.dirty = true;
+        }
+        emit(SocketEvent.RUN_EXIT, result);
+      })
+      .finally(() => {
+        release();
+        if (activeRun === run) activeRun = null;
+      });
+  });
+
+  // 🔸 Input typed while the program runs; `end` closes it (Ctrl+D)
+  socket.on(SocketEvent.RUN_INPUT, (payload) => {
+    if (!isPlainObject(payload)) return;
+    const { runId, data, end } = payload;
+    if (!activeRun?.process || activeRun.id !== runId) return;
+    if (typeof data === "string" && data.length <= MAX_INPUT_LENGTH) {
+      activeRun.process.write(data);
+      // The room sees what was typed into a shared run
+      const { record } = activeRun;
+      if (record) {
+        recordInput(record, data);
+        socket.to(getRoomId(socket.id)).emit(SocketEvent.RUN_OUTPUT, {
+          runId,
+          stage: "run",
+          stream: "stdin",
+          data,
+        });
+      }
+    }
+    if (end === true) activeRun.process.endInput();
+  });
+
+  socket.on(SocketEvent.RUN_STOP, (payload) => {
+    if (!isPlainObject(payload) || !activeRun || activeRun.id !== payload.runId) return;
+    activeRun.stopped = true;
+    activeRun.process?.stop("Stopped");
+  });
+
+  // 🔸 A shared run from the history, with its output
+  socket.on(SocketEvent.GET_RUN, (payload, ack) => {
+    const room = getRoom(getRoomId(socket.id));
+    if (!room?.users.has(socket.id)) {
+      reply(ack, { error: "Join a room first" });
+      return;
+    }
+    if (!isPlainObject(payload) || !isNonEmptyString(payload.runId)) {
+      reply(ack, { error: "Invalid run request" });
+      return;
+    }
+    const run = findRun(room, payload.runId);
+    reply(ack, run ? { run } : { error: "That run is no longer in the history" });
+  });
+
+  // 🔸 Nobody is left to see the output
+  socket.on("disconnect", () => {
+    if (!activeRun) return;
+    activeRun.stopped = true;
+    activeRun.process?.stop("Stopped");
+  });
+}
@@ -0,0 +1,115 @@
+// src/persistence.js
+// Keeps rooms alive across restarts and empty periods. Rooms are loaded
+// from storage on the first join-request, snapshotted periodically while
+// they change, and saved once more before being unloaded when empty.
+
+import { createRoom, restoreRoom, rooms, serializeRoom } from "./rooms.js";
+import { isFileSystemItem } from "./utils/validation.js";
+
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 30_000;
+
+let storage = null;
+let snapshotTimer = null;
+const pendingLoads = new Map();
+
+/**
+ * Installs the storage backend and starts the periodic snapshots.
+ */
+export function initPersistence(backend, { snapshotInterval } = {}) {
+  storage = backend;
+  const interval = Number(snapshotInterval) || DEFAULT_SNAPSHOT_INTERVAL_MS;
+  snapshotTimer = setInterval(() => {
+    for (const room of rooms.values()) {
+      saveRoom(room).catch(() => {});
+    }
+  }, interval);
+  snapshotTimer.unref();
+}
+
+async function readRoom(roomId) {
+  let record = null;
+  try {
+    record = await storage?.loadRoom(roomId);
+  } catch (error) {
+    console.error(`❌ Failed to load room ${roomId}:`, error.message);
+  }
+
+  if (!record) return createRoom(roomId);
+  if (!isFileSystemItem(record.fileStructure, "directory")) {
+    console.warn(`⚠️ Stored room ${roomId} is malformed, starting fresh`);
+    return createRoom(roomId);
+  }
+
+  console.log(`📂 Room ${roomId} restored from storage`);
+  return restoreRoom({ ...record, id: roomId });
+}
+
+/**
+ * Returns the live room, loading it from storage (or creating it) first.
+ * Concurrent joins to the same room share a single load.
+ */
+export async function loadRoom(roomId) {
+  if (rooms.has(roomId)) return rooms.get(roomId);
+
+  if (!pendingLoads.has(roomId)) {
+    const load = readRoom(roomId)
+      .then((room) => {
+        if (!rooms.has(roomId)) rooms.set(roomId, room);
+        return rooms.get(roomId);
+      })
+      .finally(() => pendingLoads.delete(roomId));
+    pendingLoads.set(roomId, load);
+  }
+  return pendingLoads.get(roomId);
+}
+
+/**
+ * Writes a snapshot of the room if it changed since the last one. Saves of
+ * the same room are queued so an older snapshot never overwrites a newer one.
+ */
+export function saveRoom(room) {
+  const previous = (room.saving || Promise.resolve()).catch(() => {});
+  room.saving = previous.then(async () => {
+    if (!storage || !room.dirty) return;
+    room.dirty = false;
+    try {
+      await storage.saveRoom(serializeRoom(room));
+    } catch (error) {
+      room.dirty = true;
+      console.error(`❌ Failed to save room ${room.id}:`, error.message);
+      throw error;
+    }
+  });
+  return room.saving;
+}
+
+/**
+ * Saves an empty room and drops it from memory, unless someone joined (or
+ * knocked) while the snapshot was being written.
+ */
+export async function releaseRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  try {
+    await saveRoom(room);
+  } catch {
+    // Keep the room in memory; the periodic snapshot will retry
+    return;
+  }
+
+  const isEmpty = room.users.size === 0 && room.pending.size === 0;
+  if (isEmpty && rooms.get(roomId) === room) {
+    rooms.delete(roomId);
+    console.log(`🗑️ Room ${roomId} saved and unloaded`);
+  }
+}
+
+/**
+ * Final snapshot of every room, used on shutdown.
+ */
+export async function flushRooms() {
+  clearInterval(snapshotTimer);
+  await Promise.allSettled(Array.from(rooms.values(), saveRoom));
+  await storage?.close();
+}
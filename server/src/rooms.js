@@ -0,0 +1,445 @@
+// src/rooms.js
+// In-memory room registry. Each room owns the canonical copy of its
+// workspace (file tree, open files, drawing) so late joiners can be served
+// without asking a peer. File contents live in the room's Yjs document.
+// Rooms are written to storage by src/persistence.js; `dirty` tracks
+// whether anything changed since the last snapshot.
+
+import { randomUUID } from "crypto";
+import * as Y from "yjs";
+import { SocketEvent } from "./types/socket.js";
+import { USER_ROLES } from "./types/user.js";
+import { syncDocWithTree, withDocContents } from "./utils/collab.js";
+import { createSecret, hashToken } from "./utils/secrets.js";
+import {
+  addItem,
+  collectFileIds,
+  createInitialFileStructure,
+  findItemById,
+  removeItem,
+  updateItem,
+} from "./utils/fileSystem.js";
+
+export const rooms = new Map();
+
+// Who may enter the room and what they may do there. The owner is whoever
+// holds the owner key handed to the room's creator; only hashes of the key
+// and password are kept.
+function createRoomAccess() {
+  return {
+    ownerName: null,
+    ownerKeyHash: null,
+    passwordHash: null,
+    knockToJoin: false,
+    // Role new members start with
+    defaultRole: USER_ROLES.EDITOR,
+  };
+}
+
+// Any change to the shared text marks the room for the next snapshot.
+function trackChanges(room) {
+  room.doc.on("update", () => {
+    room.dirty = true;
+  });
+  return room;
+}
+
+// How Run executes the workspace: the directory whose files are sent (null
+// for the whole workspace), the entry file, its command-line arguments and
+// the input it starts with. `fileLanguages` holds the runtime picked for a
+// file whose language is not the one detected, by file id. Named
+// configurations have all of these settings, and the one chosen with
+// `configurationId` replaces the room's own. `preview` also shows the
+// folder's web page in a pane next to the editor.
+const createRunConfig = () => ({
+  scopeId: null,
+  entryFileId: null,
+  args: "",
+  stdin: "",
+  fileLanguages: {},
+  configurations: [],
+  configurationId: null,
+  preview: false,
+});
+
+export function createRoom(roomId) {
+  const fileStructure = createInitialFileStructure();
+  const doc = new Y.Doc();
+  syncDocWithTree(doc, fileStructure);
+  return trackChanges({
+    id: roomId,
+    users: new Map(),
+    fileStructure,
+    openFiles: [...collectFileIds(fileStructure)],
+    doc,
+    drawingData: null,
+    messages: [],
+    // When each member last read the chat: user id → timestamp of the
+    // latest message they have seen
+    chatReads: new Map(),
+    runConfig: createRunConfig(),
+    // Runs shared with the room, newest first (see addRun)
+    runs: [],
+    access: createRoomAccess(),
+    // Everyone who ever joined, by hashed session token (see createSession)
+    sessions: new Map(),
+    // Joiners waiting for the owner's approval, by socket id
+    pending: new Map(),
+    // Usernames and session ids removed by the owner; they have to knock to
+    // come back
+    kicked: new Set(),
+    dirty: false,
+  });
+}
+
+/**
+ * Rebuilds a room from a stored record (see `serializeRoom`). File contents
+ * come from the saved document state; the contents stored in the tree are
+ * only used to seed files the document does not know about.
+ */
+export function restoreRoom(record) {
+  const doc = new Y.Doc();
+  if (record.docState) {
+    try {
+      Y.applyUpdate(doc, Buffer.from(record.docState, "base64"));
+    } catch (error) {
+      console.warn(`⚠️ Stored document of room ${record.id} is unreadable:`, error.message);
+    }
+  }
+  syncDocWithTree(doc, record.fileStructure);
+
+  const room = trackChanges({
+    id: record.id,
+    users: new Map(),
+    fileStructure: record.fileStructure,
+    openFiles: Array.isArray(record.openFiles) ? record.openFiles : [],
+    doc,
+    drawingData: record.drawingData || null,
+    messages: Array.isArray(record.messages) ? record.messages : [],
+    chatReads: new Map(Object.entries(record.chatReads || {})),
+    runConfig: { ...createRunConfig(), ...record.runConfig },
+    runs: Array.isArray(record.runs) ? record.runs.map(endInterruptedRun) : [],
+    access: { ...createRoomAccess(), ...record.access },
+    sessions: new Map(Object.entries(record.sessions || {})),
+    pending: new Map(),
+    kicked: new Set(Array.isArray(record.kicked) ? record.kicked : []),
+    dirty: false,
+  });
+  pruneOpenFiles(room);
+  return room;
+}
+
+/**
+ * Plain, JSON-safe copy of everything worth keeping about a room.
+ */
+export function serializeRoom(room) {
+  return {
+    id: room.id,
+    fileStructure: withDocContents(room.fileStructure, room.doc),
+    openFiles: [...room.openFiles],
+    docState: Buffer.from(Y.encodeStateAsUpdate(room.doc)).toString("base64"),
+    drawingData: room.drawingData,
+    messages: room.messages,
+    chatReads: Object.fromEntries(room.chatReads),
+    runConfig: room.runConfig,
+    runs: room.runs,
+    access: room.access,
+    sessions: Object.fromEntries(room.sessions),
+    kicked: [...room.kicked],
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export function getRoom(roomId) {
+  return rooms.get(roomId) || null;
+}
+
+export function getUsersInRoom(roomId) {
+  return Array.from(rooms.get(roomId)?.users.values() || []);
+}
+
+export function getRoomId(socketId) {
+  for (const [roomId, room] of rooms.entries()) {
+    if (room.users.has(socketId)) return roomId;
+  }
+  return null;
+}
+
+/**
+ * Public view of the room's access settings (never includes secrets).
+ */
+export function getAccessInfo(room) {
+  return {
+    owner: room.access.ownerName,
+    hasPassword: Boolean(room.access.passwordHash),
+    knockToJoin: room.access.knockToJoin,
+    defaultRole: room.access.defaultRole,
+  };
+}
+
+export function getPendingJoins(room) {
+  return Array.from(room.pending.values(), ({ socketId, username, requestedAt }) => ({
+    socketId,
+    username,
+    requestedAt,
+  }));
+}
+
+/**
+ * Starts a session for a new member. The returned token is handed to the
+ * client once; presenting it on a later join reclaims the same identity
+ * (user id, username and role).
+ */
+export function createSession(room, { username, role }) {
+  const token = createSecret();
+  const session = { id: hashToken(token), userId: randomUUID(), username, role };
+  room.sessions.set(session.id, session);
+  room.dirty = true;
+  return { token, session };
+}
+
+export function findSession(room, token) {
+  if (typeof token !== "string" || !token) return null;
+  return room.sessions.get(hashToken(token)) || null;
+}
+
+/**
+ * The member of a loaded room whose session the token is, for requests
+ * that arrive outside the room's socket. Null unless they are in the room
+ * right now.
+ */
+export function findMemberBySession(roomId, token) {
+  const room = getRoom(roomId);
+  const session = room && findSession(room, token);
+  if (!session) return null;
+  return getUsersInRoom(roomId).find((user) => user.id === session.userId) || null;
+}
+
+// Only the latest messages are kept with the room
+const MAX_STORED_MESSAGES = 500;
+export const CHAT_PAGE_SIZE = 50;
+
+/**
+ * Stores a chat message. Returns false for a message id the room already
+ * has, e.g. one resent after a reconnect.
+ */
+export function addMessage(room, message) {
+  if (room.messages.some(({ id }) => id === message.id)) return false;
+  room.messages.push(message);
+  if (room.messages.length > MAX_STORED_MESSAGES) {
+    room.messages.splice(0, room.messages.length - MAX_STORED_MESSAGES);
+  }
+  room.dirty = true;
+  return true;
+}
+
+export function findMessage(room, messageId) {
+  return room.messages.find(({ id }) => id === messageId) || null;
+}
+
+export function removeMessage(room, messageId) {
+  const index = room.messages.findIndex(({ id }) => id === messageId);
+  if (index === -1) return false;
+  room.messages.splice(index, 1);
+  room.dirty = true;
+  return true;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Ids of the members mentioned as "@username" in a message. Anyone who ever
+ * joined the room can be mentioned; names may contain spaces.
+ */
+export function resolveMentions(room, text) {
+  const mentioned = new Set();
+  for (const { userId, username } of room.sessions.values()) {
+    const pattern = new RegExp(`(^|\\s)@${escapeRegExp(username)}(?=$|[\\s.,:;!?)])`, "i");
+    if (pattern.test(text)) mentioned.add(userId);
+  }
+  return Array.from(mentioned);
+}
+
+export function setRunConfig(room, runConfig) {
+  room.runConfig = { ...room.runConfig, ...runConfig };
+  // A deleted configuration can't stay chosen
+  const { configurations, configurationId } = room.runConfig;
+  if (!configurations.some(({ id }) => id === configurationId)) {
+    room.runConfig.configurationId = null;
+  }
+  room.dirty = true;
+  return room.runConfig;
+}
+
+// Only the latest shared runs are kept with the room
+const MAX_STORED_RUNS = 20;
+
+/**
+ * Stores a run shared with the room. Its output, as `{ stream, text }`
+ * chunks, and its result are filled in as it goes.
+ */
+export function addRun(room, run) {
+  room.runs.unshift(run);
+  room.runs.splice(MAX_STORED_RUNS);
+  room.dirty = true;
+}
+
+export function findRun(room, runId) {
+  return room.runs.find(({ id }) => id === runId) || null;
+}
+
+// What the history list shows; the output and test results are fetched
+// when a run is opened
+export const summarizeRun = ({ output, tests, ...summary }) => summary;
+
+// A run still going when the room was saved never finished
+const endInterruptedRun = (run) =>
+  run.finishedAt ? run : { ...run, error: "The server restarted during this run" };
+
+export function markChatRead(room, userId, timestamp) {
+  const previous = room.chatReads.get(userId);
+  if (previous && previous >= timestamp) return;
+  room.chatReads.set(userId, timestamp);
+  room.dirty = true;
+}
+
+/**
+ * Messages from others a member has not read yet, and how many of those
+ * mention them.
+ */
+export function getUnreadCounts(room, userId) {
+  const lastRead = room.chatReads.get(userId) || "";
+  const unread = room.messages.filter(
+    (message) => message.userId !== userId && message.timestamp > lastRead
+  );
+  return {
+    unread: unread.length,
+    mentions: unread.filter(({ mentions }) => mentions?.includes(userId)).length,
+  };
+}
+
+/**
+ * A page of chat history, oldest first: the `limit` messages before the
+ * message with id `before`, or the latest ones without it.
+ */
+export function getMessagePage(room, { before, limit = CHAT_PAGE_SIZE } = {}) {
+  const end = before
+    ? room.messages.findIndex(({ id }) => id === before)
+    : room.messages.length;
+  // The reference message has been dropped from the stored history
+  if (end === -1) return { messages: [], hasMore: false };
+  const start = Math.max(0, end - limit);
+  return { messages: room.messages.slice(start, end), hasMore: start > 0 };
+}
+
+/**
+ * Full workspace handed to a client when it joins.
+ */
+export function getWorkspaceSnapshot(room) {
+  const fileStructure = withDocContents(room.fileStructure, room.doc);
+  const openFiles = room.openFiles
+    .map((fileId) => findItemById(fileStructure, fileId))
+    .filter(Boolean);
+
+  return {
+    fileStructure,
+    openFiles,
+    activeFile: openFiles[0] || null,
+    drawingData: room.drawingData?.schema ? room.drawingData : null,
+    runConfig: room.runConfig,
+    runs: room.runs.map(summarizeRun),
+    docState: Y.encodeStateAsUpdate(room.doc),
+  };
+}
+
+// Drops open files that no longer exist in the tree.
+function pruneOpenFiles(room) {
+  const fileIds = collectFileIds(room.fileStructure);
+  room.openFiles = room.openFiles.filter((fileId) => fileIds.has(fileId));
+}
+
+function applyDrawingChanges(drawingData, { snapshot, schema }) {
+  const store = { ...(drawingData?.store || {}) };
+  for (const record of Object.values(snapshot.added || {})) {
+    if (record?.id) store[record.id] = record;
+  }
+  for (const change of Object.values(snapshot.updated || {})) {
+    const to = Array.isArray(change) ? change[1] : null;
+    if (to?.id) store[to.id] = to;
+  }
+  for (const record of Object.values(snapshot.removed || {})) {
+    if (record?.id) delete store[record.id];
+  }
+  return { store, schema: schema || drawingData?.schema || null };
+}
+
+const mutations = {
+  [SocketEvent.DIRECTORY_CREATED]: (room, { parentDirId, newDirectory }) =>
+    addItem(room.fileStructure, parentDirId, newDirectory),
+
+  [SocketEvent.DIRECTORY_UPDATED]: (room, { dirId, children }) =>
+    updateItem(room.fileStructure, dirId, (dir) =>
+      dir.type === "directory" ? { ...dir, children } : dir
+    ),
+
+  [SocketEvent.DIRECTORY_RENAMED]: (room, { dirId, newName }) =>
+    updateItem(room.fileStructure, dirId, (dir) => ({ ...dir, name: newName })),
+
+  [SocketEvent.DIRECTORY_DELETED]: (room, { dirId }) =>
+    findItemById(room.fileStructure, dirId)?.type === "directory"
+      ? removeItem(room.fileStructure, dirId)
+      : null,
+
+  [SocketEvent.FILE_CREATED]: (room, { parentDirId, newFile }) => {
+    const next = addItem(room.fileStructure, parentDirId, newFile);
+    if (next) room.openFiles.push(newFile.id);
+    return next;
+  },
+
+  [SocketEvent.FILE_RENAMED]: (room, { fileId, newName }) =>
+    updateItem(room.fileStructure, fileId, (file) => ({ ...file, name: newName })),
+
+  [SocketEvent.FILE_DELETED]: (room, { fileId }) =>
+    findItemById(room.fileStructure, fileId)?.type === "file"
+      ? removeItem(room.fileStructure, fileId)
+      : null,
+};
+
+/**
+ * Applies a validated mutation event to the room's workspace.
+ * Returns false when the event does not fit the current state
+ * (unknown ids, wrong item type), in which case nothing changes.
+ */
+export function applyRoomEvent(room, event, data) {
+  if (event === SocketEvent.DRAWING_UPDATE) {
+    room.drawingData = applyDrawingChanges(room.drawingData, data);
+    room.dirty = true;
+    return true;
+  }
+
+  const mutate = mutations[event];
+  if (!mutate) return false;
+
+  const fileStructure = mutate(room, data);
+  if (!fileStructure) return false;
+
+  room.fileStructure = fileStructure;
+  pruneOpenFiles(room);
+  syncDocWithTree(room.doc, room.fileStructure);
+  room.dirty = true;
+  return true;
+}
+
+/**
+ * Merges an incremental Yjs update from a client into the room document.
+ * Returns false when the update cannot be decoded.
+ */
+export function applyDocumentUpdate(room, update, origin) {
+  try {
+    Y.applyUpdate(room.doc, new Uint8Array(update), origin);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Rejected document update in room ${room.id}:`, error.message);
+    return false;
+  }
+}
@@ -5,6 +5,18 @@ import http from "http";
 import { Server } from "socket.io";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createExecutionRouter, createRunner } from "./execution/index.js";
+import { registerChatHandlers } from "./handlers/chatHandlers.js";
+import { registerFileSystemHandlers } from "./handlers/fileSystemHandlers.js";
+import { registerPresenceHandlers } from "./handlers/presenceHandlers.js";
+import { registerRunHandlers } from "./handlers/runHandlers.js";
+import {
+  RECOVERY_WINDOW_MS,
+  registerRoomHandlers,
+} from "./handlers/roomHandlers.js";
+import { flushRooms, initPersistence } from "./persistence.js";
+import { rooms } from "./rooms.js";
+import { createStorage } from "./storage/index.js";
 
 dotenv.config();
 
@@ -63,85 +75,34 @@ const io = new Server(httpServer, {
   transports: ["websocket", "polling"],
   allowEIO3: true,
   serveClient: false,
+  // Brief network drops resume the same socket, rooms and missed events
+  connectionStateRecovery: {
+    maxDisconnectionDuration: RECOVERY_WINDOW_MS,
+    skipMiddlewares: true,
+  },
 });
 
-// 🔹 Room Management
-const rooms = new Map();
-
-function getUsersInRoom(roomId) {
-  return Array.from(rooms.get(roomId)?.values() || []);
-}
-
-function getRoomId(socketId) {
-  for (const [roomId, users] of rooms.entries()) {
-    if (users.has(socketId)) return roomId;
-  }
-  return null;
-}
+// 🔹 Code runner, shared by the HTTP API and runs over the socket
+const runner = createRunner();
 
 // 🔹 Handle Socket Connections
 io.on("connection", (socket) => {
   console.log(`✅ Socket connected: ${socket.id}`);
 
-  // 🔸 Handle join-request from frontend
-  socket.on("join-request", ({ roomId, username }) => {
-    console.log(`📩 join-request → Room: ${roomId}, User: ${username}`);
-
-    if (!roomId) {
-      io.to(socket.id).emit("join-error", { message: "Room ID missing" });
-      return;
-    }
+  // 🔸 Joining, leaving and owner access controls
+  registerRoomHandlers(io, socket);
 
-    socket.join(roomId);
+  // 🔸 File tree, document and drawing events
+  registerFileSystemHandlers(io, socket);
 
-    if (!rooms.has(roomId)) rooms.set(roomId, new Map());
-    const user = { id: socket.id, username: username || "Anonymous", joinedAt: new Date() };
-    rooms.get(roomId).set(socket.id, user);
+  // 🔸 Cursors and other per-user presence
+  registerPresenceHandlers(io, socket);
 
-    console.log(`👤 ${username || "Anonymous"} joined room ${roomId}`);
+  // 🔸 Room chat and its history
+  registerChatHandlers(io, socket);
 
-    const usersInRoom = getUsersInRoom(roomId);
-
-    // Notify the client that join was successful
-    io.to(socket.id).emit("join-success", { roomId, users: usersInRoom });
-
-    // Notify everyone else in the room
-    socket.to(roomId).emit("user-joined", { user, users: usersInRoom });
-  });
-
-  // 🔸 Handle code sync
-  socket.on("code-change", ({ roomId, code, cursorPos }) => {
-    socket.to(roomId).emit("code-update", {
-      code,
-      cursorPos,
-      sender: socket.id,
-      timestamp: Date.now(),
-    });
-  });
-
-  // 🔸 Handle disconnects
-  socket.on("disconnect", (reason) => {
-    console.log(`❌ Socket disconnected: ${socket.id} (${reason})`);
-    const roomId = getRoomId(socket.id);
-    if (roomId) {
-      const room = rooms.get(roomId);
-      if (room) {
-        const user = room.get(socket.id);
-        room.delete(socket.id);
-
-        if (room.size === 0) {
-          rooms.delete(roomId);
-          console.log(`🗑️ Room ${roomId} removed`);
-        } else if (user) {
-          io.to(roomId).emit("user-left", {
-            socketId: socket.id,
-            username: user.username,
-          });
-          console.log(`👋 ${user.username} left room ${roomId}`);
-        }
-      }
-    }
-  });
+  // 🔸 How the room runs its code, and interactive runs
+  registerRunHandlers(io, socket, runner);
 
   // 🔸 Ping check
   socket.on("ping", (cb) => typeof cb === "function" && cb());
@@ -152,6 +113,9 @@ app.get("/", (req, res) => {
   res.send("✅ CodeSync Server is running");
 });
 
+// 🔹 Code runner (Piston-compatible /runtimes and /execute)
+app.use("/api/execution", createExecutionRouter(runner));
+
 // 🔹 Health Endpoint
 app.get("/health", (req, res) => {
   res.status(200).json({
@@ -165,12 +129,32 @@ app.get("/health", (req, res) => {
 });
 
 // 🔹 Start Server
-const startServer = () => {
+const startServer = async () => {
+  try {
+    const storage = await createStorage();
+    initPersistence(storage, {
+      snapshotInterval: process.env.SNAPSHOT_INTERVAL_MS,
+    });
+    console.log(`💾 Room storage: ${storage.name}`);
+  } catch (err) {
+    console.error("❌ Failed to initialise room storage:", err.message);
+    process.exit(1);
+  }
+
   httpServer.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🌐 Allowed origins:`, allowedOrigins);
   });
 
+  // Save every room before exiting
+  const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received, saving rooms...`);
+    await flushRooms();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
   process.on("unhandledRejection", (err) =>
     console.error("❌ Unhandled Rejection:", err)
   );
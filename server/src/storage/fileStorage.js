@@ -0,0 +1,34 @@
+// src/storage/fileStorage.js
+// Default storage: one JSON file per room in a data directory.
+
+import { promises as fs } from "fs";
+import path from "path";
+
+export function createFileStorage({ dir }) {
+  // Room ids come from URLs, so they are encoded before touching the disk
+  const fileFor = (roomId) => path.join(dir, `${encodeURIComponent(roomId)}.json`);
+
+  return {
+    name: "file",
+
+    async loadRoom(roomId) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(roomId), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    // Written to a temp file first so a crash never leaves half a snapshot
+    async saveRoom(record) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(record.id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record));
+      await fs.rename(tmp, file);
+    },
+
+    async close() {},
+  };
+}
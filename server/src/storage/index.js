@@ -0,0 +1,36 @@
+// src/storage/index.js
+// Storage backends for room snapshots. Every backend implements:
+//
+//   loadRoom(roomId) -> Promise<record | null>
+//   saveRoom(record) -> Promise<void>
+//   close()          -> Promise<void>
+//
+// where `record` is the plain object produced by `serializeRoom`.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFileStorage } from "./fileStorage.js";
+
+const DEFAULT_DATA_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../data"
+);
+
+/**
+ * Picks the backend from STORAGE_DRIVER ("file" by default, or "mongo").
+ * The MongoDB adapter is only loaded when it is selected.
+ */
+export async function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || "file").toLowerCase();
+
+  switch (driver) {
+    case "file":
+      return createFileStorage({ dir: env.DATA_DIR || DEFAULT_DATA_DIR });
+    case "mongo": {
+      const { createMongoStorage } = await import("./mongoStorage.js");
+      return createMongoStorage({ uri: env.MONGODB_URI });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+}
@@ -0,0 +1,50 @@
+// src/storage/mongoStorage.js
+// Optional MongoDB storage (STORAGE_DRIVER=mongo). Each room is one
+// document keyed by its room id.
+
+import mongoose from "mongoose";
+
+const { Mixed } = mongoose.Schema.Types;
+
+const roomSchema = new mongoose.Schema(
+  {
+    _id: String,
+    fileStructure: Mixed,
+    openFiles: [String],
+    docState: String,
+    drawingData: Mixed,
+    messages: [Mixed],
+    chatReads: Mixed,
+    runConfig: Mixed,
+    runs: Mixed,
+    access: Mixed,
+    sessions: Mixed,
+    kicked: [String],
+    updatedAt: Date,
+  },
+  { versionKey: false, minimize: false }
+);
+
+export async function createMongoStorage({ uri }) {
+  if (!uri) throw new Error("MONGODB_URI is required when STORAGE_DRIVER=mongo");
+
+  const connection = await mongoose.createConnection(uri).asPromise();
+  const Room = connection.model("Room", roomSchema);
+
+  return {
+    name: "mongo",
+
+    async loadRoom(roomId) {
+      const stored = await Room.findById(roomId).lean();
+      if (!stored) return null;
+      const { _id, updatedAt, ...record } = stored;
+      return { id: _id, ...record, updatedAt: updatedAt?.toISOString() };
+    },
+
+    async saveRoom({ id, ...record }) {
+      await Room.replaceOne({ _id: id }, record, { upsert: true });
+    },
+
+    close: () => connection.close(),
+  };
+}
@@ -3,6 +3,20 @@ export const SocketEvent = {
   JOIN_ACCEPTED: "join-accepted",
   USER_JOINED: "user-joined",
   USER_DISCONNECTED: "user-disconnected",
+  JOIN_SUCCESS: "join-success",
+  JOIN_ERROR: "join-error",
+  JOIN_PENDING: "join-pending",
+  JOIN_REQUESTS: "join-requests",
+  APPROVE_JOIN: "approve-join",
+  DENY_JOIN: "deny-join",
+  KICK_USER: "kick-user",
+  USER_KICKED: "user-kicked",
+  USER_LEFT: "user-left",
+  UPDATE_ROOM_ACCESS: "update-room-access",
+  ROOM_ACCESS_UPDATED: "room-access-updated",
+  SET_USER_ROLE: "set-user-role",
+  USER_UPDATED: "user-updated",
+  SESSION_REPLACED: "session-replaced",
   SYNC_FILE_STRUCTURE: "sync-file-structure",
   DIRECTORY_CREATED: "directory-created",
   DIRECTORY_UPDATED: "directory-updated",
@@ -12,13 +26,33 @@ export const SocketEvent = {
   FILE_UPDATED: "file-updated",
   FILE_RENAMED: "file-renamed",
   FILE_DELETED: "file-deleted",
-  USER_OFFLINE: "offline",
-  USER_ONLINE: "online",
+  DOCUMENT_UPDATE: "document-update",
+  SYNC_WORKSPACE: "sync-workspace",
+  PRESENCE_UPDATE: "presence-update",
   SEND_MESSAGE: "send-message",
   RECEIVE_MESSAGE: "receive-message",
+  CHAT_HISTORY: "chat-history",
+  EDIT_MESSAGE: "edit-message",
+  DELETE_MESSAGE: "delete-message",
+  REACT_TO_MESSAGE: "react-to-message",
+  MESSAGE_UPDATED: "message-updated",
+  MESSAGE_DELETED: "message-deleted",
+  USER_MENTIONED: "user-mentioned",
+  MARK_CHAT_READ: "mark-chat-read",
   TYPING_START: "typing-start",
   TYPING_PAUSE: "typing-pause",
   CURSOR_MOVE: "cursor-move",
+  VIEWPORT_CHANGE: "viewport-change",
+  UPDATE_RUN_CONFIG: "update-run-config",
+  RUN_CONFIG_UPDATED: "run-config-updated",
+  RUN_START: "run-start",
+  RUN_STAGE: "run-stage",
+  RUN_OUTPUT: "run-output",
+  RUN_INPUT: "run-input",
+  RUN_STOP: "run-stop",
+  RUN_EXIT: "run-exit",
+  RUN_SHARED: "run-shared",
+  GET_RUN: "get-run",
   USERNAME_EXISTS: "username-exists",
   REQUEST_DRAWING: "request-drawing",
   SYNC_DRAWING: "sync-drawing",
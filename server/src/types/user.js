@@ -35,9 +35,53 @@ function SocketContext(socket) {
 }
 // src/types/user.js
 
+// Presence: online, away (tab hidden), idle (no input for a while) or
+// disconnected (connection dropped but still recoverable)
 export const USER_CONNECTION_STATUS = {
-  CONNECTED: "connected",
+  ONLINE: "online",
+  AWAY: "away",
+  IDLE: "idle",
   DISCONNECTED: "disconnected",
 };
 
+// The owner manages the room, editors change the workspace, viewers watch.
+export const USER_ROLES = {
+  OWNER: "owner",
+  EDITOR: "editor",
+  VIEWER: "viewer",
+};
+
+// Roles the owner can hand out; ownership itself is never transferred here
+export const ASSIGNABLE_ROLES = [USER_ROLES.EDITOR, USER_ROLES.VIEWER];
+
+export const canEdit = (user) =>
+  user?.role === USER_ROLES.OWNER || user?.role === USER_ROLES.EDITOR;
+
+export const isOwner = (user) => user?.role === USER_ROLES.OWNER;
+
+/**
+ * Room member record shared with every client in the room.
+ */
+export function createUser({ userId, socketId, username, role }) {
+  return {
+    // Stable across reconnects; socketId changes with every connection
+    id: userId ?? socketId,
+    socketId,
+    username,
+    role,
+    status: USER_CONNECTION_STATUS.ONLINE,
+    joinedAt: new Date(),
+    currentFile: null,
+    cursorPosition: 0,
+    selectionStart: null,
+    selectionEnd: null,
+    cursor: null,
+    // First line visible in their editor ({ fileId, topLine }), for followers
+    viewport: null,
+    // Whether the member is typing, and where: "chat" or "editor"
+    typing: false,
+    typingIn: null,
+  };
+}
+
 export { SocketEvent, SocketContext };
\ No newline at end of file
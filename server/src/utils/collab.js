@@ -0,0 +1,68 @@
+// src/utils/collab.js
+// File contents are kept in a Yjs document per room: one Y.Text per file id
+// inside the "files" map. Concurrent edits merge instead of overwriting.
+
+import * as Y from "yjs";
+
+export const FILES_KEY = "files";
+
+export function getFileTexts(doc) {
+  return doc.getMap(FILES_KEY);
+}
+
+/**
+ * Runs `fn` and returns the Yjs update it produced (or null if the
+ * document did not change), so the server can broadcast its own edits.
+ */
+export function captureUpdate(doc, fn) {
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+  doc.on("update", onUpdate);
+  try {
+    fn();
+  } finally {
+    doc.off("update", onUpdate);
+  }
+  return updates.length > 0 ? Y.mergeUpdates(updates) : null;
+}
+
+/**
+ * Makes the document hold exactly one Y.Text per file in the tree. New files
+ * are seeded with the content they were created with; texts of files that
+ * left the tree are dropped.
+ */
+export function syncDocWithTree(doc, tree) {
+  const texts = getFileTexts(doc);
+  const files = new Map();
+  const collect = (item) => {
+    if (item.type === "file") files.set(item.id, item.content || "");
+    for (const child of item.children || []) collect(child);
+  };
+  collect(tree);
+
+  doc.transact(() => {
+    for (const [fileId, content] of files) {
+      if (!texts.has(fileId)) texts.set(fileId, new Y.Text(content));
+    }
+    for (const fileId of Array.from(texts.keys())) {
+      if (!files.has(fileId)) texts.delete(fileId);
+    }
+  });
+}
+
+// Returns a copy of the tree with every file's content read from the doc.
+export function withDocContents(tree, doc) {
+  const texts = getFileTexts(doc);
+  const visit = (item) => {
+    if (item.type === "file") {
+      const text = texts.get(item.id);
+      return text ? { ...item, content: text.toString() } : item;
+    }
+    return { ...item, children: (item.children || []).map(visit) };
+  };
+  return visit(tree);
+}
+
+export function isBinary(value) {
+  return value instanceof Uint8Array || value instanceof ArrayBuffer;
+}
@@ -0,0 +1,82 @@
+// src/utils/fileSystem.js
+// Pure helpers over the FileSystemItem tree used by the client
+// ({ id, name, type: "file" | "directory", children?, content? }).
+// Every helper returns a new tree and leaves its input untouched.
+
+import { randomUUID } from "crypto";
+
+const initialCode = `function sayHi() {
+  console.log("👋 Hello world");
+}
+
+sayHi()`;
+
+export function createInitialFileStructure() {
+  return {
+    name: "root",
+    id: randomUUID(),
+    type: "directory",
+    children: [
+      {
+        id: randomUUID(),
+        type: "file",
+        name: "index.js",
+        content: initialCode,
+      },
+    ],
+  };
+}
+
+export function findItemById(item, id) {
+  if (item.id === id) return item;
+  if (!item.children) return null;
+  for (const child of item.children) {
+    const found = findItemById(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Applies `update` to the item with the given id. Returns null when the id
+// is not in the tree so callers can reject the event.
+export function updateItem(tree, id, update) {
+  let found = false;
+  const visit = (item) => {
+    if (item.id === id) {
+      found = true;
+      return update(item);
+    }
+    if (!item.children) return item;
+    return { ...item, children: item.children.map(visit) };
+  };
+  const next = visit(tree);
+  return found ? next : null;
+}
+
+export function addItem(tree, parentDirId, newItem) {
+  const parent = findItemById(tree, parentDirId);
+  if (!parent || parent.type !== "directory") return null;
+  if (findItemById(tree, newItem.id)) return null;
+  return updateItem(tree, parentDirId, (dir) => ({
+    ...dir,
+    children: [...(dir.children || []), newItem],
+  }));
+}
+
+export function removeItem(tree, id) {
+  if (tree.id === id || !findItemById(tree, id)) return null;
+  const visit = (item) => {
+    if (!item.children) return item;
+    return {
+      ...item,
+      children: item.children.filter((child) => child.id !== id).map(visit),
+    };
+  };
+  return visit(tree);
+}
+
+export function collectFileIds(item, ids = new Set()) {
+  if (item.type === "file") ids.add(item.id);
+  for (const child of item.children || []) collectFileIds(child, ids);
+  return ids;
+}
@@ -0,0 +1,33 @@
+// src/utils/secrets.js
+// Hashing for room passwords, owner keys and session tokens. Only hashes are
+// kept in memory and in storage.
+
+import { createHash, randomBytes, scryptSync, timingSafeEqual } from "crypto";
+
+const KEY_LENGTH = 32;
+
+export function createSecret() {
+  return randomBytes(24).toString("hex");
+}
+
+// Returns "salt:hash" (both hex)
+export function hashSecret(secret) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = scryptSync(secret, salt, KEY_LENGTH).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+export function verifySecret(secret, stored) {
+  if (typeof secret !== "string" || typeof stored !== "string") return false;
+  const [salt, hash] = stored.split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(secret, salt, expected.length);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Session tokens are random, so a plain digest is enough and lets sessions
+// be looked up by hash
+export function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
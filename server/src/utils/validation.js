@@ -0,0 +1,29 @@
+// src/utils/validation.js
+// Small payload guards shared by the socket handlers.
+
+export const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+export const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Checks that an item has the shape of a client FileSystemItem
+ * ({ id, name, type, children?, content? }), recursing into directories.
+ */
+export function isFileSystemItem(item, expectedType) {
+  if (!isPlainObject(item)) return false;
+  if (!isNonEmptyString(item.id) || typeof item.name !== "string") return false;
+  if (item.type !== "file" && item.type !== "directory") return false;
+  if (expectedType && item.type !== expectedType) return false;
+
+  if (item.type === "file") {
+    return item.content === undefined || typeof item.content === "string";
+  }
+
+  if (item.children === undefined) return true;
+  return (
+    Array.isArray(item.children) &&
+    item.children.every((child) => isFileSystemItem(child))
+  );
+}
@@ -0,0 +1,124 @@
+// test/collab.test.js
+// Several editors change the same file at once while their updates reach
+// the server, and the server's relays reach them, late and out of order.
+// Once everything is delivered every copy of the text must be the same.
+// Runs are seeded, so a failure replays exactly. And edits next to emoji
+// reach other editors whole.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as Y from "yjs";
+import { applyTextChange, getFileTexts, REMOTE_ORIGIN } from "../../client/src/utils/collab.js";
+import { applyDocumentUpdate, createRoom } from "../src/rooms.js";
+
+const SEEDS = [1, 7, 42, 1234, 98765];
+const EDITORS = 4;
+const STEPS = 400;
+const WORDS = ["let", " ", "x", "\n", "()", "{}", "é", "😀", "return", ";"];
+
+// mulberry32: a small PRNG whose sequence depends only on the seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Types, deletes or replaces a bit of the text, the way a keystroke or a
+// paste changes the editor's content
+function edit(text, random) {
+  const content = text.toString();
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  // Editors move by whole characters, never between the halves of an emoji
+  const betweenHalves = (index) => /[\udc00-\udfff]/u.test(content[index] ?? "");
+  let start = Math.floor(random() * (content.length + 1));
+  if (betweenHalves(start)) start--;
+  let end = Math.min(content.length, start + Math.floor(random() * 4));
+  if (betweenHalves(end)) end++;
+  const inserted = random() < 0.7 ? pick(WORDS) : "";
+  applyTextChange(text, content.slice(0, start) + inserted + content.slice(end));
+}
+
+// Removes and returns a random element, so messages arrive in any order
+const takeAny = (queue, random) => queue.splice(Math.floor(random() * queue.length), 1)[0];
+
+for (const seed of SEEDS) {
+  test(`concurrent edits converge (seed ${seed})`, () => {
+    const random = createRandom(seed);
+    const room = createRoom(`convergence-${seed}`);
+    const fileId = room.fileStructure.children[0].id;
+
+    // Updates on their way to the server, and from it to each editor
+    const toServer = [];
+    const editors = Array.from({ length: EDITORS }, (_, index) => {
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, Y.encodeStateAsUpdate(room.doc), REMOTE_ORIGIN);
+      doc.on("update", (update, origin) => {
+        if (origin !== REMOTE_ORIGIN) toServer.push({ from: index, update });
+      });
+      return { doc, inbox: [] };
+    });
+
+    const pickEditor = () => editors[Math.floor(random() * editors.length)];
+
+    // The server merges an update and relays it to everyone else, as the
+    // document-update handler does
+    const deliverToServer = ({ from, update }) => {
+      assert.ok(applyDocumentUpdate(room, update, from));
+      editors.forEach((editor, index) => {
+        if (index !== from) editor.inbox.push(update);
+      });
+    };
+    const deliverToEditor = (editor) => {
+      Y.applyUpdate(editor.doc, takeAny(editor.inbox, random), REMOTE_ORIGIN);
+    };
+
+    for (let step = 0; step < STEPS; step++) {
+      const roll = random();
+      if (roll < 0.5) {
+        edit(getFileTexts(pickEditor().doc).get(fileId), random);
+      } else if (roll < 0.75 && toServer.length > 0) {
+        deliverToServer(takeAny(toServer, random));
+      } else {
+        const editor = pickEditor();
+        if (editor.inbox.length > 0) deliverToEditor(editor);
+      }
+    }
+
+    // Whatever is still in flight arrives, in any order
+    while (toServer.length > 0) deliverToServer(takeAny(toServer, random));
+    for (const editor of editors) {
+      while (editor.inbox.length > 0) deliverToEditor(editor);
+    }
+
+    const expected = getFileTexts(room.doc).get(fileId).toString();
+    assert.notEqual(expected, room.fileStructure.children[0].content);
+    for (const { doc } of editors) {
+      assert.equal(getFileTexts(doc).get(fileId).toString(), expected);
+    }
+  });
+}
+
+test("edits around emoji reach other editors whole", () => {
+  const changes = [
+    ["a😀b", "a😃b"],
+    ["😀", "🙂"],
+    ["x😀y", "x🙂😀y"],
+    ["😀😀", "😀"],
+    ["\ud83d\ude00", "\ud83e\ude00"],
+  ];
+  for (const [before, after] of changes) {
+    const doc = new Y.Doc();
+    getFileTexts(doc).set("file", new Y.Text(before));
+    const peer = new Y.Doc();
+    Y.applyUpdate(peer, Y.encodeStateAsUpdate(doc));
+    doc.on("update", (update) => Y.applyUpdate(peer, update, REMOTE_ORIGIN));
+
+    applyTextChange(getFileTexts(doc).get("file"), after);
+    assert.equal(getFileTexts(peer).get("file").toString(), after);
+  }
+});
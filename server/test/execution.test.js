@@ -0,0 +1,268 @@
+// test/execution.test.js
+// Who may use the runner's HTTP API: only members of a room, with their
+// session, and their runs count against the room's quotas. Requests it
+// refuses for their files, and the names commands get for them. And test
+// runs, whose harnesses report how each test went, even in files that throw
+// before a test runs.
+
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { joinRoom, startServer } from "./support/server.js";
+
+// No language is installed, so a run that gets past the checks is refused
+// for its runtime instead
+const RUN = { language: "python", version: "*", files: [{ name: "main.py", content: "" }] };
+
+describe("POST /execute", () => {
+  let server, policyDir;
+
+  before(async () => {
+    // One run per room per minute, so the room's quota is easy to reach
+    policyDir = await fs.mkdtemp(path.join(os.tmpdir(), "policy-"));
+    const policyFile = path.join(policyDir, "policy.json");
+    await fs.writeFile(
+      policyFile,
+      JSON.stringify({ rateLimits: { perRoom: { runs: 1, windowMs: 60000 } } })
+    );
+    server = await startServer({ EXECUTION_POLICY_FILE: policyFile });
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.rm(policyDir, { recursive: true, force: true });
+  });
+
+  const execute = async (headers = {}) => {
+    const response = await fetch(`${server.url}/api/execution/execute`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(RUN),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // A member of a new room, with the headers that identify them
+  const joinAs = async (roomId, username) => {
+    const client = await server.connect();
+    const { sessionToken } = await joinRoom(client, roomId, username);
+    return { client, headers: { "X-Room-Id": roomId, "X-Session-Token": sessionToken } };
+  };
+
+  const unauthorized = { status: 401, body: { message: "Join the room to run code in it" } };
+
+  test("refuses callers without a room and session", async () => {
+    assert.deepEqual(await execute(), unauthorized);
+  });
+
+  test("refuses a session from another room", async () => {
+    const { headers } = await joinAs(`room-${randomUUID()}`, "alice");
+    const otherRoom = `room-${randomUUID()}`;
+    await joinAs(otherRoom, "bob");
+    assert.deepEqual(await execute({ ...headers, "X-Room-Id": otherRoom }), unauthorized);
+  });
+
+  test("refuses members who have left the room", async () => {
+    const roomId = `room-${randomUUID()}`;
+    await joinAs(roomId, "alice");
+    const { client, headers } = await joinAs(roomId, "bob");
+    client.close();
+    // Give the server a moment to see the disconnect
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepEqual(await execute(headers), unauthorized);
+  });
+
+  test("counts runs against the room's quota", async () => {
+    const roomId = `room-${randomUUID()}`;
+    const alice = await joinAs(roomId, "alice");
+    const bob = await joinAs(roomId, "bob");
+
+    const first = await execute(alice.headers);
+    assert.equal(first.status, 400);
+    assert.match(first.body.message, /runtime is unknown/);
+
+    const second = await execute(bob.headers);
+    assert.equal(second.status, 429);
+    assert.match(second.body.message, /^This room has started 1 run in the last minute/);
+  });
+});
+
+// Prints the Java class its command is given, so that can be checked
+// without a JDK
+const CLASS_NAME_TOOLCHAIN = {
+  language: "classname",
+  versionCommand: ["node", "--version"],
+  run: ["node", "-e", "console.log(process.argv[1])", "{mainClass}"],
+};
+
+describe("running code", () => {
+  let server, headers, toolchainsDir;
+
+  before(async () => {
+    toolchainsDir = await fs.mkdtemp(path.join(os.tmpdir(), "toolchains-"));
+    const toolchainsFile = path.join(toolchainsDir, "toolchains.json");
+    await fs.writeFile(toolchainsFile, JSON.stringify([CLASS_NAME_TOOLCHAIN]));
+    server = await startServer({
+      EXECUTION_LANGUAGES: "javascript,python,classname",
+      EXECUTION_TOOLCHAINS_FILE: toolchainsFile,
+    });
+    const roomId = `room-${randomUUID()}`;
+    const { sessionToken } = await joinRoom(await server.connect(), roomId, "alice");
+    headers = { "X-Room-Id": roomId, "X-Session-Token": sessionToken };
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.rm(toolchainsDir, { recursive: true, force: true });
+  });
+
+  const execute = async (body) => {
+    const response = await fetch(`${server.url}/api/execution/execute`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({ language: "javascript", version: "*", ...body }),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test("a name can't be both a file and a directory", async () => {
+    const files = [
+      { name: "main.js", content: "" },
+      { name: "lib", content: "" },
+      { name: "lib/util.js", content: "" },
+    ];
+    assert.deepEqual(await execute({ files }), {
+      status: 400,
+      body: { message: '"lib" can\'t be a file and a directory' },
+    });
+  });
+
+  test("files in the same directory are fine", async () => {
+    const files = [
+      { name: "main.js", content: 'console.log(require("./lib/util.js"))' },
+      { name: "lib/util.js", content: "module.exports = 42" },
+      { name: "lib/other.js", content: "" },
+    ];
+    const { status, body } = await execute({ files });
+    assert.equal(status, 200);
+    assert.equal(body.run.stdout, "42\n");
+  });
+
+  test("Java classes are named with the package they declare", async () => {
+    const className = async (file) => {
+      const { body } = await execute({ language: "classname", files: [file] });
+      return body.run.stdout;
+    };
+    const packaged = "/* Greets */\npackage com.example.app;\n\npublic class Hello {}";
+    assert.equal(
+      await className({ name: "com/example/app/Hello.java", content: packaged }),
+      "com.example.app.Hello\n"
+    );
+    assert.equal(await className({ name: "Main.java", content: "public class Main {}" }), "Main\n");
+  });
+
+  // The report without timings, which vary
+  const testsOf = ({ body }) => body.tests.map(({ durationMs, ...test }) => test);
+
+  test("JavaScript tests are reported one by one", async () => {
+    const response = await execute({
+      files: [
+        { name: "math.js", content: "module.exports = { add: (a, b) => a + b };" },
+        {
+          name: "test/math.test.js",
+          content: [
+            'const { add } = require("../math.js");',
+            'describe("add", () => {',
+            '  test("adds", () => expect(add(1, 2)).toBe(3));',
+            '  test("fails", () => expect(add(1, 2)).toBe(4));',
+            "});",
+          ].join("\n"),
+        },
+        { name: "test/broken.test.js", content: 'throw new Error("boom");' },
+      ],
+      tests: ["test/math.test.js", "test/broken.test.js"],
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(testsOf(response), [
+      {
+        name: "adds",
+        suite: ["add"],
+        file: "test/math.test.js",
+        status: "passed",
+        message: null,
+        line: null,
+      },
+      {
+        name: "fails",
+        suite: ["add"],
+        file: "test/math.test.js",
+        status: "failed",
+        message: "Expected 4, received 3",
+        line: 4,
+      },
+      {
+        name: "(loading the file)",
+        suite: [],
+        file: "test/broken.test.js",
+        status: "failed",
+        message: "Error: boom",
+        line: 1,
+      },
+    ]);
+  });
+
+  test("Python tests are reported one by one", async () => {
+    const response = await execute({
+      language: "python",
+      files: [
+        { name: "math_utils.py", content: "def add(a, b):\n    return a + b\n" },
+        {
+          name: "tests/test_math.py",
+          content: [
+            "import unittest",
+            "from math_utils import add",
+            "",
+            "class TestAdd(unittest.TestCase):",
+            "    def test_adds(self):",
+            "        self.assertEqual(add(1, 2), 3)",
+            "",
+            "    def test_fails(self):",
+            "        self.assertEqual(add(1, 2), 4)",
+          ].join("\n"),
+        },
+        { name: "tests/test_broken.py", content: 'raise RuntimeError("boom")\n' },
+      ],
+      tests: ["tests/test_math.py", "tests/test_broken.py"],
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(testsOf(response), [
+      {
+        name: "test_adds",
+        suite: ["TestAdd"],
+        file: "tests/test_math.py",
+        status: "passed",
+        message: null,
+        line: null,
+      },
+      {
+        name: "test_fails",
+        suite: ["TestAdd"],
+        file: "tests/test_math.py",
+        status: "failed",
+        message: "AssertionError: 3 != 4",
+        line: 9,
+      },
+      {
+        name: "(loading the file)",
+        suite: [],
+        file: "tests/test_broken.py",
+        status: "failed",
+        message: "RuntimeError: boom",
+        line: 1,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,287 @@
+// test/fileSystem.test.js
+// File tree, document and drawing events between real socket clients:
+// each event reaches the rest of the room and changes the room's copy of
+// the workspace, invalid payloads are refused, and nothing leaks into
+// other rooms.
+
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import * as Y from "yjs";
+import { getRoom } from "../src/rooms.js";
+import { SocketEvent } from "../src/types/socket.js";
+import { getFileTexts } from "../src/utils/collab.js";
+import { findItemById } from "../src/utils/fileSystem.js";
+import { collectEvents, joinRoom, nextEvent, request, startServer } from "./support/server.js";
+
+const newFile = (name, content = "") => ({ id: randomUUID(), type: "file", name, content });
+const newDirectory = (name) => ({ id: randomUUID(), type: "directory", name, children: [] });
+
+describe("file system events", () => {
+  let server;
+  // Two members of one room, and an outsider in another room
+  let alice, bob, carol;
+  let roomId, workspace;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    [alice, bob, carol] = await Promise.all([server.connect(), server.connect(), server.connect()]);
+    roomId = `room-${randomUUID()}`;
+    ({ workspace } = await joinRoom(alice, roomId, "alice"));
+    await joinRoom(bob, roomId, "bob");
+    await joinRoom(carol, `other-${randomUUID()}`, "carol");
+  });
+
+  afterEach(() => {
+    for (const client of [alice, bob, carol]) client.close();
+  });
+
+  // Sends an event from alice and resolves with what bob receives, checking
+  // that the outsider receives nothing
+  async function relay(event, payload) {
+    const received = nextEvent(bob, event);
+    const leaked = collectEvents(carol, event);
+    assert.deepEqual(await request(alice, event, payload), { success: true });
+    const data = await received;
+    assert.deepEqual(await leaked, []);
+    return data;
+  }
+
+  const rootId = () => workspace.fileStructure.id;
+  const roomTree = () => getRoom(roomId).fileStructure;
+
+  test("directory-created adds the directory", async () => {
+    const directory = newDirectory("src");
+    const payload = { parentDirId: rootId(), newDirectory: directory };
+    assert.deepEqual(await relay(SocketEvent.DIRECTORY_CREATED, payload), payload);
+    assert.equal(findItemById(roomTree(), directory.id)?.name, "src");
+  });
+
+  test("directory-updated replaces the directory's children", async () => {
+    const file = newFile("notes.txt");
+    const payload = { dirId: rootId(), children: [file] };
+    assert.deepEqual(await relay(SocketEvent.DIRECTORY_UPDATED, payload), payload);
+    assert.deepEqual(
+      roomTree().children.map((child) => child.id),
+      [file.id]
+    );
+  });
+
+  test("directory-renamed renames the directory", async () => {
+    const directory = newDirectory("src");
+    await request(alice, SocketEvent.DIRECTORY_CREATED, {
+      parentDirId: rootId(),
+      newDirectory: directory,
+    });
+    const payload = { dirId: directory.id, newName: "lib" };
+    assert.deepEqual(await relay(SocketEvent.DIRECTORY_RENAMED, payload), payload);
+    assert.equal(findItemById(roomTree(), directory.id).name, "lib");
+  });
+
+  test("directory-deleted removes the directory", async () => {
+    const directory = newDirectory("src");
+    await request(alice, SocketEvent.DIRECTORY_CREATED, {
+      parentDirId: rootId(),
+      newDirectory: directory,
+    });
+    const payload = { dirId: directory.id };
+    assert.deepEqual(await relay(SocketEvent.DIRECTORY_DELETED, payload), payload);
+    assert.equal(findItemById(roomTree(), directory.id), null);
+  });
+
+  test("file-created adds the file and sends its text to everyone", async () => {
+    const file = newFile("main.py", "print('hi')\n");
+    const payload = { parentDirId: rootId(), newFile: file };
+    const senderUpdate = nextEvent(alice, SocketEvent.DOCUMENT_UPDATE);
+    const peerUpdate = nextEvent(bob, SocketEvent.DOCUMENT_UPDATE);
+    assert.deepEqual(await relay(SocketEvent.FILE_CREATED, payload), payload);
+
+    for (const { update } of await Promise.all([senderUpdate, peerUpdate])) {
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, workspace.docState);
+      Y.applyUpdate(doc, update);
+      assert.equal(getFileTexts(doc).get(file.id).toString(), "print('hi')\n");
+    }
+    assert.ok(getRoom(roomId).openFiles.includes(file.id));
+  });
+
+  test("file-renamed renames the file", async () => {
+    const fileId = workspace.fileStructure.children[0].id;
+    const payload = { fileId, newName: "main.js" };
+    assert.deepEqual(await relay(SocketEvent.FILE_RENAMED, payload), payload);
+    assert.equal(findItemById(roomTree(), fileId).name, "main.js");
+  });
+
+  test("file-deleted removes the file and its text", async () => {
+    const fileId = workspace.fileStructure.children[0].id;
+    const payload = { fileId };
+    assert.deepEqual(await relay(SocketEvent.FILE_DELETED, payload), payload);
+    assert.equal(findItemById(roomTree(), fileId), null);
+    assert.equal(getFileTexts(getRoom(roomId).doc).has(fileId), false);
+  });
+
+  test("drawing-update merges into the room's drawing", async () => {
+    const shape = { id: "shape:1", typeName: "shape" };
+    const payload = { snapshot: { added: { [shape.id]: shape } }, schema: { version: 1 } };
+    assert.deepEqual(await relay(SocketEvent.DRAWING_UPDATE, payload), payload);
+
+    const synced = nextEvent(bob, SocketEvent.SYNC_DRAWING);
+    bob.emit(SocketEvent.REQUEST_DRAWING);
+    const { drawingData } = await synced;
+    assert.deepEqual(drawingData, { store: { [shape.id]: shape }, schema: { version: 1 } });
+  });
+
+  test("document-update merges the edit into the room's text", async () => {
+    const fileId = workspace.fileStructure.children[0].id;
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, workspace.docState);
+    const before = Y.encodeStateVector(doc);
+    getFileTexts(doc).get(fileId).insert(0, "// edited\n");
+    const update = Y.encodeStateAsUpdate(doc, before);
+
+    const { update: relayed } = await relay(SocketEvent.DOCUMENT_UPDATE, { update });
+    const peer = new Y.Doc();
+    Y.applyUpdate(peer, workspace.docState);
+    Y.applyUpdate(peer, relayed);
+    const expected = getFileTexts(doc).get(fileId).toString();
+    assert.equal(getFileTexts(peer).get(fileId).toString(), expected);
+    assert.equal(getFileTexts(getRoom(roomId).doc).get(fileId).toString(), expected);
+  });
+
+  test("file-updated is not relayed; text changes go through document-update", async () => {
+    const fileId = workspace.fileStructure.children[0].id;
+    const received = collectEvents(bob, SocketEvent.FILE_UPDATED);
+    alice.emit(SocketEvent.FILE_UPDATED, { fileId, newContent: "overwritten" });
+    assert.deepEqual(await received, []);
+    assert.notEqual(getFileTexts(getRoom(roomId).doc).get(fileId).toString(), "overwritten");
+  });
+
+  test("sync-workspace replies with the room's workspace", async () => {
+    const { workspace: synced } = await request(bob, SocketEvent.SYNC_WORKSPACE);
+    assert.equal(synced.fileStructure.id, rootId());
+  });
+
+  describe("sync-file-structure", () => {
+    test("goes only to the target socket", async () => {
+      const dave = await server.connect();
+      await joinRoom(dave, roomId, "dave");
+
+      const toBob = nextEvent(bob, SocketEvent.SYNC_FILE_STRUCTURE);
+      const toOthers = [alice, dave, carol].map((client) =>
+        collectEvents(client, SocketEvent.SYNC_FILE_STRUCTURE)
+      );
+      const response = await request(alice, SocketEvent.SYNC_FILE_STRUCTURE, {
+        socketId: bob.id,
+      });
+      assert.deepEqual(response, { success: true });
+
+      const { workspace: synced } = await toBob;
+      assert.equal(synced.fileStructure.id, rootId());
+      assert.deepEqual(await Promise.all(toOthers), [[], [], []]);
+    });
+
+    test("sends the server's workspace, not the sender's", async () => {
+      const toBob = nextEvent(bob, SocketEvent.SYNC_FILE_STRUCTURE);
+      await request(alice, SocketEvent.SYNC_FILE_STRUCTURE, {
+        socketId: bob.id,
+        fileStructure: { id: "forged", type: "directory", name: "root", children: [] },
+      });
+      const { workspace: synced } = await toBob;
+      assert.equal(synced.fileStructure.id, rootId());
+    });
+
+    test("refuses targets outside the sender's room", async () => {
+      const leaked = collectEvents(carol, SocketEvent.SYNC_FILE_STRUCTURE);
+      const response = await request(alice, SocketEvent.SYNC_FILE_STRUCTURE, {
+        socketId: carol.id,
+      });
+      assert.deepEqual(response, { error: "Invalid sync-file-structure payload" });
+      assert.deepEqual(await leaked, []);
+    });
+  });
+
+  describe("validation", () => {
+    const invalidPayloads = {
+      [SocketEvent.DIRECTORY_CREATED]: { parentDirId: "", newDirectory: newDirectory("x") },
+      [SocketEvent.DIRECTORY_UPDATED]: { dirId: "root", children: [{ id: "x" }] },
+      [SocketEvent.DIRECTORY_RENAMED]: { dirId: "root", newName: "  " },
+      [SocketEvent.DIRECTORY_DELETED]: { dirId: 42 },
+      [SocketEvent.FILE_CREATED]: { parentDirId: "root", newFile: newDirectory("x") },
+      [SocketEvent.FILE_RENAMED]: { fileId: "x" },
+      [SocketEvent.FILE_DELETED]: {},
+      [SocketEvent.DRAWING_UPDATE]: { snapshot: [] },
+      [SocketEvent.DOCUMENT_UPDATE]: { update: "not binary" },
+    };
+
+    for (const [event, payload] of Object.entries(invalidPayloads)) {
+      test(`${event} refuses a malformed payload`, async () => {
+        const leaked = collectEvents(bob, event);
+        assert.deepEqual(await request(alice, event, payload), {
+          error: `Invalid ${event} payload`,
+        });
+        assert.deepEqual(await leaked, []);
+      });
+
+      test(`${event} refuses a null payload`, async () => {
+        assert.deepEqual(await request(alice, event, null), {
+          error: `Invalid ${event} payload`,
+        });
+      });
+    }
+
+    test("ids that are not in the workspace are refused", async () => {
+      const leaked = collectEvents(bob, SocketEvent.FILE_DELETED);
+      assert.deepEqual(await request(alice, SocketEvent.FILE_DELETED, { fileId: "missing" }), {
+        error: "file-deleted does not match the room workspace",
+      });
+      assert.deepEqual(await leaked, []);
+    });
+
+    test("a directory id is not a file", async () => {
+      assert.deepEqual(await request(alice, SocketEvent.FILE_DELETED, { fileId: rootId() }), {
+        error: "file-deleted does not match the room workspace",
+      });
+      assert.ok(findItemById(roomTree(), rootId()));
+    });
+
+    test("a document update that can't be decoded is refused", async () => {
+      const update = new Uint8Array([255, 255, 255, 255]);
+      assert.deepEqual(await request(alice, SocketEvent.DOCUMENT_UPDATE, { update }), {
+        error: "Invalid document-update payload",
+      });
+    });
+
+    test("sockets that haven't joined a room are refused", async () => {
+      const stranger = await server.connect();
+      const payload = { parentDirId: rootId(), newFile: newFile("x.js") };
+      assert.deepEqual(await request(stranger, SocketEvent.FILE_CREATED, payload), {
+        error: "Join a room first",
+      });
+      assert.deepEqual(
+        await request(stranger, SocketEvent.SYNC_FILE_STRUCTURE, { socketId: bob.id }),
+        { error: "Join a room first" }
+      );
+    });
+  });
+
+  test("edits in one room don't reach another", async () => {
+    const file = newFile("secret.js");
+    const leaked = [SocketEvent.FILE_CREATED, SocketEvent.DOCUMENT_UPDATE].map((event) =>
+      collectEvents(carol, event)
+    );
+    await request(alice, SocketEvent.FILE_CREATED, { parentDirId: rootId(), newFile: file });
+    assert.deepEqual(await Promise.all(leaked), [[], []]);
+
+    // Ids from another room's workspace don't match this one
+    const response = await request(carol, SocketEvent.FILE_DELETED, { fileId: file.id });
+    assert.deepEqual(response, { error: "file-deleted does not match the room workspace" });
+    assert.ok(findItemById(roomTree(), file.id));
+  });
+});
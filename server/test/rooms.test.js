@@ -0,0 +1,106 @@
+// test/rooms.test.js
+// Who gets into a room that knocks: new names wait for the owner, members
+// coming back with their session don't, and kicked members always wait,
+// even once the room has been saved and loaded again.
+
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { initPersistence, saveRoom } from "../src/persistence.js";
+import { getRoom, rooms } from "../src/rooms.js";
+import { SocketEvent } from "../src/types/socket.js";
+import { joinRoom, nextEvent, request, startServer } from "./support/server.js";
+
+describe("knock to join", () => {
+  let server;
+  let owner, roomId, sessionToken, memberId;
+
+  before(async () => {
+    // Rooms are saved to and loaded from memory
+    const records = new Map();
+    initPersistence({
+      loadRoom: async (roomId) => records.get(roomId) ?? null,
+      saveRoom: async (record) => {
+        records.set(record.id, JSON.parse(JSON.stringify(record)));
+      },
+      close: async () => {},
+    });
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // The owner opens the room, bob joins once, then the owner turns on
+  // knocking
+  beforeEach(async () => {
+    roomId = `room-${randomUUID()}`;
+    owner = await server.connect();
+    await joinRoom(owner, roomId, "owner");
+    const member = await server.connect();
+    ({ sessionToken } = await joinRoom(member, roomId, "bob"));
+    memberId = member.id;
+    const response = await request(owner, SocketEvent.UPDATE_ROOM_ACCESS, { knockToJoin: true });
+    assert.deepEqual(response, { success: true });
+  });
+
+  test("new names knock", async () => {
+    const joiner = await server.connect();
+    const knocked = nextEvent(owner, SocketEvent.JOIN_REQUESTS);
+    const response = await request(joiner, SocketEvent.JOIN_REQUEST, { roomId, username: "eve" });
+    assert.deepEqual(response, { pending: true });
+    const { requests } = await knocked;
+    assert.deepEqual(
+      requests.map((request) => request.username),
+      ["eve"]
+    );
+  });
+
+  test("members coming back with their session get straight in", async () => {
+    const returning = await server.connect();
+    const { user } = await joinRoom(returning, roomId, "bob", { sessionToken });
+    assert.equal(user.username, "bob");
+  });
+
+  test("a session doesn't let someone else's name in", async () => {
+    const joiner = await server.connect();
+    const response = await request(joiner, SocketEvent.JOIN_REQUEST, {
+      roomId,
+      username: "mallory",
+      sessionToken,
+    });
+    assert.deepEqual(response, { pending: true });
+  });
+
+  test("kicked members knock even with their session", async () => {
+    const kicked = await request(owner, SocketEvent.KICK_USER, { socketId: memberId });
+    assert.deepEqual(kicked, { success: true });
+
+    const returning = await server.connect();
+    const response = await request(returning, SocketEvent.JOIN_REQUEST, {
+      roomId,
+      username: "bob",
+      sessionToken,
+    });
+    assert.deepEqual(response, { pending: true });
+  });
+
+  test("kicked members still knock once the room is loaded again", async () => {
+    const room = getRoom(roomId);
+    await saveRoom(room);
+    const kicked = await request(owner, SocketEvent.KICK_USER, { socketId: memberId });
+    assert.deepEqual(kicked, { success: true });
+    await saveRoom(room);
+    rooms.delete(roomId);
+
+    const returning = await server.connect();
+    const response = await request(returning, SocketEvent.JOIN_REQUEST, {
+      roomId,
+      username: "bob",
+      sessionToken,
+    });
+    assert.deepEqual(response, { pending: true });
+    assert.notEqual(getRoom(roomId), room);
+  });
+});
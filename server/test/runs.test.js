@@ -0,0 +1,83 @@
+// test/runs.test.js
+// Run events from clients that send the wrong shape of payload: they are
+// ignored or refused, and the server keeps going. And viewers, who can't
+// run code for the whole room.
+
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { after, before, describe, test } from "node:test";
+import { SocketEvent } from "../src/types/socket.js";
+import { collectEvents, joinRoom, request, startServer } from "./support/server.js";
+
+describe("run events", () => {
+  let server, client;
+
+  before(async () => {
+    server = await startServer();
+    client = await server.connect();
+    await joinRoom(client, `room-${randomUUID()}`, "alice");
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  for (const event of [SocketEvent.RUN_INPUT, SocketEvent.RUN_STOP]) {
+    test(`${event} ignores payloads that aren't objects`, async () => {
+      for (const payload of [null, "run", 42, []]) client.emit(event, payload);
+      // Still answering, so nothing threw
+      const { workspace } = await request(client, SocketEvent.SYNC_WORKSPACE);
+      assert.ok(workspace);
+    });
+  }
+
+  test("get-run refuses requests without a run id", async () => {
+    for (const payload of [null, "run", {}, { runId: "" }, { runId: 42 }]) {
+      assert.deepEqual(await request(client, SocketEvent.GET_RUN, payload), {
+        error: "Invalid run request",
+      });
+    }
+  });
+
+  test("get-run says when a run is not in the history", async () => {
+    assert.deepEqual(await request(client, SocketEvent.GET_RUN, { runId: "missing" }), {
+      error: "That run is no longer in the history",
+    });
+  });
+});
+
+describe("viewers", () => {
+  let server, owner, viewer;
+
+  before(async () => {
+    server = await startServer();
+    const roomId = `room-${randomUUID()}`;
+    owner = await server.connect();
+    await joinRoom(owner, roomId, "alice");
+    viewer = await server.connect();
+    await joinRoom(viewer, roomId, "bob");
+    const response = await request(owner, SocketEvent.SET_USER_ROLE, {
+      socketId: viewer.id,
+      role: "viewer",
+    });
+    assert.deepEqual(response, { success: true });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test("can't start runs shared with the room", async () => {
+    const shared = collectEvents(owner, SocketEvent.RUN_SHARED);
+    const response = await request(viewer, SocketEvent.RUN_START, {
+      runId: randomUUID(),
+      language: "python",
+      files: [{ name: "main.py", content: "print('hi')" }],
+      shared: true,
+    });
+    assert.deepEqual(response, { error: "Viewers can't run code for the room" });
+    assert.deepEqual(await shared, []);
+    const { workspace } = await request(viewer, SocketEvent.SYNC_WORKSPACE);
+    assert.deepEqual(workspace.runs, []);
+  });
+});
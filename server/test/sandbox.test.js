@@ -0,0 +1,132 @@
+// test/sandbox.test.js
+// What a program can't reach from the sandbox: the server's processes and
+// environment, hidden directories and other runs. And runs that crash
+// without saying why: the result names the limit they ran into, and leaves
+// other crashes alone.
+
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { resolveRunUser, runInSandbox } from "../src/execution/sandbox.js";
+
+const LIMITS = {
+  timeoutMs: 5000,
+  memoryLimitMb: 128,
+  fileSizeLimitMb: 10,
+  outputLimitBytes: 64 * 1024,
+  maxProcesses: 256,
+};
+
+const crash = 'process.kill(process.pid, "SIGSEGV")';
+
+// As the runner does: runs in directories of their own, next to each other,
+// owned by the user they run as
+let base, appDir, runsDir, cwd;
+const user = resolveRunUser("nobody");
+const run = (code, options = {}) =>
+  runInSandbox({ command: [process.execPath, "-e", code], cwd, ...LIMITS, user, ...options });
+
+before(async () => {
+  base = await fs.mkdtemp(path.join(os.tmpdir(), "sandbox-"));
+  appDir = path.join(base, "app");
+  runsDir = path.join(base, "runs");
+  cwd = path.join(runsDir, "run-1");
+  await fs.mkdir(appDir);
+  await fs.writeFile(path.join(appDir, ".env"), "SECRET=topsecret");
+  await fs.mkdir(path.join(runsDir, "run-2"), { recursive: true });
+  await fs.writeFile(path.join(runsDir, "run-2", "main.py"), "print('theirs')");
+  await fs.mkdir(cwd);
+  if (user) await fs.chown(cwd, user.uid, user.gid);
+  await fs.chmod(base, 0o755);
+});
+
+after(async () => {
+  await fs.rm(base, { recursive: true, force: true });
+});
+
+describe("isolation", () => {
+  test("the server's processes and their environment are out of sight", async () => {
+    process.env.SANDBOX_TEST_SECRET = "topsecret";
+    try {
+      const result = await run(`
+        const fs = require("fs");
+        const pids = fs.readdirSync("/proc").filter((entry) => /^\\d+$/.test(entry));
+        const environments = pids.map((pid) => {
+          try { return fs.readFileSync(\`/proc/\${pid}/environ\`, "utf8"); } catch {}
+        });
+        console.log(JSON.stringify({ pids, environments }));
+      `);
+      assert.equal(result.code, 0, result.stderr);
+      const { pids, environments } = JSON.parse(result.stdout);
+      assert.ok(!pids.includes(String(process.pid)));
+      assert.doesNotMatch(environments.join(), /topsecret/);
+    } finally {
+      delete process.env.SANDBOX_TEST_SECRET;
+    }
+  });
+
+  test("the server can't be signalled", async () => {
+    const result = await run(`process.kill(${process.pid}, 0)`);
+    assert.match(result.stderr, /ESRCH/);
+  });
+
+  test("hidden paths are empty", async () => {
+    const result = await run(`console.log(require("fs").readdirSync("${appDir}"))`, {
+      hiddenPaths: [appDir],
+    });
+    assert.equal(result.stdout, "[]\n");
+  });
+
+  test("other runs are out of sight", async () => {
+    const result = await run(`console.log(require("fs").readdirSync("${runsDir}"))`);
+    assert.equal(result.stdout, "[ 'run-1' ]\n");
+  });
+
+  test("the run's own directory can be written", async () => {
+    const result = await run(`
+      require("fs").writeFileSync("out.txt", "mine");
+      console.log(require("fs").readdirSync("."));
+    `);
+    assert.equal(result.stdout, "[ 'out.txt' ]\n");
+    await fs.rm(path.join(cwd, "out.txt"));
+  });
+
+  test("programs don't run as root", { skip: !user && "the server isn't root" }, async () => {
+    const result = await run("console.log(process.getuid())");
+    assert.equal(result.stdout, `${user.uid}\n`);
+  });
+});
+
+describe("crashed runs", () => {
+  test("a crash near the memory limit is the memory limit", async () => {
+    // Grows to about 80 MB over the node runtime's own, then crashes
+    // once the server has had time to see it
+    const result = await run(`
+      const buffers = [];
+      const grow = setInterval(() => {
+        buffers.push(Buffer.alloc(8e6, 1));
+        if (buffers.length < 10) return;
+        clearInterval(grow);
+        setTimeout(() => { ${crash} }, 150);
+      }, 20);
+    `);
+    assert.equal(result.signal, "SIGSEGV");
+    assert.equal(result.message, "Memory limit of 128 MB exceeded");
+  });
+
+  test("a crash at the output limit is the output limit", async () => {
+    const result = await run(
+      `process.stdout.write("x".repeat(${LIMITS.outputLimitBytes})); ${crash}`
+    );
+    assert.equal(result.signal, "SIGSEGV");
+    assert.equal(result.message, "Output limit of 64 KB exceeded");
+  });
+
+  test("other crashes have no message", async () => {
+    const result = await run(crash);
+    assert.equal(result.signal, "SIGSEGV");
+    assert.equal(result.message, null);
+  });
+});
@@ -0,0 +1,115 @@
+// test/support/server.js
+// Starts the socket server and the code runner's routes on a free port,
+// wired up as in src/server.js, and connects socket.io clients to it.
+
+import express from "express";
+import http from "http";
+import { once } from "events";
+import { Server } from "socket.io";
+import { io as connect } from "socket.io-client";
+import { createExecutionRouter, createRunner } from "../../src/execution/index.js";
+import { registerChatHandlers } from "../../src/handlers/chatHandlers.js";
+import { registerFileSystemHandlers } from "../../src/handlers/fileSystemHandlers.js";
+import { registerPresenceHandlers } from "../../src/handlers/presenceHandlers.js";
+import { registerRoomHandlers } from "../../src/handlers/roomHandlers.js";
+import { registerRunHandlers } from "../../src/handlers/runHandlers.js";
+import { SocketEvent } from "../../src/types/socket.js";
+
+// How long a test waits for an event before failing
+const EVENT_TIMEOUT_MS = 2000;
+
+// The handlers log every join and event; only errors are worth reading here
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * Starts a server and returns `{ io, url, connect, close }`. `connect()`
+ * opens a client that is closed along with the server. No language is
+ * installed for the runner, so nothing is spawned when it starts; `env`
+ * adds to the runner's settings.
+ */
+export async function startServer(env = {}) {
+  const app = express();
+  app.use(express.json());
+  const httpServer = http.createServer(app);
+  const io = new Server(httpServer);
+  const runner = createRunner({ EXECUTION_LANGUAGES: "none", ...env });
+  app.use("/api/execution", createExecutionRouter(runner));
+  io.on("connection", (socket) => {
+    registerRoomHandlers(io, socket);
+    registerFileSystemHandlers(io, socket);
+    registerPresenceHandlers(io, socket);
+    registerChatHandlers(io, socket);
+    registerRunHandlers(io, socket, runner);
+  });
+
+  httpServer.listen(0);
+  await once(httpServer, "listening");
+  const url = `http://localhost:${httpServer.address().port}`;
+  const clients = [];
+
+  return {
+    io,
+    url,
+    async connect() {
+      const client = connect(url, { transports: ["websocket"], forceNew: true });
+      clients.push(client);
+      await once(client, "connect");
+      return client;
+    },
+    async close() {
+      for (const client of clients) client.close();
+      await new Promise((resolve) => io.close(resolve));
+    },
+  };
+}
+
+// Emits an event and resolves with the server's acknowledgement
+export const request = (client, event, payload) =>
+  client.timeout(EVENT_TIMEOUT_MS).emitWithAck(event, payload);
+
+/**
+ * Joins `roomId` as `username` and resolves with the join-success payload.
+ * `options` are sent along with the request (password, sessionToken...).
+ */
+export async function joinRoom(client, roomId, username, options = {}) {
+  const joined = nextEvent(client, SocketEvent.JOIN_SUCCESS);
+  const response = await request(client, SocketEvent.JOIN_REQUEST, {
+    roomId,
+    username,
+    ...options,
+  });
+  if (!response.success) throw new Error(`Could not join ${roomId}: ${JSON.stringify(response)}`);
+  return joined;
+}
+
+// Resolves with the next payload of `event`, or rejects after a while
+export function nextEvent(client, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, EVENT_TIMEOUT_MS);
+    const onEvent = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    client.once(event, onEvent);
+  });
+}
+
+/**
+ * Resolves with every payload of `event` the client receives within
+ * `waitMs`, to check that something was not sent.
+ */
+export function collectEvents(client, event, waitMs = 200) {
+  const received = [];
+  const onEvent = (payload) => received.push(payload);
+  client.on(event, onEvent);
+  return new Promise((resolve) =>
+    setTimeout(() => {
+      client.off(event, onEvent);
+      resolve(received);
+    }, waitMs)
+  );
+}